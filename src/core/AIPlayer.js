@@ -0,0 +1,68 @@
+// core/AIPlayer.js
+// Chooses moves for the computer player
+// Greedy play takes the move with the best immediate matches. With
+// lookahead on, each candidate is also played out through its cascades
+// (without refills, which can't be known in advance) and ranked on the
+// whole chain.
+
+import { INPUT_MODES } from '../utils/Constants';
+import { CascadeResolver } from './CascadeResolver';
+import { MoveFinder } from './MoveFinder';
+import { ScoringRules } from './ScoringRules';
+
+export class AIPlayer {
+    constructor(options = {}) {
+        // Which mechanic to play: row/column slides or adjacent swaps
+        this.inputMode = options.inputMode ?? INPUT_MODES.SLIDE;
+
+        // Whether to simulate cascades when ranking moves
+        this.lookahead = options.lookahead ?? false;
+
+        // How many of the greedy favourites get the full cascade treatment
+        this.candidateLimit = options.candidateLimit ?? 12;
+
+        // Scoring to rank moves by, normally the game's own
+        this.rules = options.rules ?? new ScoringRules();
+        this.moveFinder = new MoveFinder(matches => this.rules.countPoints(matches));
+
+        // Plays candidates out without refills
+        this.resolver = new CascadeResolver({ random: null });
+    }
+
+    /**
+     * Picks a move for the board, or returns null if there isn't one.
+     * Returns { action, matches, score, expectedScore }.
+     */
+    chooseMove(board) {
+        const candidates = this.moveFinder.findMoves(board, this.inputMode);
+        if (candidates.length === 0) {
+            return null;
+        }
+
+        if (!this.lookahead) {
+            return { ...candidates[0], expectedScore: candidates[0].score };
+        }
+
+        let best = null;
+        candidates.slice(0, this.candidateLimit).forEach(candidate => {
+            const expectedScore = this.simulateCascades(board, candidate.action);
+            if (!best || expectedScore > best.expectedScore) {
+                best = { ...candidate, expectedScore };
+            }
+        });
+
+        return best;
+    }
+
+    /**
+     * Plays a move out on a copy of the board, clearing matches and
+     * dropping gems until nothing more matches.
+     * Returns the total score of the chain, bonuses included.
+     */
+    simulateCascades(board, action) {
+        const steps = this.resolver.resolve(board.clone(), action);
+
+        // Scored as the game would score it, special gems and all
+        return this.rules.countSteps(steps);
+    }
+}
@@ -0,0 +1,1191 @@
+// core/BoardModel.js
+// Pure-data representation of the gem board
+// Stores gem types by grid coordinate and owns the board rules (matching,
+// valid moves, falling, refilling, special gems, blockers, board shape,
+// collectible items).
+// Nothing in here touches Phaser, so the rules are unit-tested in Node
+// (see test/, run with npm test).
+
+import { classifyMatch } from './MatchShapes';
+import { BLOCKER_TYPES, BLOCKERS, GEM_TYPES, GRAVITY, ITEMS, MATCH_SHAPES, SLIDES, SPECIAL_GEMS, SPECIAL_TYPES } from '../utils/Constants';
+
+// Gem type ids used when a board isn't given its own colour pool
+export const DEFAULT_GEM_TYPES = Object.values(GEM_TYPES).map(type => type.id);
+
+// One step in each gravity direction
+const GRAVITY_STEPS = {
+    [GRAVITY.DOWN]: { dx: 0, dy: 1 },
+    [GRAVITY.UP]: { dx: 0, dy: -1 },
+    [GRAVITY.LEFT]: { dx: -1, dy: 0 },
+    [GRAVITY.RIGHT]: { dx: 1, dy: 0 }
+};
+
+export class BoardModel {
+    constructor(width, height, gemTypes = DEFAULT_GEM_TYPES) {
+        // Grid dimensions
+        this.width = width;
+        this.height = height;
+
+        // Gem type ids this board draws from when generating gems
+        this.gemTypes = [...gemTypes];
+
+        // 2D array indexed [x][y] holding a gem type id, or null when empty.
+        // Rainbow gems have no colour and use SPECIAL_TYPES.RAINBOW as their
+        // type; collectible items use ITEMS.TYPE
+        this.cells = [];
+
+        // Matching 2D array of special gem types (SPECIAL_TYPES), or null
+        this.specials = [];
+
+        // Matching 2D array of obstacles, each { type, strength } where type
+        // is one of BLOCKER_TYPES, or null. Blockers belong to the cell, not
+        // the gem: they never move with slides, swaps or falls
+        this.blockers = [];
+
+        // Which cells are part of the board, indexed [x][y]. Void cells
+        // (false) never hold anything: matches stop at them, gems fall
+        // past them and slides skip over them
+        this.mask = [];
+
+        // Direction gems fall in (see GRAVITY), and the columns - or rows,
+        // when gems fall sideways - that fall the other way, by index
+        this.gravity = GRAVITY.DOWN;
+        this.gravityOverrides = {};
+
+        // Whether slides wrap around (see SLIDES)
+        this.wrapSlides = SLIDES.WRAP;
+
+        for (let x = 0; x < this.width; x++) {
+            this.cells[x] = new Array(this.height).fill(null);
+            this.specials[x] = new Array(this.height).fill(null);
+            this.blockers[x] = new Array(this.height).fill(null);
+            this.mask[x] = new Array(this.height).fill(true);
+        }
+    }
+
+    /**
+     * Builds a board from a 2D array of gem type ids indexed [x][y],
+     * with optional matching arrays of special gem types and blockers.
+     * Useful for setting up an exact layout in tests or tools.
+     */
+    static fromArray(cells, gemTypes = DEFAULT_GEM_TYPES, specials = null, blockers = null) {
+        const width = cells.length;
+        const height = width > 0 ? cells[0].length : 0;
+        const board = new BoardModel(width, height, gemTypes);
+
+        board.setCells(cells, specials, blockers);
+        return board;
+    }
+
+    /**
+     * Returns an independent copy of this board.
+     * Used to try out moves without disturbing the live board.
+     */
+    clone() {
+        const board = BoardModel.fromArray(this.cells, this.gemTypes, this.specials, this.blockers);
+        board.setMask(this.mask);
+        board.setGravity(this.gravity, this.gravityOverrides);
+        board.wrapSlides = this.wrapSlides;
+        return board;
+    }
+
+    /**
+     * Returns a copy of the cell data indexed [x][y].
+     */
+    toArray() {
+        return this.cells.map(column => [...column]);
+    }
+
+    /**
+     * Returns a copy of the special gem layer indexed [x][y].
+     */
+    toSpecialsArray() {
+        return this.specials.map(column => [...column]);
+    }
+
+    /**
+     * Returns a copy of the blocker layer indexed [x][y].
+     */
+    toBlockersArray() {
+        return this.blockers.map(column => column.map(blocker => (blocker ? { ...blocker } : null)));
+    }
+
+    /**
+     * Replaces the board contents with a 2D array of gem type ids, and
+     * optionally matching arrays of special gem types and blockers.
+     */
+    setCells(cells, specials = null, blockers = null) {
+        for (let x = 0; x < this.width; x++) {
+            for (let y = 0; y < this.height; y++) {
+                this.cells[x][y] = cells[x]?.[y] ?? null;
+                this.specials[x][y] = specials?.[x]?.[y] ?? null;
+
+                const blocker = blockers?.[x]?.[y];
+                this.blockers[x][y] = blocker ? { ...blocker } : null;
+            }
+        }
+    }
+
+    /**
+     * Replaces just the blocker layer, e.g. from a level layout.
+     * Blockers may be given as { type, strength } or just a type id,
+     * which gets the default strength. Stone cells are emptied.
+     */
+    setBlockers(blockers) {
+        for (let x = 0; x < this.width; x++) {
+            for (let y = 0; y < this.height; y++) {
+                this.setBlocker(x, y, blockers?.[x]?.[y] ?? null);
+            }
+        }
+    }
+
+    /**
+     * Sets which cells are part of the board from a 2D array of booleans
+     * indexed [x][y], or a full rectangle when given null.
+     * Anything in a cell that becomes void is removed.
+     */
+    setMask(mask) {
+        for (let x = 0; x < this.width; x++) {
+            for (let y = 0; y < this.height; y++) {
+                this.mask[x][y] = mask?.[x]?.[y] ?? true;
+
+                if (!this.mask[x][y]) {
+                    this.cells[x][y] = null;
+                    this.specials[x][y] = null;
+                    this.blockers[x][y] = null;
+                }
+            }
+        }
+    }
+
+    // Returns a copy of the mask indexed [x][y]
+    toMaskArray() {
+        return this.mask.map(column => [...column]);
+    }
+
+    /**
+     * Sets the direction gems fall in, with `overrides` mapping column
+     * indexes (row indexes for left/right gravity) to their own
+     * direction. Overrides have to stay on the same axis, or lanes would
+     * cross; any that don't are ignored.
+     */
+    setGravity(direction = GRAVITY.DOWN, overrides = {}) {
+        this.gravity = direction;
+        this.gravityOverrides = {};
+
+        Object.entries(overrides).forEach(([lane, laneDirection]) => {
+            if (BoardModel.isVertical(laneDirection) === BoardModel.isVertical(direction)) {
+                this.gravityOverrides[lane] = laneDirection;
+            }
+        });
+    }
+
+    /**
+     * Turns wrap-around slides on or off. Without wrap-around, gems pushed
+     * off the end of a line are lost and the cells left behind empty.
+     */
+    setWrapSlides(wrap = SLIDES.WRAP) {
+        this.wrapSlides = wrap;
+    }
+
+    static isVertical(direction) {
+        return direction === GRAVITY.DOWN || direction === GRAVITY.UP;
+    }
+
+    // Check if a grid position lies on the board (and isn't a hole in it)
+    isValidPosition(x, y) {
+        return x >= 0 && x < this.width && y >= 0 && y < this.height && this.mask[x][y];
+    }
+
+    // Get the gem type at a position, or null if empty or off the board
+    getType(x, y) {
+        return this.isValidPosition(x, y) ? this.cells[x][y] : null;
+    }
+
+    // Set the gem type at a position
+    setType(x, y, type) {
+        if (this.isValidPosition(x, y)) {
+            this.cells[x][y] = type;
+        }
+    }
+
+    // Get the special gem type at a position, or null
+    getSpecial(x, y) {
+        return this.isValidPosition(x, y) ? this.specials[x][y] : null;
+    }
+
+    // Set the special gem type at a position
+    setSpecial(x, y, special) {
+        if (this.isValidPosition(x, y)) {
+            this.specials[x][y] = special;
+        }
+    }
+
+    // Get the blocker at a position, or null
+    getBlocker(x, y) {
+        return this.isValidPosition(x, y) ? this.blockers[x][y] : null;
+    }
+
+    /**
+     * Puts a blocker in a cell, given as { type, strength } or a type id.
+     * Stone fills the whole cell, so any gem there is removed.
+     */
+    setBlocker(x, y, blocker) {
+        if (!this.isValidPosition(x, y)) {
+            return;
+        }
+
+        if (typeof blocker === 'string') {
+            blocker = { type: blocker, strength: BoardModel.getDefaultStrength(blocker) };
+        }
+        this.blockers[x][y] = blocker ? { ...blocker } : null;
+
+        if (blocker?.type === BLOCKER_TYPES.STONE) {
+            this.cells[x][y] = null;
+            this.specials[x][y] = null;
+        }
+    }
+
+    // How many hits a new blocker of a type takes to break.
+    // Stone is never hit, so its strength doesn't matter
+    static getDefaultStrength(type) {
+        if (type === BLOCKER_TYPES.ICE) return BLOCKERS.ICE_STRENGTH;
+        if (type === BLOCKER_TYPES.CHAIN) return BLOCKERS.CHAIN_STRENGTH;
+        return 1;
+    }
+
+    // Items are collected rather than matched (see ITEMS)
+    isItem(x, y) {
+        return this.getType(x, y) === ITEMS.TYPE;
+    }
+
+    // Stone cells never hold a gem
+    isStone(x, y) {
+        return this.getBlocker(x, y)?.type === BLOCKER_TYPES.STONE;
+    }
+
+    /**
+     * Checks whether a cell's contents are fixed in place: stone, or a
+     * chained gem. Fixed cells can't be slid, swapped or fallen through.
+     */
+    isLocked(x, y) {
+        const type = this.getBlocker(x, y)?.type;
+        return type === BLOCKER_TYPES.STONE || type === BLOCKER_TYPES.CHAIN;
+    }
+
+    // Whether a row or column contains anything that can't move
+    isLineLocked(type, index) {
+        return this.getLineCells(type, index).some(cell => this.isLocked(cell.x, cell.y));
+    }
+
+    /**
+     * Checks whether an action is allowed by the blockers on the board.
+     * Slides need their whole line free; swaps need two free gems.
+     */
+    canApplyAction(action) {
+        if (action.type === 'swap') {
+            return [action.from, action.to].every(cell => (
+                this.isValidPosition(cell.x, cell.y) &&
+                this.getType(cell.x, cell.y) &&
+                !this.isLocked(cell.x, cell.y)
+            ));
+        }
+        return !this.isLineLocked(action.type, action.index);
+    }
+
+    // Exchange the contents of two cells
+    swap(a, b) {
+        const temp = this.cells[a.x][a.y];
+        this.cells[a.x][a.y] = this.cells[b.x][b.y];
+        this.cells[b.x][b.y] = temp;
+
+        const tempSpecial = this.specials[a.x][a.y];
+        this.specials[a.x][a.y] = this.specials[b.x][b.y];
+        this.specials[b.x][b.y] = tempSpecial;
+    }
+
+    // core/BoardModel.js - Gem Generation
+
+    /**
+     * Picks any gem type from this board's pool.
+     * `random` is a function returning a float in [0, 1), like Math.random.
+     */
+    randomType(random = Math.random) {
+        return this.gemTypes[Math.floor(random() * this.gemTypes.length)];
+    }
+
+    /**
+     * Returns the gem types that can go at (x, y) without completing a
+     * match with the gems already around it. Every line of three through
+     * the cell counts - not just the cells to its left and above - since
+     * gems fixed by a level's layout can sit on any side of it.
+     */
+    getAvailableTypes(x, y) {
+        const invalidTypes = new Set();
+
+        // The other two cells of each line of three the cell can be in
+        const lines = [
+            [[-2, 0], [-1, 0]], [[-1, 0], [1, 0]], [[1, 0], [2, 0]],
+            [[0, -2], [0, -1]], [[0, -1], [0, 1]], [[0, 1], [0, 2]]
+        ];
+
+        lines.forEach(([[ax, ay], [bx, by]]) => {
+            const type = this.getType(x + ax, y + ay);
+            if (type && type !== ITEMS.TYPE && type === this.getType(x + bx, y + by)) {
+                invalidTypes.add(type);
+            }
+        });
+
+        return this.gemTypes.filter(type => !invalidTypes.has(type));
+    }
+
+    /**
+     * Fills every cell with a gem type, ensuring no initial matches.
+     * `layout` can fix the gem in some cells: a 2D array of gem type ids
+     * indexed [x][y], with null where a random gem should go. The fixed
+     * gems go in first so the random ones can steer clear of them; a
+     * layout that already has a match of its own is refused by the
+     * LevelLoader.
+     */
+    generate(random = Math.random, layout = null) {
+        const isEmpty = (x, y) => !this.isValidPosition(x, y) || this.isStone(x, y);
+
+        // Void and stone cells stay empty
+        for (let x = 0; x < this.width; x++) {
+            for (let y = 0; y < this.height; y++) {
+                this.specials[x][y] = null;
+                this.cells[x][y] = isEmpty(x, y) ? null : layout?.[x]?.[y] ?? null;
+            }
+        }
+
+        for (let x = 0; x < this.width; x++) {
+            for (let y = 0; y < this.height; y++) {
+                if (isEmpty(x, y) || this.cells[x][y]) {
+                    continue;
+                }
+
+                // Fixed gems can hem a cell in on every side; a match is
+                // better than a hole
+                const availableTypes = this.getAvailableTypes(x, y);
+                const types = availableTypes.length > 0 ? availableTypes : this.gemTypes;
+                this.cells[x][y] = types[Math.floor(random() * types.length)];
+            }
+        }
+    }
+
+    // core/BoardModel.js - Match Detection
+
+    /**
+     * Finds every straight run of 3 or more gems of the same colour.
+     * Rainbow gems are wild and join a run of any colour.
+     * Returns raw runs, each tagged 'horizontal' or 'vertical' and with
+     * the colour they matched on.
+     */
+    findRuns(minLength = 3) {
+        const runs = [];
+        const isWild = cell => this.cells[cell.x][cell.y] === SPECIAL_TYPES.RAINBOW;
+
+        const scanLine = (length, getCell, type) => {
+            let run = [];
+            let runColor = null;
+
+            for (let i = 0; i <= length; i++) {
+                const cell = i < length ? getCell(i) : null;
+
+                // Items never match, so they end a run like an empty cell
+                const cellType = cell && !this.isItem(cell.x, cell.y) ? this.cells[cell.x][cell.y] : null;
+
+                if (cellType && (isWild(cell) || !runColor || cellType === runColor)) {
+                    // Extend the current run
+                    run.push(cell);
+                    if (!isWild(cell)) {
+                        runColor = cellType;
+                    }
+                    continue;
+                }
+
+                // The run has ended - keep it if it's long enough.
+                // A run made only of rainbows has no colour to match on
+                if (run.length >= minLength && runColor) {
+                    runs.push({ cells: run, type, color: runColor });
+                }
+
+                // Rainbows at the end of the old run also start the new one
+                const carried = [];
+                for (let j = run.length - 1; j >= 0 && isWild(run[j]); j--) {
+                    carried.unshift(run[j]);
+                }
+
+                run = cellType ? [...carried, cell] : [];
+                runColor = cellType;
+            }
+        };
+
+        for (let y = 0; y < this.height; y++) {
+            scanLine(this.width, x => ({ x, y }), 'horizontal');
+        }
+        for (let x = 0; x < this.width; x++) {
+            scanLine(this.height, y => ({ x, y }), 'vertical');
+        }
+
+        return runs;
+    }
+
+    /**
+     * Searches the board for matches.
+     * Overlapping runs are merged into a single group, so an L or T
+     * shape comes back as one match rather than two.
+     * Each match is { cells: [{x, y}], type }.
+     */
+    findMatches() {
+        return this.consolidateMatches(this.findRuns());
+    }
+
+    /**
+     * Combines runs that share a cell into a single match group.
+     * Lone runs keep their 'horizontal'/'vertical' type, merged groups
+     * are tagged with the MATCH_SHAPES id of the shape they form. Every
+     * group carries its full classifyMatch result as `shape`.
+     */
+    consolidateMatches(runs) {
+        // Map each matched cell to the runs it belongs to
+        const cellRuns = new Map();
+        runs.forEach((run, index) => {
+            run.cells.forEach(cell => {
+                const key = `${cell.x},${cell.y}`;
+                if (!cellRuns.has(key)) {
+                    cellRuns.set(key, []);
+                }
+                cellRuns.get(key).push(index);
+            });
+        });
+
+        const visited = new Set();
+        const consolidated = [];
+
+        runs.forEach((run, index) => {
+            if (visited.has(index)) {
+                return;
+            }
+
+            // Walk every run connected to this one through a shared cell
+            const groupRuns = [];
+            const pending = [index];
+            visited.add(index);
+
+            while (pending.length > 0) {
+                const current = pending.pop();
+                groupRuns.push(runs[current]);
+
+                runs[current].cells.forEach(cell => {
+                    cellRuns.get(`${cell.x},${cell.y}`).forEach(other => {
+                        if (!visited.has(other)) {
+                            visited.add(other);
+                            pending.push(other);
+                        }
+                    });
+                });
+            }
+
+            if (groupRuns.length === 1) {
+                // Regular straight match
+                consolidated.push({ cells: [...run.cells], type: run.type, color: run.color, shape: classifyMatch(run.cells) });
+                return;
+            }
+
+            // Intersecting runs form a special pattern
+            const cells = new Map();
+            groupRuns.forEach(groupRun => {
+                groupRun.cells.forEach(cell => cells.set(`${cell.x},${cell.y}`, cell));
+            });
+
+            const groupCells = Array.from(cells.values());
+            const shape = classifyMatch(groupCells);
+            consolidated.push({
+                cells: groupCells,
+                type: shape.shape,
+                color: run.color,
+                shape
+            });
+        });
+
+        return consolidated;
+    }
+
+    // core/BoardModel.js - Special Gems
+
+    /**
+     * Works out which special gem a match should leave behind, or null.
+     * Lines of five or more make a rainbow, any other shape than a line
+     * makes a bomb and straight lines of four make lightning. The gem
+     * goes at the match's pivot (see classifyMatch).
+     */
+    getSpecialForMatch(match) {
+        const { shape, longest } = match.shape ?? classifyMatch(match.cells);
+
+        if (longest >= SPECIAL_GEMS.RAINBOW_LENGTH) {
+            return SPECIAL_TYPES.RAINBOW;
+        } else if (shape !== MATCH_SHAPES.LINE) {
+            return SPECIAL_TYPES.BOMB;
+        } else if (longest >= SPECIAL_GEMS.LIGHTNING_LENGTH) {
+            return SPECIAL_TYPES.LIGHTNING;
+        }
+
+        return null;
+    }
+
+    /**
+     * Returns the colour with the most gems on the board.
+     * A rainbow set off by another special's blast clears this colour.
+     */
+    getMostCommonColor() {
+        const counts = new Map();
+        for (let x = 0; x < this.width; x++) {
+            for (let y = 0; y < this.height; y++) {
+                const type = this.cells[x][y];
+                if (type && type !== SPECIAL_TYPES.RAINBOW && type !== ITEMS.TYPE) {
+                    counts.set(type, (counts.get(type) || 0) + 1);
+                }
+            }
+        }
+
+        let best = null;
+        counts.forEach((count, type) => {
+            if (!best || count > counts.get(best)) {
+                best = type;
+            }
+        });
+        return best;
+    }
+
+    /**
+     * Returns the cells a special gem clears when it goes off.
+     * `color` is the colour a rainbow was matched with, if any.
+     */
+    getSpecialArea(x, y, special, color = null) {
+        const area = [];
+
+        if (special === SPECIAL_TYPES.BOMB) {
+            const radius = SPECIAL_GEMS.BOMB_RADIUS;
+            for (let dx = -radius; dx <= radius; dx++) {
+                for (let dy = -radius; dy <= radius; dy++) {
+                    if (this.isValidPosition(x + dx, y + dy)) {
+                        area.push({ x: x + dx, y: y + dy });
+                    }
+                }
+            }
+        } else if (special === SPECIAL_TYPES.LIGHTNING) {
+            area.push(...this.getLineCells('row', y), ...this.getLineCells('column', x));
+        } else if (special === SPECIAL_TYPES.RAINBOW) {
+            const target = color || this.getMostCommonColor();
+            for (let cx = 0; cx < this.width; cx++) {
+                for (let cy = 0; cy < this.height; cy++) {
+                    if (this.cells[cx][cy] === target) {
+                        area.push({ x: cx, y: cy });
+                    }
+                }
+            }
+        }
+
+        return area;
+    }
+
+    /**
+     * Clears a set of matches, setting off any special gems caught in
+     * them and placing the specials the matches earn.
+     * Specials caught in a blast go off too, so chains resolve in one call.
+     * Combination matches (see findCombination) set off their combined
+     * effect instead.
+     * Returns { cleared, triggered, combinations, spawned, blockers }:
+     *  - cleared: { x, y, type } for every cell emptied, with the gem it held
+     *  - triggered: { x, y, special } for each special that went off, in order
+     *  - combinations: { x, y, combination } for each combination set off
+     *  - spawned: { x, y, type, special } for each special placed
+     *  - blockers: { x, y, type, blocker } for each chain or ice hit, with
+     *    what's left of it (null once broken)
+     * Chained gems lose their chain instead of clearing, and ice cracks
+     * when a cell on or next to it is hit.
+     */
+    resolveMatches(matches, enabledSpecials = Object.values(SPECIAL_TYPES)) {
+        const cleared = new Map();
+        const triggered = [];
+        const spawned = [];
+        const pending = [];
+        const combinations = [];
+
+        // Chained gems caught in a match or blast, which lose their chain
+        // instead of being cleared
+        const unchained = new Map();
+
+        // Items can only be collected, so blasts pass over them
+        const clear = (cell, color) => {
+            const key = `${cell.x},${cell.y}`;
+            if (cleared.has(key) || unchained.has(key) || !this.getType(cell.x, cell.y) || this.isItem(cell.x, cell.y)) {
+                return;
+            }
+
+            if (this.blockers[cell.x][cell.y]?.type === BLOCKER_TYPES.CHAIN) {
+                unchained.set(key, { x: cell.x, y: cell.y });
+                return;
+            }
+
+            cleared.set(key, { x: cell.x, y: cell.y, type: this.getType(cell.x, cell.y) });
+            const special = this.specials[cell.x][cell.y];
+            if (special) {
+                pending.push({ x: cell.x, y: cell.y, special, color });
+            }
+        };
+
+        matches.forEach(match => {
+            if (match.combination) {
+                // The two specials merge into one bigger effect instead of
+                // going off separately
+                match.cells.forEach(cell => cleared.set(`${cell.x},${cell.y}`, {
+                    x: cell.x,
+                    y: cell.y,
+                    type: this.getType(cell.x, cell.y)
+                }));
+                combinations.push({ ...match.cells[0], combination: match.combination });
+
+                const { area, charge } = this.getCombinationEffect(match);
+                area.forEach(cell => {
+                    if (charge && !cleared.has(`${cell.x},${cell.y}`)) {
+                        this.specials[cell.x][cell.y] = charge;
+                    }
+                    clear(cell, null);
+                });
+                return;
+            }
+
+            match.cells.forEach(cell => clear(cell, match.color));
+
+            const special = this.getSpecialForMatch(match);
+            if (special && enabledSpecials.includes(special)) {
+                const { pivot } = match.shape ?? classifyMatch(match.cells);
+                spawned.push({
+                    ...pivot,
+                    type: special === SPECIAL_TYPES.RAINBOW ? SPECIAL_TYPES.RAINBOW : match.color,
+                    special
+                });
+            }
+        });
+
+        // Set off specials one at a time - anything they hit is cleared
+        // too, and any special hit by the blast is queued after them.
+        // Blasts don't carry a colour, so a rainbow hit by one picks its own
+        while (pending.length > 0) {
+            const { x, y, special, color } = pending.shift();
+            triggered.push({ x, y, special });
+            this.getSpecialArea(x, y, special, color).forEach(cell => clear(cell, null));
+        }
+
+        const clearedCells = Array.from(cleared.values());
+        this.clearCells(clearedCells);
+
+        // Break chains, then crack any ice on or next to a cell that was hit
+        const damaged = Array.from(unchained.values()).map(cell => this.damageBlocker(cell.x, cell.y));
+        const hitCells = [...clearedCells, ...unchained.values()];
+        const icy = new Map();
+        hitCells.forEach(cell => {
+            [cell, { x: cell.x - 1, y: cell.y }, { x: cell.x + 1, y: cell.y },
+                { x: cell.x, y: cell.y - 1 }, { x: cell.x, y: cell.y + 1 }].forEach(near => {
+                if (this.getBlocker(near.x, near.y)?.type === BLOCKER_TYPES.ICE) {
+                    icy.set(`${near.x},${near.y}`, near);
+                }
+            });
+        });
+        icy.forEach(cell => damaged.push(this.damageBlocker(cell.x, cell.y)));
+
+        // New specials go into the emptied cells, one per cell
+        const placed = spawned.filter((spawn, i) => (
+            cleared.has(`${spawn.x},${spawn.y}`) &&
+            spawned.findIndex(other => other.x === spawn.x && other.y === spawn.y) === i
+        ));
+        placed.forEach(spawn => {
+            this.cells[spawn.x][spawn.y] = spawn.type;
+            this.specials[spawn.x][spawn.y] = spawn.special;
+        });
+
+        return { cleared: clearedCells, triggered, combinations, spawned: placed, blockers: damaged };
+    }
+
+    /**
+     * Takes one hit off a cell's blocker, removing it once it breaks.
+     * Returns { x, y, type, blocker } with the type that was hit and the
+     * blocker left, or null if broken.
+     */
+    damageBlocker(x, y) {
+        const blocker = this.blockers[x][y];
+        if (blocker) {
+            blocker.strength--;
+            if (blocker.strength <= 0) {
+                this.blockers[x][y] = null;
+            }
+        }
+        return {
+            x,
+            y,
+            type: blocker?.type ?? null,
+            blocker: this.blockers[x][y] ? { ...this.blockers[x][y] } : null
+        };
+    }
+
+    /**
+     * Checks whether a move pushes two special gems into each other.
+     * Swapping two specials combines them, as does sliding a special
+     * alongside one in the neighbouring row or column.
+     * Call before the move is applied. Returns a match-like object
+     * { cells, type: 'combination', combination, color } in the board's
+     * coordinates after the move, with the moved special first, or null.
+     */
+    findCombination(action) {
+        const trial = this.clone();
+        const moves = trial.simulateAction(action);
+        let pair = null;
+
+        if (action.type === 'swap') {
+            if (this.getSpecial(action.from.x, action.from.y) && this.getSpecial(action.to.x, action.to.y)) {
+                pair = [action.to, action.from];
+            }
+        } else {
+            // Any neighbour across the line is a new one, since the
+            // whole line moved
+            for (const { to } of moves) {
+                if (!to || !trial.getSpecial(to.x, to.y)) {
+                    continue;
+                }
+
+                const sides = action.type === 'row'
+                    ? [{ x: to.x, y: to.y - 1 }, { x: to.x, y: to.y + 1 }]
+                    : [{ x: to.x - 1, y: to.y }, { x: to.x + 1, y: to.y }];
+                const other = sides.find(cell => trial.getSpecial(cell.x, cell.y));
+
+                if (other) {
+                    pair = [to, other];
+                    break;
+                }
+            }
+        }
+
+        if (!pair) {
+            return null;
+        }
+
+        const cells = pair.map(cell => ({ x: cell.x, y: cell.y }));
+        const specials = cells.map(cell => trial.getSpecial(cell.x, cell.y));
+
+        // A rainbow takes the colour of whatever it was combined with
+        const colored = cells.find(cell => trial.getType(cell.x, cell.y) !== SPECIAL_TYPES.RAINBOW);
+
+        return {
+            cells,
+            type: 'combination',
+            combination: [...specials].sort().join('+'),
+            color: colored ? trial.getType(colored.x, colored.y) : null
+        };
+    }
+
+    /**
+     * Works out what a combination clears, centred on the moved special.
+     * Returns { area, charge }: the cells to clear, and for rainbow
+     * combinations the special every gem of the colour turns into
+     * before going off.
+     */
+    getCombinationEffect(match) {
+        const { x, y } = match.cells[0];
+        const area = [];
+        const addSquare = radius => {
+            for (let dx = -radius; dx <= radius; dx++) {
+                for (let dy = -radius; dy <= radius; dy++) {
+                    if (this.isValidPosition(x + dx, y + dy)) {
+                        area.push({ x: x + dx, y: y + dy });
+                    }
+                }
+            }
+        };
+        const addLines = (xs, ys) => {
+            xs.filter(cx => cx >= 0 && cx < this.width)
+                .forEach(cx => area.push(...this.getLineCells('column', cx)));
+            ys.filter(cy => cy >= 0 && cy < this.height)
+                .forEach(cy => area.push(...this.getLineCells('row', cy)));
+        };
+        const colorCells = color => this.getSpecialArea(x, y, SPECIAL_TYPES.RAINBOW, color);
+
+        switch (match.combination) {
+            case 'bomb+bomb':
+                addSquare(SPECIAL_GEMS.COMBO_BOMB_RADIUS);
+                return { area, charge: null };
+
+            case 'bomb+lightning': {
+                const half = Math.floor(SPECIAL_GEMS.COMBO_CROSS_WIDTH / 2);
+                const offsets = Array.from({ length: half * 2 + 1 }, (_, i) => i - half);
+                addLines(offsets.map(d => x + d), offsets.map(d => y + d));
+                return { area, charge: null };
+            }
+
+            case 'lightning+lightning':
+                // The rows and columns of both gems
+                addLines(match.cells.map(cell => cell.x), match.cells.map(cell => cell.y));
+                return { area, charge: null };
+
+            case 'bomb+rainbow':
+                return { area: colorCells(match.color), charge: SPECIAL_TYPES.BOMB };
+
+            case 'lightning+rainbow':
+                return { area: colorCells(match.color), charge: SPECIAL_TYPES.LIGHTNING };
+
+            case 'rainbow+rainbow':
+                // Clear the whole board
+                for (let cx = 0; cx < this.width; cx++) {
+                    area.push(...this.getLineCells('column', cx));
+                }
+                return { area, charge: null };
+
+            default:
+                return { area, charge: null };
+        }
+    }
+
+    // core/BoardModel.js - Moves
+
+    /**
+     * Checks if swapping two cells would create a match.
+     * Swapping two special gems always counts, as they combine.
+     * The board is left unchanged.
+     */
+    wouldSwapCreateMatch(a, b) {
+        if (!this.canApplyAction({ type: 'swap', from: a, to: b })) {
+            return false;
+        }
+
+        if (this.getSpecial(a.x, a.y) && this.getSpecial(b.x, b.y)) {
+            return true;
+        }
+
+        this.swap(a, b);
+        const matches = this.findRuns();
+        this.swap(a, b);
+
+        return matches.length > 0;
+    }
+
+    /**
+     * Checks if there is any adjacent swap that creates a match.
+     * If not, the board needs to be reshuffled.
+     */
+    hasValidMoves() {
+        for (let x = 0; x < this.width; x++) {
+            for (let y = 0; y < this.height; y++) {
+                // Only look right and down - the other directions are
+                // covered when visiting the neighbouring cell
+                const neighbours = [{ x: x + 1, y }, { x, y: y + 1 }];
+
+                for (const neighbour of neighbours) {
+                    if (this.isValidPosition(neighbour.x, neighbour.y) &&
+                        this.wouldSwapCreateMatch({ x, y }, neighbour)) {
+                        return true;
+                    }
+                }
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Randomly rearranges the gems already on the board (Fisher-Yates).
+     * Stone and chained gems stay where they are, and so do items, which
+     * would otherwise be shuffled closer to (or onto) the bottom.
+     */
+    shuffle(random = Math.random) {
+        const positions = [];
+        for (let x = 0; x < this.width; x++) {
+            for (let y = 0; y < this.height; y++) {
+                if (this.isValidPosition(x, y) && !this.isLocked(x, y) && !this.isItem(x, y)) {
+                    positions.push({ x, y });
+                }
+            }
+        }
+
+        for (let i = positions.length - 1; i > 0; i--) {
+            const j = Math.floor(random() * (i + 1));
+            this.swap(positions[i], positions[j]);
+        }
+    }
+
+    /**
+     * Returns the cells of a row or column, in order, skipping holes.
+     * `type` is 'row' or 'column', matching the move actions built by
+     * the Game scene.
+     */
+    getLineCells(type, index) {
+        const length = type === 'row' ? this.width : this.height;
+        return Array.from({ length }, (_, i) => (
+            type === 'row' ? { x: i, y: index } : { x: index, y: i }
+        )).filter(cell => this.isValidPosition(cell.x, cell.y));
+    }
+
+    /**
+     * Slides a whole row or column by `amount` cells.
+     * Gems pushed off one end come back in at the other, and jump over
+     * any holes in the line.
+     * Returns where each cell's contents ended up, as { from, to } pairs.
+     */
+    rotateLine(type, index, amount) {
+        const lineCells = this.getLineCells(type, index);
+        const length = lineCells.length;
+        if (length === 0) {
+            return [];
+        }
+
+        const types = lineCells.map(cell => this.cells[cell.x][cell.y]);
+        const specials = lineCells.map(cell => this.specials[cell.x][cell.y]);
+        const shift = ((amount % length) + length) % length;
+
+        const moves = lineCells.map((from, i) => ({
+            from,
+            to: lineCells[(i + shift) % length]
+        }));
+
+        moves.forEach((move, i) => {
+            this.cells[move.to.x][move.to.y] = types[i];
+            this.specials[move.to.x][move.to.y] = specials[i];
+        });
+
+        return moves;
+    }
+
+    /**
+     * Slides a whole row or column by `amount` cells without wrapping.
+     * Gems pushed off the end are lost, and the cells at the other end
+     * are left empty for gravity to fill. Holes are jumped over.
+     * Returns where each cell's contents ended up, as { from, to } pairs,
+     * with `to` null for the gems pushed off.
+     */
+    shiftLine(type, index, amount) {
+        const lineCells = this.getLineCells(type, index);
+        const types = lineCells.map(cell => this.cells[cell.x][cell.y]);
+        const specials = lineCells.map(cell => this.specials[cell.x][cell.y]);
+
+        const moves = lineCells.map((from, i) => ({
+            from,
+            to: lineCells[i + amount] ?? null
+        }));
+
+        this.clearCells(lineCells);
+        moves.forEach((move, i) => {
+            if (move.to) {
+                this.cells[move.to.x][move.to.y] = types[i];
+                this.specials[move.to.x][move.to.y] = specials[i];
+            }
+        });
+
+        return moves;
+    }
+
+    /**
+     * Applies a move action to the board. Handles both input mechanics:
+     * slides ({type: 'row' | 'column', index, amount}) and swaps
+     * ({type: 'swap', from: {x, y}, to: {x, y}}).
+     * Slides rotate the line, or shift it when wrap-around is off.
+     * Returns where each cell's contents ended up, as { from, to } pairs.
+     */
+    applyAction(action) {
+        if (action.type === 'swap') {
+            this.swap(action.from, action.to);
+            return [
+                { from: action.from, to: action.to },
+                { from: action.to, to: action.from }
+            ];
+        }
+
+        return this.wrapSlides
+            ? this.rotateLine(action.type, action.index, action.amount)
+            : this.shiftLine(action.type, action.index, action.amount);
+    }
+
+    /**
+     * Plays out an action up to the point its matches are looked for:
+     * applies it, then lets gems fall into any cells a slide without
+     * wrap-around left empty. New gems aren't added, since they're
+     * random. Use on a copy of the board to try a move out.
+     * Returns the action's { from, to } pairs, following gems that fell.
+     */
+    simulateAction(action) {
+        const moves = this.applyAction(action);
+        const falls = this.collapse();
+
+        return moves.map(move => {
+            const fall = move.to && falls.find(f => f.from.x === move.to.x && f.from.y === move.to.y);
+            return fall ? { from: move.from, to: fall.to } : move;
+        });
+    }
+
+    // core/BoardModel.js - Falling and Refilling
+
+    /**
+     * Removes the gems at the given cells.
+     */
+    clearCells(cells) {
+        cells.forEach(cell => {
+            this.setType(cell.x, cell.y, null);
+            this.setSpecial(cell.x, cell.y, null);
+        });
+    }
+
+    /**
+     * Splits the board into the lines gems fall along: columns when they
+     * fall up or down, rows when they fall sideways. Each lane has its
+     * own direction and lists its cells starting from the far end gems
+     * fall towards (the "bottom") back to the end new gems come in from.
+     * Holes are left in, since gems fall past them.
+     */
+    getGravityLanes() {
+        const vertical = BoardModel.isVertical(this.gravity);
+        const count = vertical ? this.width : this.height;
+        const length = vertical ? this.height : this.width;
+
+        return Array.from({ length: count }, (_, lane) => {
+            const direction = this.gravityOverrides[lane] ?? this.gravity;
+            const { dx, dy } = GRAVITY_STEPS[direction];
+
+            // Gems falling up or left collect at index 0 of the line
+            const fallsToStart = dx + dy < 0;
+            const cells = Array.from({ length }, (_, i) => {
+                const along = fallsToStart ? i : length - 1 - i;
+                return vertical ? { x: lane, y: along } : { x: along, y: lane };
+            });
+
+            return { direction, cells };
+        });
+    }
+
+    /**
+     * Drops gems into empty cells in the direction of gravity.
+     * Stone and chained gems don't fall, and gems can't fall past them.
+     * Returns a list of { from, to } cells for every gem that moved.
+     */
+    collapse() {
+        const falls = [];
+
+        this.getGravityLanes().forEach(({ cells }) => {
+            // Empty cells further down, lowest first, waiting for a gem
+            let empty = [];
+
+            // Start from the bottom of the lane
+            cells.forEach(cell => {
+                const { x, y } = cell;
+                if (!this.isValidPosition(x, y)) {
+                    // Holes aren't cells at all - gems fall straight past
+                    return;
+                }
+
+                if (this.isLocked(x, y)) {
+                    // Gems above land on top of this cell
+                    empty = [];
+                } else if (!this.cells[x][y]) {
+                    empty.push(cell);
+                } else if (empty.length > 0) {
+                    const to = empty.shift();
+                    this.cells[to.x][to.y] = this.cells[x][y];
+                    this.cells[x][y] = null;
+                    this.specials[to.x][to.y] = this.specials[x][y];
+                    this.specials[x][y] = null;
+                    empty.push(cell);
+                    falls.push({ from: cell, to });
+                }
+            });
+        });
+
+        return falls;
+    }
+
+    /**
+     * Fills every empty cell with a random gem type.
+     * Returns { x, y, type, from } for each new gem, where `from` is the
+     * cell, off the board or in a hole, the gem should enter from: stacked
+     * up behind the top cell of its lane segment, against gravity.
+     * Segments start at the top of the board's shape, and below each
+     * stone or chained gem.
+     */
+    refill(random = Math.random) {
+        const spawns = [];
+
+        this.getGravityLanes().forEach(({ direction, cells }) => {
+            const { dx, dy } = GRAVITY_STEPS[direction];
+
+            // Each stretch of lane between locked cells fills separately,
+            // from its own top cell
+            let top = null;
+            let empty = [];
+
+            const fillSegment = () => {
+                empty.forEach((cell, i) => {
+                    const type = this.randomType(random);
+                    const steps = empty.length - i;
+                    this.cells[cell.x][cell.y] = type;
+                    spawns.push({
+                        x: cell.x,
+                        y: cell.y,
+                        type,
+                        from: { x: top.x - dx * steps, y: top.y - dy * steps }
+                    });
+                });
+            };
+
+            // Walk from the top of the lane down
+            [...cells].reverse().forEach(cell => {
+                if (!this.isValidPosition(cell.x, cell.y)) {
+                    return;
+                }
+
+                if (this.isLocked(cell.x, cell.y)) {
+                    fillSegment();
+                    top = null;
+                    empty = [];
+                    return;
+                }
+
+                if (top === null) {
+                    top = cell;
+                }
+                if (!this.cells[cell.x][cell.y]) {
+                    // Count empty cells so new gems stack up behind them
+                    empty.push(cell);
+                }
+            });
+            fillSegment();
+        });
+
+        return spawns;
+    }
+
+    // core/BoardModel.js - Collectible Items
+
+    /**
+     * Counts the items on the board.
+     */
+    countItems() {
+        return this.cells.flat().filter(type => type === ITEMS.TYPE).length;
+    }
+
+    /**
+     * Removes every item resting in the bottom cell of its lane (see
+     * getGravityLanes), which is how items are collected. The cells are
+     * left empty for the gems above to fall into.
+     * Returns the { x, y } of each item collected.
+     */
+    collectItems() {
+        const collected = [];
+
+        this.getGravityLanes().forEach(({ cells }) => {
+            // Only the bottom cell counts
+            const bottom = cells.find(cell => this.isValidPosition(cell.x, cell.y));
+            if (bottom && this.isItem(bottom.x, bottom.y)) {
+                this.clearCells([bottom]);
+                collected.push({ x: bottom.x, y: bottom.y });
+            }
+        });
+
+        return collected;
+    }
+}
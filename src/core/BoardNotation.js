@@ -0,0 +1,224 @@
+// core/BoardNotation.js
+// Writes a board out as text, and reads one back in
+// A bug report or a test can then say exactly which board it means. Each
+// row is a line, top row first, with a short code for each cell separated
+// by spaces:
+//
+//   r   g   b   yB  .
+//   -S  gI  gI1 wL  *
+//   pC  y   rR  b   g
+//
+// A cell starts with its gem's code from LEVEL_FORMAT.GEM_CODES, "*" for
+// an item, "-" when it's empty or "." for a hole in the board. A special
+// gem's code from BOARD_NOTATION.SPECIAL_CODES comes next, then any
+// blocker's code from LEVEL_FORMAT.BLOCKER_CODES, with its strength when
+// that isn't what a new one starts with ("gI1" is green under cracked
+// ice). Stone never holds a gem, so it's always "-S".
+
+import { BoardModel } from './BoardModel';
+import { BLOCKER_TYPES, BOARD_NOTATION, ITEMS, LEVEL_FORMAT } from '../utils/Constants';
+
+/**
+ * Thrown for text that isn't a board. The message lists every problem
+ * found, one per line.
+ */
+export class NotationError extends Error {
+    constructor(problems) {
+        super(`Board notation is invalid:\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+        this.name = 'NotationError';
+        this.problems = problems;
+    }
+}
+
+/**
+ * Writes a board as text. `getCell(x, y)` says what's in a cell as
+ * { type, special, blocker }, or returns null for a hole. Cells are
+ * padded so the columns line up.
+ */
+export function writeNotation(width, height, getCell) {
+    const rows = Array.from({ length: height }, (_, y) =>
+        Array.from({ length: width }, (__, x) => writeCell(getCell(x, y)))
+    );
+    const cellWidth = Math.max(...rows.flat().map(code => code.length));
+
+    return rows
+        .map(row => row.map(code => code.padEnd(cellWidth)).join(' ').trimEnd())
+        .join('\n');
+}
+
+/**
+ * Writes a BoardModel as text.
+ */
+export function boardToNotation(board) {
+    return writeNotation(board.width, board.height, (x, y) => (
+        board.isValidPosition(x, y)
+            ? { type: board.getType(x, y), special: board.getSpecial(x, y), blocker: board.getBlocker(x, y) }
+            : null
+    ));
+}
+
+/**
+ * Reads a board written as text, throwing a NotationError if it can't.
+ * Returns { width, height, cells, specials, blockers, mask }, with the
+ * grids indexed [x][y] the way BoardModel.setCells and setMask take
+ * them; mask is null when the board has no holes.
+ */
+export function parseNotation(text) {
+    const rows = String(text ?? '')
+        .split('\n')
+        .map(line => line.trim())
+        .filter(line => line.length > 0)
+        .map(line => line.split(/\s+/));
+
+    if (rows.length === 0) {
+        throw new NotationError(['there are no rows']);
+    }
+
+    const width = rows[0].length;
+    const height = rows.length;
+    const badRow = rows.findIndex(row => row.length !== width);
+    if (badRow !== -1) {
+        throw new NotationError([`row ${badRow + 1} has ${rows[badRow].length} cells, but row 1 has ${width}`]);
+    }
+
+    const grid = value => Array.from({ length: width }, () => Array(height).fill(value));
+    const board = {
+        width,
+        height,
+        cells: grid(null),
+        specials: grid(null),
+        blockers: grid(null),
+        mask: grid(true)
+    };
+
+    const problems = [];
+    rows.forEach((row, y) => row.forEach((code, x) => {
+        readCell(code, `row ${y + 1}, column ${x + 1}`, problems, cell => {
+            if (cell) {
+                board.cells[x][y] = cell.type;
+                board.specials[x][y] = cell.special;
+                board.blockers[x][y] = cell.blocker;
+            } else {
+                board.mask[x][y] = false;
+            }
+        });
+    }));
+
+    if (problems.length > 0) {
+        throw new NotationError(problems);
+    }
+
+    if (board.mask.every(column => column.every(Boolean))) {
+        board.mask = null;
+    }
+    return board;
+}
+
+/**
+ * Builds a BoardModel from text, refilling from `gemTypes`.
+ */
+export function boardFromNotation(text, gemTypes = undefined) {
+    const { width, height, cells, specials, blockers, mask } = parseNotation(text);
+
+    const board = new BoardModel(width, height, gemTypes);
+    board.setMask(mask);
+    board.setCells(cells, specials, blockers);
+    return board;
+}
+
+// core/BoardNotation.js - Cells
+
+// Finds the code a table gives a value
+function codeFor(codes, value) {
+    return Object.keys(codes).find(code => codes[code] === value);
+}
+
+function writeCell(cell) {
+    const { BLOCKER_CODES, GEM_CODES, HOLE_CODE, ITEM_CODE, RANDOM_CODE } = LEVEL_FORMAT;
+
+    if (!cell) {
+        return HOLE_CODE;
+    }
+
+    // A gem with no code of its own shouldn't happen; "?" won't read
+    // back in, so it gets noticed
+    let code = BOARD_NOTATION.EMPTY_CODE;
+    if (cell.type === ITEMS.TYPE) {
+        code = ITEM_CODE;
+    } else if (cell.type) {
+        code = codeFor(GEM_CODES, cell.type) ?? RANDOM_CODE;
+    }
+
+    if (cell.special) {
+        code += codeFor(BOARD_NOTATION.SPECIAL_CODES, cell.special) ?? '';
+    }
+
+    const { blocker } = cell;
+    if (blocker) {
+        code += codeFor(BLOCKER_CODES, blocker.type) ?? '';
+        if (blocker.strength !== BoardModel.getDefaultStrength(blocker.type)) {
+            code += blocker.strength;
+        }
+    }
+
+    return code;
+}
+
+/**
+ * Reads one cell's code, adding readable problems to the list. Passes
+ * { type, special, blocker } to `place`, or null for a hole.
+ */
+function readCell(code, where, problems, place) {
+    const { BLOCKER_CODES, GEM_CODES, HOLE_CODE, ITEM_CODE } = LEVEL_FORMAT;
+    const { EMPTY_CODE, SPECIAL_CODES } = BOARD_NOTATION;
+
+    if (code === HOLE_CODE) {
+        place(null);
+        return;
+    }
+
+    const anyOf = codes => `[${Object.keys(codes).join('')}]`;
+    const parts = code.match(new RegExp(`^(.)(${anyOf(SPECIAL_CODES)})?(?:(${anyOf(BLOCKER_CODES)})(\\d+)?)?$`));
+    if (!parts) {
+        problems.push(`${where}: can't read "${code}"; a cell is a gem code, then optionally ` +
+            `a special (${Object.keys(SPECIAL_CODES).join(', ')}) and a blocker (${Object.keys(BLOCKER_CODES).join(', ')})`);
+        return;
+    }
+
+    const [, base, specialCode, blockerCode, strength] = parts;
+
+    let type = null;
+    if (base === ITEM_CODE) {
+        type = ITEMS.TYPE;
+    } else if (GEM_CODES[base]) {
+        type = GEM_CODES[base];
+    } else if (base !== EMPTY_CODE) {
+        problems.push(`${where}: "${base}" isn't a gem code; ` +
+            `use ${Object.keys(GEM_CODES).join(', ')}, "${ITEM_CODE}" for an item, "${EMPTY_CODE}" for an empty cell ` +
+            `or "${HOLE_CODE}" for a hole`);
+        return;
+    }
+
+    const special = specialCode ? SPECIAL_CODES[specialCode] : null;
+    if (special && (!type || type === ITEMS.TYPE)) {
+        problems.push(`${where}: only gems can be ${special} gems`);
+    }
+
+    let blocker = null;
+    if (blockerCode) {
+        const blockerType = BLOCKER_CODES[blockerCode];
+        blocker = {
+            type: blockerType,
+            strength: strength ? Number(strength) : BoardModel.getDefaultStrength(blockerType)
+        };
+
+        if (blocker.strength < 1) {
+            problems.push(`${where}: ${blockerType} needs a strength of at least 1`);
+        }
+        if (blockerType === BLOCKER_TYPES.STONE && type) {
+            problems.push(`${where}: stone can't hold anything, so write it "${EMPTY_CODE}${blockerCode}"`);
+        }
+    }
+
+    place({ type, special, blocker });
+}
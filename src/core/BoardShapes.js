@@ -0,0 +1,63 @@
+// core/BoardShapes.js
+// Builds board masks for the built-in board outlines
+// A mask is a 2D array of booleans indexed [x][y], true for cells that are
+// part of the board and false for holes. Levels can also write their own.
+
+import { BOARD_SHAPES } from '../utils/Constants';
+
+/**
+ * Returns the mask for a named shape (see BOARD_SHAPES), or null for a
+ * plain rectangle or a name we don't know.
+ */
+export function createBoardMask(shape, width, height) {
+    switch (shape) {
+        case BOARD_SHAPES.DIAMOND:
+            return createDiamondMask(width, height);
+        case BOARD_SHAPES.RING:
+            return createRingMask(width, height);
+        case BOARD_SHAPES.SPLIT:
+            return createSplitMask(width, height);
+        default:
+            return null;
+    }
+}
+
+/**
+ * Builds a mask by asking `isCell(x, y)` about every position.
+ */
+export function buildMask(width, height, isCell) {
+    return Array.from({ length: width }, (_, x) =>
+        Array.from({ length: height }, (_, y) => Boolean(isCell(x, y)))
+    );
+}
+
+// Cuts the corners off so the board is widest through the middle
+export function createDiamondMask(width, height) {
+    const centerX = (width - 1) / 2;
+    const centerY = (height - 1) / 2;
+
+    // Stretch the diamond to fill non-square boards
+    return buildMask(width, height, (x, y) =>
+        Math.abs(x - centerX) / (centerX + 0.5) +
+        Math.abs(y - centerY) / (centerY + 0.5) <= 1.25
+    );
+}
+
+// Leaves a hole about a third of the board across in the middle
+export function createRingMask(width, height) {
+    const holeWidth = Math.max(1, Math.floor(width / 3));
+    const holeHeight = Math.max(1, Math.floor(height / 3));
+    const left = Math.floor((width - holeWidth) / 2);
+    const top = Math.floor((height - holeHeight) / 2);
+
+    return buildMask(width, height, (x, y) =>
+        x < left || x >= left + holeWidth || y < top || y >= top + holeHeight
+    );
+}
+
+// Splits the board into top and bottom halves with an empty row between,
+// which gems fall straight across
+export function createSplitMask(width, height) {
+    const gap = Math.floor(height / 2);
+    return buildMask(width, height, (x, y) => y !== gap);
+}
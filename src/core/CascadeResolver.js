@@ -0,0 +1,166 @@
+// core/CascadeResolver.js
+// Works out everything a move sets off, as a timeline of steps
+// The move is played to the end on the board model in one go - matches,
+// specials going off, gems falling, new gems coming in, items collected -
+// and each thing that happens is recorded in order. Nothing here animates:
+// the Game scene plays the steps back with tweens, while the AI and tools
+// read them straight away. Nothing touches Phaser, so it runs in the Node tests too.
+
+import { CASCADE_STEPS, CASCADES, SPECIAL_TYPES } from '../utils/Constants';
+
+export class CascadeResolver {
+    constructor(options = {}) {
+        // Picks the gems that refill the board. null leaves emptied cells
+        // empty, for looking ahead when refills can't be known
+        this.random = options.random === undefined ? Math.random : options.random;
+
+        // Special gems big matches are allowed to leave behind
+        this.enabledSpecials = options.enabledSpecials ?? Object.values(SPECIAL_TYPES);
+
+        // Chain length at which a board that never settles is given up on
+        this.maxDepth = options.maxDepth ?? CASCADES.MAX_DEPTH;
+    }
+
+    /**
+     * Plays `action` (a slide or swap, see BoardModel.applyAction) out on
+     * `board` until nothing more matches, changing the board as it goes.
+     * Resolve on board.clone() to leave a board as it is. Without an
+     * action, resolves whatever already matches.
+     * Returns the steps in order, each { type, ... } (see CASCADE_STEPS):
+     *  - move: { action, moves }, the action's { from, to } pairs
+     *  - match: { match, depth }, one per match in each link of the chain
+     *  - remove: the resolveMatches result for the matches just before it
+     *  - fall: { from, to } for each gem that fell
+     *  - spawn: { x, y, gemType, from } for each new gem
+     *  - collect: { x, y } for each item collected
+     *  - cascade: { depth } before each link after the first
+     *  - shuffle: {} last, when the chain reached maxDepth with matches
+     *    still on the board; they're shuffled away rather than scored
+     */
+    resolve(board, action = null) {
+        const steps = [];
+        let matches = [];
+
+        if (action) {
+            // Two specials pushed into each other combine, which has to be
+            // spotted before the move changes the board
+            const combination = board.findCombination(action);
+            steps.push({ type: CASCADE_STEPS.MOVE, action, moves: board.applyAction(action) });
+
+            // A slide that doesn't wrap leaves cells empty at one end of
+            // its line, which fill before anything is matched
+            this.settle(board, steps);
+
+            if (combination) {
+                matches.push(combination);
+            }
+        }
+        matches.push(...board.findMatches());
+
+        let depth = 0;
+        while (matches.length > 0 && depth < this.maxDepth) {
+            if (depth > 0) {
+                steps.push({ type: CASCADE_STEPS.CASCADE, depth });
+            }
+
+            matches.forEach(match => steps.push({ type: CASCADE_STEPS.MATCH, match, depth }));
+            steps.push({ type: CASCADE_STEPS.REMOVE, ...board.resolveMatches(matches, this.enabledSpecials) });
+
+            this.settle(board, steps);
+            this.collectItems(board, steps);
+
+            matches = board.findMatches();
+            depth++;
+        }
+
+        if (matches.length > 0) {
+            this.shuffle(board, steps);
+        }
+
+        return steps;
+    }
+
+    /**
+     * Shuffles a board that's still matching after maxDepth links until
+     * nothing on it matches, so the move always ends on a settled board.
+     * Without refills there's nothing to shuffle with, and the board is
+     * left as it is.
+     */
+    shuffle(board, steps) {
+        if (!this.random) {
+            return;
+        }
+
+        do {
+            board.shuffle(this.random);
+        } while (board.findMatches().length > 0);
+
+        steps.push({ type: CASCADE_STEPS.SHUFFLE });
+    }
+
+    /**
+     * Drops gems into empty cells, then fills what's left.
+     */
+    settle(board, steps) {
+        board.collapse().forEach(({ from, to }) => {
+            steps.push({ type: CASCADE_STEPS.FALL, from, to });
+        });
+
+        if (this.random) {
+            board.refill(this.random).forEach(({ x, y, type, from }) => {
+                steps.push({ type: CASCADE_STEPS.SPAWN, x, y, gemType: type, from });
+            });
+        }
+    }
+
+    /**
+     * Collects items at the bottom of the board, settling after each
+     * round in case that brings more down.
+     */
+    collectItems(board, steps) {
+        let collected = board.collectItems();
+
+        while (collected.length > 0) {
+            collected.forEach(({ x, y }) => steps.push({ type: CASCADE_STEPS.COLLECT, x, y }));
+            this.settle(board, steps);
+            collected = board.collectItems();
+        }
+    }
+
+    // core/CascadeResolver.js - Reading a timeline
+
+    /**
+     * Splits a timeline into runs of consecutive steps of the same type,
+     * which play back together: every gem in a fall drops at once, and
+     * so on.
+     */
+    static groupSteps(steps) {
+        const groups = [];
+
+        steps.forEach(step => {
+            const last = groups[groups.length - 1];
+            if (last && last[0].type === step.type) {
+                last.push(step);
+            } else {
+                groups.push([step]);
+            }
+        });
+
+        return groups;
+    }
+
+    /**
+     * Lists the matches in each link of the chain, first link first.
+     */
+    static getMatchesByDepth(steps) {
+        const links = [];
+
+        steps.forEach(step => {
+            if (step.type === CASCADE_STEPS.MATCH) {
+                links[step.depth] = [...(links[step.depth] ?? []), step.match];
+            }
+        });
+
+        return links;
+    }
+}
@@ -1,151 +1,134 @@
 // core/GameState.js
+// State machine for the Game scene's flow
+// The Game scene walks it through each move's phases, and input, hints,
+// the computer player and the clock ask it what's allowed instead of
+// keeping flags of their own. Changes that aren't in TRANSITIONS are
+// refused, and every change is announced with a 'gameStateChanged' event.
+
+import { GAME_EVENTS, GAME_STATES } from '../utils/Constants';
+
+const { IDLE, MOVING, MATCHING, REFILLING, SHUFFLING, PAUSED, GAME_OVER } = GAME_STATES;
+
+// Where each state can go next. A game can be paused from any state
+// while it's still going, and resume() goes back to where it was. Any
+// step of a move can end in a shuffle, even one whose playback failed
+// before it got past MOVING
+const TRANSITIONS = {
+    [IDLE]: [MOVING, SHUFFLING, PAUSED, GAME_OVER],
+    [MOVING]: [MATCHING, REFILLING, SHUFFLING, IDLE, PAUSED, GAME_OVER],
+    [MATCHING]: [REFILLING, SHUFFLING, IDLE, PAUSED, GAME_OVER],
+    [REFILLING]: [MATCHING, SHUFFLING, IDLE, PAUSED, GAME_OVER],
+    [SHUFFLING]: [IDLE, PAUSED, GAME_OVER],
+    [PAUSED]: [IDLE, MOVING, MATCHING, REFILLING, SHUFFLING, GAME_OVER],
+    [GAME_OVER]: []
+};
 
 export class GameState {
     constructor(scene) {
         this.scene = scene;
-        
-        // Define possible states
-        this.states = {
-            IDLE: {
-                enter: () => this.onEnterIdle(),
-                update: (delta) => this.updateIdle(delta)
-            },
-            MOVING: {
-                enter: () => this.onEnterMoving(),
-                update: (delta) => this.updateMoving(delta)
-            },
-            MATCHING: {
-                enter: () => this.onEnterMatching(),
-                update: (delta) => this.updateMatching(delta)
-            },
-            REFILLING: {
-                enter: () => this.onEnterRefilling(),
-                update: (delta) => this.updateRefilling(delta)
-            }
-        };
 
         // Start in IDLE state
-        this.currentState = 'IDLE';
-        
-        // Track timing for state transitions
-        this.stateTime = 0;
-        
-        // Allow states to store transition data
-        this.transitionData = null;
+        this.currentState = IDLE;
+
+        // The state a paused game goes back to
+        this.pausedFrom = null;
     }
 
-    update(delta) {
-        // Update state timing
-        this.stateTime += delta;
-        
-        // Call current state's update method
-        const state = this.states[this.currentState];
-        if (state.update) {
-            state.update(delta);
-        }
+    /**
+     * Whether the machine may move from the current state to `newState`.
+     * A paused game goes on from the state it was paused in, so it can
+     * be told to change wherever that state could go, or end.
+     */
+    canChangeTo(newState) {
+        const from = this.currentState === PAUSED && newState !== GAME_OVER
+            ? this.pausedFrom
+            : this.currentState;
+
+        return newState === from || (TRANSITIONS[from]?.includes(newState) ?? false);
     }
 
-    changeState(newState, transitionData = null) {
+    /**
+     * Moves to `newState`, emitting GAME_EVENTS.STATE_CHANGED with
+     * { from, to, data }. Staying in the same state does nothing.
+     * Returns false, changing nothing, if the transition isn't allowed.
+     * While paused, the change is kept for resume() to move into instead,
+     * so a move that was part way through a step when the game paused
+     * picks up where it got to.
+     */
+    changeState(newState, data = null) {
         // Don't change to same state
         if (newState === this.currentState) {
-            return;
+            return true;
         }
 
-        console.log(`State changing from ${this.currentState} to ${newState}`);
-
-        // Exit current state
-        const oldState = this.states[this.currentState];
-        if (oldState.exit) {
-            oldState.exit();
+        if (!this.canChangeTo(newState)) {
+            console.warn(`Illegal game state change from ${this.currentState} to ${newState}`);
+            return false;
         }
 
-        // Store transition data if provided
-        this.transitionData = transitionData;
-        
-        // Change state and reset timer
-        this.currentState = newState;
-        this.stateTime = 0;
-
-        // Enter new state
-        const state = this.states[newState];
-        if (state.enter) {
-            state.enter();
+        if (this.currentState === PAUSED && newState !== GAME_OVER) {
+            this.pausedFrom = newState;
+            return true;
         }
 
-        // Emit state change event for other systems
-        this.scene.events.emit('gameStateChanged', {
-            from: oldState,
-            to: newState,
-            data: transitionData
-        });
+        this.setState(newState, data);
+        return true;
     }
 
-    // State Enter Methods
-    onEnterIdle() {
-        // Enable input
-        this.scene.input.enabled = true;
-    }
+    /**
+     * Pauses the game, remembering the state to resume into.
+     */
+    pause() {
+        const from = this.currentState;
+        if (from === PAUSED || !this.changeState(PAUSED)) {
+            return false;
+        }
 
-    onEnterMoving() {
-        // Disable input during moves
-        this.scene.input.enabled = false;
+        this.pausedFrom = from;
+        return true;
     }
 
-    onEnterMatching() {
-        // Start match animations
-        this.scene.startMatchAnimations(this.transitionData.matches);
-    }
+    resume() {
+        if (this.currentState !== PAUSED) {
+            return false;
+        }
 
-    onEnterRefilling() {
-        // Begin refill process
-        this.scene.startRefill();
+        this.setState(this.pausedFrom);
+        this.pausedFrom = null;
+        return true;
     }
 
-    // State Update Methods
-    updateIdle(delta) {
-        // Check for automatic matches
-        if (this.scene.hasAutomaticMatches()) {
-            this.changeState('MATCHING', {
-                matches: this.scene.findMatches()
-            });
-        }
+    setState(newState, data = null) {
+        const from = this.currentState;
+        this.currentState = newState;
+
+        this.scene.events.emit(GAME_EVENTS.STATE_CHANGED, { from, to: newState, data });
     }
 
-    updateMoving(delta) {
-        // Check if move animations are complete
-        if (this.scene.areMoveAnimationsComplete()) {
-            this.changeState('MATCHING', {
-                matches: this.scene.findMatches()
-            });
-        }
+    // Utility methods for state queries
+    is(state) {
+        return this.currentState === state;
     }
 
-    updateMatching(delta) {
-        // Check if match animations are complete
-        if (this.scene.areMatchAnimationsComplete()) {
-            this.changeState('REFILLING');
-        }
+    /**
+     * Whether the player (or the computer player) can make a move.
+     */
+    isInteractive() {
+        return this.currentState === IDLE;
     }
 
-    updateRefilling(delta) {
-        // Check if refill is complete
-        if (this.scene.isRefillComplete()) {
-            // Check for new matches
-            const newMatches = this.scene.findMatches();
-            if (newMatches.length > 0) {
-                this.changeState('MATCHING', { matches: newMatches });
-            } else {
-                this.changeState('IDLE');
-            }
-        }
+    /**
+     * Whether a move, undo or shuffle is playing out on the board.
+     */
+    isProcessing() {
+        return [MOVING, MATCHING, REFILLING, SHUFFLING].includes(this.currentState);
     }
 
-    // Utility methods for state queries
-    isInteractive() {
-        return this.currentState === 'IDLE';
+    isPaused() {
+        return this.currentState === PAUSED;
     }
 
-    isProcessing() {
-        return this.currentState !== 'IDLE';
+    isGameOver() {
+        return this.currentState === GAME_OVER;
     }
-}
\ No newline at end of file
+}
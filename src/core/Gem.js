@@ -1,17 +1,26 @@
 // core/Gem.js
 // This class represents a single gem in our match-3 game
 
+import { ITEMS, SPECIAL_TYPES } from '../utils/Constants';
+
+// Colours a rainbow gem cycles through
+const RAINBOW_TINTS = [0xFF4444, 0xFFAA00, 0xFFFF44, 0x44FF44, 0x4488FF, 0xAA44FF];
+
 export class Gem extends Phaser.GameObjects.Container {
-    constructor(scene, x, y, gemType) {
+    constructor(scene, x, y, gemType, special = null) {
         super(scene, x, y);
         
         // Store gem properties
         this.gemType = gemType;
+        this.special = special;
         this.isMatched = false;
         this.isSelected = false;
         
-        // Create the gem sprite
-        this.sprite = scene.add.sprite(0, 0, `gem_${gemType}_0`);
+        // Create the gem sprite. Rainbow gems and items have no colour of
+        // their own, so they borrow the white gem art and tint it
+        this.isItem = gemType === ITEMS.TYPE;
+        this.spriteType = special === SPECIAL_TYPES.RAINBOW || this.isItem ? 'white' : gemType;
+        this.sprite = scene.add.sprite(0, 0, `gem_${this.spriteType}_0`);
         this.sprite.setOrigin(0.5);
         
         // Add sprite to the container
@@ -23,6 +32,15 @@ export class Gem extends Phaser.GameObjects.Container {
         
         // Start idle animation
         this.playIdle();
+
+        // Overlay and looping effect marking a special gem
+        this.specialTween = null;
+        if (special) {
+            this.createSpecialVisuals();
+        }
+        if (this.isItem) {
+            this.createItemVisuals();
+        }
         
         // Add to scene
         scene.add.existing(this);
@@ -30,7 +48,81 @@ export class Gem extends Phaser.GameObjects.Container {
 
     playIdle() {
         // Play the idle animation for this gem type
-        this.sprite.play(`gem_${this.gemType}_idle`);
+        this.sprite.play(`gem_${this.spriteType}_idle`);
+    }
+
+    /**
+     * Adds the look of a special gem on top of the base sprite:
+     * bombs get a pulsing dark ring, lightning a flickering bolt and
+     * rainbows cycle through every colour.
+     */
+    createSpecialVisuals() {
+        const size = Math.max(this.sprite.width, this.sprite.height) || 64;
+
+        if (this.special === SPECIAL_TYPES.BOMB) {
+            this.overlay = this.scene.add.graphics();
+            this.overlay.lineStyle(4, 0x222222, 0.9);
+            this.overlay.strokeCircle(0, 0, size * 0.42);
+            this.overlay.fillStyle(0xFF6600, 1);
+            this.overlay.fillCircle(0, -size * 0.42, 5);
+            this.add(this.overlay);
+
+            this.specialTween = this.scene.tweens.add({
+                targets: this.overlay,
+                scale: 1.1,
+                duration: 400,
+                ease: 'Sine.easeInOut',
+                yoyo: true,
+                repeat: -1
+            });
+        } else if (this.special === SPECIAL_TYPES.LIGHTNING) {
+            const half = size / 2;
+            this.overlay = this.scene.add.graphics();
+            this.overlay.lineStyle(4, 0xFFEE00, 1);
+            this.overlay.beginPath();
+            this.overlay.moveTo(-half * 0.2, -half * 0.8);
+            this.overlay.lineTo(half * 0.25, -half * 0.1);
+            this.overlay.lineTo(-half * 0.25, half * 0.1);
+            this.overlay.lineTo(half * 0.2, half * 0.8);
+            this.overlay.strokePath();
+            this.add(this.overlay);
+
+            this.specialTween = this.scene.tweens.add({
+                targets: this.overlay,
+                alpha: 0.3,
+                duration: 120,
+                yoyo: true,
+                repeat: -1,
+                repeatDelay: 600
+            });
+        } else if (this.special === SPECIAL_TYPES.RAINBOW) {
+            // Step a counter through the tint list and apply each colour
+            this.specialTween = this.scene.tweens.addCounter({
+                from: 0,
+                to: RAINBOW_TINTS.length,
+                duration: 1200,
+                repeat: -1,
+                onUpdate: tween => {
+                    const index = Math.floor(tween.getValue()) % RAINBOW_TINTS.length;
+                    this.sprite.setTint(RAINBOW_TINTS[index]);
+                }
+            });
+        }
+    }
+
+    /**
+     * Marks a collectible item: a gold gem with an arrow pointing to
+     * where it needs to go.
+     */
+    createItemVisuals() {
+        const half = (Math.max(this.sprite.width, this.sprite.height) || 64) / 2;
+
+        this.sprite.setTint(ITEMS.TINT);
+        this.overlay = this.scene.add.graphics();
+        this.overlay.fillStyle(0x5A3A00, 0.9);
+        this.overlay.fillTriangle(-half * 0.35, -half * 0.1, half * 0.35, -half * 0.1, 0, half * 0.45);
+        this.overlay.fillRect(-half * 0.12, -half * 0.5, half * 0.24, half * 0.4);
+        this.add(this.overlay);
     }
 
     setSelected(selected) {
@@ -45,8 +137,11 @@ export class Gem extends Phaser.GameObjects.Container {
                 ease: 'Back.easeOut'
             });
         } else {
-            // Reset to normal state
+            // Reset to normal state (rainbows keep cycling their own tint)
             this.sprite.clearTint();
+            if (this.isItem) {
+                this.sprite.setTint(ITEMS.TINT);
+            }
             this.scene.tweens.add({
                 targets: this.sprite,
                 scale: 1,
@@ -93,4 +188,13 @@ export class Gem extends Phaser.GameObjects.Container {
             });
         });
     }
+
+    destroy(fromScene) {
+        // Stop the looping special effect so it doesn't outlive the gem
+        if (this.specialTween) {
+            this.specialTween.remove();
+            this.specialTween = null;
+        }
+        super.destroy(fromScene);
+    }
 }
\ No newline at end of file
@@ -1,7 +1,10 @@
 // core/GemGrid.js - Part 1: Core Setup and Initialization
 
-import { GEM_TYPES } from '../utils/Constants';
+import { BoardModel } from './BoardModel';
+import { NotationError, parseNotation, writeNotation } from './BoardNotation';
 import { Gem } from './Gem';
+import { MoveFinder } from './MoveFinder';
+import { BLOCKER_TYPES, BLOCKERS, GAME_STATES, INPUT_MODES, SLIDES } from '../utils/Constants';
 
 export class GemGrid {
     constructor(scene, config) {
@@ -11,6 +14,15 @@ export class GemGrid {
         this.width = config.width;
         this.height = config.height;
         this.cellSize = config.cellSize;
+
+        // Seeded random source owned by the scene
+        this.rng = scene.rng;
+
+        // Input mechanic in play, which decides what counts as a move
+        this.inputMode = scene.inputMode ?? INPUT_MODES.SLIDE;
+
+        // Finds the moves available on the board
+        this.moveFinder = new MoveFinder();
         
         // Calculate grid position to center it on screen
         this.position = {
@@ -18,10 +30,34 @@ export class GemGrid {
             y: (scene.sys.game.config.height - (this.height * this.cellSize)) / 2
         };
 
+        // Pure-data board the gem sprites are rendered from, drawing gems
+        // from the level's colour pool
+        this.board = new BoardModel(this.width, this.height, scene.level?.colors);
+
+        // Gems the level fixes in place at the start, indexed [x][y]
+        this.layout = scene.level?.layout ?? null;
+
         // Initialize the grid array and input tracking
-        this.gems = [];           // 2D array to store gems
+        this.gems = [];           // 2D array of Gem sprites mirroring this.board
         this.selectedGem = null;  // Currently selected gem
-        this.canInput = true;     // Whether input is currently accepted
+
+        // Board outline (null for a full rectangle) and the tiles drawn
+        // behind the cells that are in play
+        this.boardMask = scene.boardMask ?? null;
+        this.board.setMask(this.boardMask);
+        this.background = null;
+
+        // Direction gems fall in, with any lanes that fall their own way
+        const gravity = scene.level?.gravity;
+        this.board.setGravity(gravity?.direction, gravity?.overrides);
+
+        // Whether slides wrap around the ends of their row or column
+        this.board.setWrapSlides(scene.level?.wrap ?? SLIDES.WRAP);
+
+        // Obstacles to place when the board is created, indexed [x][y],
+        // and the graphics drawn for them
+        this.blockerLayout = scene.blockerLayout ?? null;
+        this.blockerSprites = [];
         
         // Create the initial grid
         this.createGrid();
@@ -32,23 +68,52 @@ export class GemGrid {
     }
 
     createGrid() {
-        // Initialize empty 2D array
+        // Clear out any gems from a previous board
+        this.destroyGems();
+
+        // Place obstacles, then generate gem types around them
+        // ensuring no initial matches
+        this.board.setBlockers(this.blockerLayout);
+        this.board.generate(this.rng.next, this.layout);
+
+        this.drawBoard();
+    }
+
+    /**
+     * Replaces the board with a saved one straight away, without
+     * animating. Used to continue a saved game.
+     */
+    loadBoard(cells, specials = null, blockers = null) {
+        this.destroyGems();
+        this.board.setCells(cells, specials, blockers);
+        this.drawBoard();
+    }
+
+    // Draws the board as the data has it, from scratch
+    drawBoard() {
+        this.drawBackground();
+
+        // Create a sprite for every cell that holds a gem
         for (let x = 0; x < this.width; x++) {
             this.gems[x] = [];
             for (let y = 0; y < this.height; y++) {
-                // Create gems ensuring no initial matches
-                this.gems[x][y] = this.createGemAt(x, y);
+                this.gems[x][y] = this.board.getType(x, y) ? this.createGemAt(x, y) : null;
             }
         }
+
+        this.drawBlockers();
     }
 
     createGemAt(x, y) {
-        // Get available gem types (no matches at creation)
-        const availableTypes = this.getAvailableGemTypes(x, y);
-        const gemType = availableTypes[
-            Math.floor(Math.random() * availableTypes.length)
-        ];
+        return this.createGem(x, y, this.board.getType(x, y), this.board.getSpecial(x, y));
+    }
 
+    /**
+     * Creates a gem sprite of the given type at a grid position.
+     * The position may be outside the board, e.g. above it for new gems
+     * that are about to fall in. The board data is not changed.
+     */
+    createGem(x, y, gemType, special = null) {
         // Calculate pixel position for this grid position
         const pixelPos = this.gridToPixel(x, y);
         
@@ -57,7 +122,8 @@ export class GemGrid {
             this.scene,
             pixelPos.x,
             pixelPos.y,
-            gemType
+            gemType,
+            special
         );
         
         // Store grid coordinates on the gem for easy reference
@@ -68,31 +134,7 @@ export class GemGrid {
     }
 
     getAvailableGemTypes(x, y) {
-        // Get all possible gem types
-        const allTypes = Object.keys(GEM_TYPES);
-        
-        // If this is one of the first positions, return all types
-        if (x < 2 && y < 2) return allTypes;
-
-        // Keep track of types we can't use
-        const invalidTypes = new Set();
-
-        // Check horizontal matches
-        if (x >= 2) {
-            if (this.gems[x-1][y]?.gemType === this.gems[x-2][y]?.gemType) {
-                invalidTypes.add(this.gems[x-1][y].gemType);
-            }
-        }
-
-        // Check vertical matches
-        if (y >= 2) {
-            if (this.gems[x][y-1]?.gemType === this.gems[x][y-2]?.gemType) {
-                invalidTypes.add(this.gems[x][y-1].gemType);
-            }
-        }
-
-        // Return only valid types
-        return allTypes.filter(type => !invalidTypes.has(type));
+        return this.board.getAvailableTypes(x, y);
     }
 
     // Convert grid coordinates to pixel position
@@ -111,12 +153,38 @@ export class GemGrid {
         };
     }
 
-    // Check if a grid position is valid
+    // Check if a grid position is valid (on the board and not a hole)
     isValidGridPosition(gridPos) {
-        return gridPos.x >= 0 &&
-               gridPos.x < this.width &&
-               gridPos.y >= 0 &&
-               gridPos.y < this.height;
+        return this.board.isValidPosition(gridPos.x, gridPos.y);
+    }
+
+    /**
+     * Draws a tile behind every cell in play, so the board's shape and
+     * any holes in it are visible.
+     */
+    drawBackground() {
+        if (this.background) {
+            this.background.destroy();
+        }
+
+        this.background = this.scene.add.graphics();
+        this.background.setDepth(-1);
+        this.background.fillStyle(0x000000, 0.35);
+
+        for (let x = 0; x < this.width; x++) {
+            for (let y = 0; y < this.height; y++) {
+                if (this.board.isValidPosition(x, y)) {
+                    const pixelPos = this.gridToPixel(x, y);
+                    this.background.fillRoundedRect(
+                        pixelPos.x - this.cellSize / 2 + 1,
+                        pixelPos.y - this.cellSize / 2 + 1,
+                        this.cellSize - 2,
+                        this.cellSize - 2,
+                        6
+                    );
+                }
+            }
+        }
     }
 
     // Get a gem at a specific grid position
@@ -147,8 +215,11 @@ export class GemGrid {
 
     // Handle when a gem is clicked or touched
     handleGemClick(gem) {
-        // If input is disabled, do nothing
-        if (!this.canInput) return;
+        // Only take input while the board is waiting for a move
+        if (!this.scene.gameState.isInteractive()) return;
+
+        // Chained gems can't be swapped, so don't let them be picked up
+        if (this.board.isLocked(gem.gridX, gem.gridY)) return;
 
         // If no gem is selected, select this one
         if (!this.selectedGem) {
@@ -173,6 +244,7 @@ export class GemGrid {
 
     // Select a gem and show visual feedback
     selectGem(gem) {
+        this.deselectGem();
         this.selectedGem = gem;
         gem.setSelected(true);
         
@@ -199,466 +271,360 @@ export class GemGrid {
         return (xDiff === 1 && yDiff === 0) || (xDiff === 0 && yDiff === 1);
     }
 
-    // Attempt to swap two gems
+    /**
+     * Attempts to swap two gems.
+     * The swap is handed to the Game scene as a move action, so it goes
+     * through the same matching, scoring and cascade pipeline as a slide.
+     */
     async trySwapGems(gem1, gem2) {
-        // Disable input during swap
-        this.canInput = false;
-        
-        // First, swap the gems
-        await this.swapGems(gem1, gem2);
-        
-        // Check if this creates any matches
-        const matches = this.findMatches();
-        
-        if (matches.length > 0) {
-            // Valid move - process the matches
-            this.deselectGem();
-            await this.processMatches(matches);
+        const swapAction = {
+            type: 'swap',
+            from: { x: gem1.gridX, y: gem1.gridY },
+            to: { x: gem2.gridX, y: gem2.gridY }
+        };
+        this.deselectGem();
+
+        const move = this.scene.commitMove(swapAction);
+        if (move) {
+            // Valid move - wait for it and any cascades to finish
+            await move;
         } else {
-            // Invalid move - swap back
-            await this.swapGems(gem2, gem1);
-            this.deselectGem();
+            // Invalid move - swap there and back, holding off input meanwhile
+            this.scene.gameState.changeState(GAME_STATES.MOVING);
+            await this.playRejectedSwap(gem1, gem2);
+            this.scene.gameState.changeState(GAME_STATES.IDLE);
         }
-        
-        // Re-enable input
-        this.canInput = true;
     }
 
-    // Perform the actual gem swap with animation
-    async swapGems(gem1, gem2) {
+    /**
+     * Shows a swap that doesn't create a match: the gems trade places
+     * and then slide back. The board is not changed.
+     */
+    async playRejectedSwap(gem1, gem2) {
         // Store original positions
         const pos1 = { x: gem1.x, y: gem1.y };
         const pos2 = { x: gem2.x, y: gem2.y };
-        
-        // Update grid positions
-        const tempX = gem1.gridX;
-        const tempY = gem1.gridY;
-        gem1.gridX = gem2.gridX;
-        gem1.gridY = gem2.gridY;
-        gem2.gridX = tempX;
-        gem2.gridY = tempY;
-        
-        // Update grid array
-        this.gems[gem1.gridX][gem1.gridY] = gem1;
-        this.gems[gem2.gridX][gem2.gridY] = gem2;
-
-        // Animate both gems simultaneously
-        await Promise.all([
-            gem1.moveTo(pos2.x, pos2.y),
-            gem2.moveTo(pos1.x, pos1.y)
-        ]);
 
         // Play swap sound
         if (this.scene.audioManager) {
             this.scene.audioManager.playGemSwap();
         }
+
+        await Promise.all([
+            gem1.moveTo(pos2.x, pos2.y),
+            gem2.moveTo(pos1.x, pos1.y)
+        ]);
+        await Promise.all([
+            gem1.moveTo(pos1.x, pos1.y),
+            gem2.moveTo(pos2.x, pos2.y)
+        ]);
     }
 
     // Check if a potential swap would create a match
     wouldCreateMatch(gem1, gem2) {
-        // Temporarily swap gems
-        const tempX = gem1.gridX;
-        const tempY = gem1.gridY;
-        gem1.gridX = gem2.gridX;
-        gem1.gridY = gem2.gridY;
-        gem2.gridX = tempX;
-        gem2.gridY = tempY;
-
-        // Check for matches
-        const matches = this.findMatches();
-
-        // Swap back
-        gem1.gridX = tempX;
-        gem1.gridY = tempY;
-        gem2.gridX = gem1.gridX;
-        gem2.gridY = gem1.gridY;
-
-        return matches.length > 0;
+        return this.board.wouldSwapCreateMatch(
+            { x: gem1.gridX, y: gem1.gridY },
+            { x: gem2.gridX, y: gem2.gridY }
+        );
     }
 // core/GemGrid.js - Part 3: Match Detection and Processing
 
     /**
      * Searches the entire grid for matching gems.
-     * A match is 3 or more gems of the same type in a row or column.
-     * Returns an array of match objects, each containing the matching gems.
+     * The board model does the matching; each match it returns is
+     * paired with the gem sprites sitting on its cells.
      */
     findMatches() {
-        const matches = [];
-        
-        // First check horizontal matches
-        for (let y = 0; y < this.height; y++) {
-            let matchingGems = [];
-            let currentType = null;
-            
-            for (let x = 0; x < this.width; x++) {
-                const gem = this.gems[x][y];
-                
-                if (gem && currentType === gem.gemType) {
-                    // Add to current matching sequence
-                    matchingGems.push(gem);
-                } else {
-                    // Check if we completed a match
-                    if (matchingGems.length >= 3) {
-                        matches.push({
-                            gems: [...matchingGems],
-                            type: 'horizontal'
-                        });
-                    }
-                    // Start new potential match
-                    matchingGems = [gem];
-                    currentType = gem?.gemType;
-                }
-            }
-            // Don't forget to check the last sequence in the row
-            if (matchingGems.length >= 3) {
-                matches.push({
-                    gems: [...matchingGems],
-                    type: 'horizontal'
-                });
-            }
-        }
+        return this.board.findMatches().map(match => this.attachGems(match));
+    }
 
-        // Then check vertical matches
-        for (let x = 0; x < this.width; x++) {
-            let matchingGems = [];
-            let currentType = null;
-            
-            for (let y = 0; y < this.height; y++) {
-                const gem = this.gems[x][y];
-                
-                if (gem && currentType === gem.gemType) {
-                    matchingGems.push(gem);
-                } else {
-                    if (matchingGems.length >= 3) {
-                        matches.push({
-                            gems: [...matchingGems],
-                            type: 'vertical'
-                        });
-                    }
-                    matchingGems = [gem];
-                    currentType = gem?.gemType;
-                }
-            }
-            if (matchingGems.length >= 3) {
-                matches.push({
-                    gems: [...matchingGems],
-                    type: 'vertical'
-                });
-            }
-        }
+    /**
+     * Finds the matches a move (slide or swap) would create, without
+     * changing the board. A combination of two special gems comes first.
+     */
+    findPotentialMatches(moveAction) {
+        const combination = this.board.findCombination(moveAction);
+        const board = this.board.clone();
+        board.simulateAction(moveAction);
 
-        return this.consolidateMatches(matches);
+        const matches = board.findMatches();
+        return combination ? [combination, ...matches] : matches;
     }
 
     /**
-     * Combines overlapping matches and identifies special patterns.
-     * For example, T-shapes or L-shapes are formed when horizontal
-     * and vertical matches intersect.
+     * Applies a move (slide or swap) to the board and the gem sprites.
+     * Returns each moved gem with the pixel position it should end up at,
+     * leaving the animation to the caller. Gems pushed off a line that
+     * doesn't wrap are marked `lost`, with a target past the edge; they're
+     * already gone from the grid, so the caller should destroy them.
      */
-    consolidateMatches(matches) {
-        // Create a map to track which gems are part of matches
-        const matchMap = new Map();
-        
-        // Add all matched gems to the map
-        matches.forEach(match => {
-            match.gems.forEach(gem => {
-                const key = `${gem.gridX},${gem.gridY}`;
-                if (!matchMap.has(key)) {
-                    matchMap.set(key, {
-                        gem: gem,
-                        matchTypes: []
-                    });
-                }
-                matchMap.get(key).matchTypes.push(match.type);
-            });
-        });
+    applyMove(moveAction) {
+        return this.placeMovedGems(moveAction, this.board.applyAction(moveAction));
+    }
 
-        // Look for special patterns
-        const consolidatedMatches = [];
-        const processedGems = new Set();
+    /**
+     * Moves the gem sprites to follow a move already made on the board,
+     * from the { from, to } pairs BoardModel.applyAction returned.
+     * Returns the same as applyMove.
+     */
+    placeMovedGems(moveAction, moves) {
+        // Pick up every moved gem before putting any back down
+        const movedGems = moves.map(move => this.gems[move.from.x][move.from.y]);
+        moves.forEach(move => {
+            this.gems[move.from.x][move.from.y] = null;
+        });
 
-        matches.forEach(match => {
-            // Skip if these gems were already processed
-            if (match.gems.some(gem => 
-                processedGems.has(`${gem.gridX},${gem.gridY}`))) {
-                return;
+        return moves.map((move, i) => {
+            const gem = movedGems[i];
+            if (!move.to) {
+                // Carry on off the end of the line
+                const offset = moveAction.amount;
+                const to = moveAction.type === 'row'
+                    ? { x: move.from.x + offset, y: move.from.y }
+                    : { x: move.from.x, y: move.from.y + offset };
+                return { gem, target: this.gridToPixel(to.x, to.y), lost: true };
             }
 
-            // Check for intersecting matches
-            const intersectingGems = new Set();
-            match.gems.forEach(gem => {
-                const key = `${gem.gridX},${gem.gridY}`;
-                const matchInfo = matchMap.get(key);
-                
-                if (matchInfo.matchTypes.length > 1) {
-                    // This gem is part of multiple matches
-                    this.findConnectedGems(gem, matchMap, intersectingGems);
-                }
-            });
+            this.gems[move.to.x][move.to.y] = gem;
 
-            if (intersectingGems.size > 0) {
-                // We found a special pattern
-                const patternType = this.identifyPattern(intersectingGems);
-                consolidatedMatches.push({
-                    gems: Array.from(intersectingGems),
-                    type: patternType
-                });
-                
-                // Mark these gems as processed
-                intersectingGems.forEach(gem => {
-                    processedGems.add(`${gem.gridX},${gem.gridY}`);
-                });
-            } else {
-                // Regular match
-                consolidatedMatches.push(match);
-                match.gems.forEach(gem => {
-                    processedGems.add(`${gem.gridX},${gem.gridY}`);
-                });
+            if (gem) {
+                gem.gridX = move.to.x;
+                gem.gridY = move.to.y;
             }
-        });
 
-        return consolidatedMatches;
+            return { gem, target: this.gridToPixel(move.to.x, move.to.y), lost: false };
+        }).filter(move => move.gem);
     }
 
+    // core/GemGrid.js - Slides
+
     /**
-     * Recursively finds all connected gems that are part of a match pattern.
+     * Gets a row or column ready to be slid by hand: remembers where each
+     * of its gems started and, when slides wrap around, makes a faded
+     * copy of each to show coming in at the far end as it's pushed off.
+     * Returns the slide to pass to moveSlide and endSlide.
      */
-    findConnectedGems(gem, matchMap, connectedGems) {
-        const key = `${gem.gridX},${gem.gridY}`;
-        if (!connectedGems.has(gem)) {
-            connectedGems.add(gem);
-            
-            // Check adjacent gems
-            this.getAdjacentGems(gem.gridX, gem.gridY).forEach(adjGem => {
-                if (adjGem && matchMap.has(`${adjGem.gridX},${adjGem.gridY}`)) {
-                    this.findConnectedGems(adjGem, matchMap, connectedGems);
-                }
-            });
-        }
+    startSlide(type, index) {
+        const gems = type === 'row' ? this.getRow(index) : this.getColumn(index);
+
+        return {
+            type,
+            index,
+            gems: gems.map(gem => ({
+                gem,
+                start: { x: gem.x, y: gem.y },
+                ghost: this.board.wrapSlides ? this.createGhost(gem) : null
+            }))
+        };
+    }
+
+    createGhost(gem) {
+        const ghost = new Gem(this.scene, gem.x, gem.y, gem.gemType, gem.special);
+        ghost.disableInteractive();
+        ghost.setAlpha(SLIDES.GHOST_ALPHA);
+        ghost.setVisible(false);
+        return ghost;
     }
 
     /**
-     * Identifies the type of pattern formed by a set of matching gems.
+     * Moves a slide's gems `offset` pixels along their line.
+     * With wrap-around, a gem pushed past one end of the board comes back
+     * in at the other, and while it hangs over the edge its ghost shows
+     * the part coming in. Without it, gems past the edge fade to show
+     * they'll be lost.
      */
-    identifyPattern(gems) {
-        const gemArray = Array.from(gems);
-        const minX = Math.min(...gemArray.map(g => g.gridX));
-        const maxX = Math.max(...gemArray.map(g => g.gridX));
-        const minY = Math.min(...gemArray.map(g => g.gridY));
-        const maxY = Math.max(...gemArray.map(g => g.gridY));
-        
-        const width = maxX - minX + 1;
-        const height = maxY - minY + 1;
-        
-        if (width === 3 && height === 3) {
-            return 'L_shape';
-        } else if ((width === 3 && height === 2) || (width === 2 && height === 3)) {
-            return 'T_shape';
-        } else if (width === 3 && height === 3) {
-            return 'cross';
-        }
-        
-        return 'special';
+    moveSlide(slide, offset) {
+        const axis = slide.type === 'row' ? 'x' : 'y';
+        const origin = this.position[axis];
+        const span = (slide.type === 'row' ? this.width : this.height) * this.cellSize;
+        const half = this.cellSize / 2;
+
+        slide.gems.forEach(({ gem, start, ghost }) => {
+            let position = start[axis] + offset;
+
+            if (ghost) {
+                // Where the gem's leading edge sits on the board
+                const edge = Phaser.Math.Wrap(position - half - origin, 0, span);
+                position = origin + edge + half;
+
+                ghost[axis] = position - span;
+                ghost.setVisible(edge > span - this.cellSize);
+            } else {
+                const onBoard = position > origin && position < origin + span;
+                gem.setAlpha(onBoard ? 1 : SLIDES.GHOST_ALPHA);
+            }
+
+            gem[axis] = position;
+        });
     }
 
     /**
-     * Processes all matches found on the board.
-     * This includes removing matched gems, calculating scores,
-     * and triggering gem falling and refilling.
+     * Removes a slide's ghosts once its gems have settled.
      */
-    async processMatches(matches) {
-        // First mark all matching gems
-        matches.forEach(match => {
-            match.gems.forEach(gem => gem.setMatched(true));
+    endSlide(slide) {
+        slide.gems.forEach(({ gem, ghost }) => {
+            ghost?.destroy();
+            if (gem.active) {
+                gem.setAlpha(1);
+            }
         });
+    }
 
-        // Update score in the game scene
-        if (this.scene.updateScore) {
-            this.scene.updateScore(matches);
-        }
-
-        // Animate and remove matched gems
-        await this.removeMatches(matches);
+    /**
+     * Adds the gem sprites for a match's cells.
+     */
+    attachGems(match) {
+        return {
+            ...match,
+            gems: match.cells.map(cell => this.gems[cell.x][cell.y])
+        };
+    }
 
-        // Handle gems falling to fill empty spaces
-        await this.handleFalling();
+    /**
+     * Resolves the matches already on the board and everything they set
+     * off, playing the result back through the Game scene.
+     */
+    async processMatches() {
+        const steps = this.scene.cascadeResolver.resolve(this.board);
+        await this.scene.playSteps(steps);
+    }
 
-        // Check for new matches after falling
-        const newMatches = this.findMatches();
-        if (newMatches.length > 0) {
-            // Recursively process new matches (creating chains)
-            await this.processMatches(newMatches);
-        }
+    /**
+     * Clears matches through the board model, so special gems caught in
+     * them go off and big matches leave a new special behind.
+     * `enabledSpecials` limits which specials can be created.
+     * Resolves with the board's { cleared, triggered, spawned } once the
+     * removal animations have finished.
+     */
+    async clearMatches(matches, enabledSpecials = undefined) {
+        const result = this.board.resolveMatches(matches, enabledSpecials);
+        await this.showClearedGems(result);
+        return result;
     }
 
     /**
-     * Removes matched gems from the board with appropriate animations.
-     * Returns a promise that resolves when all animations are complete.
+     * Plays out a resolveMatches result already applied to the board:
+     * specials and combinations go off, cleared gems disappear, new
+     * specials pop in and hit blockers are redrawn.
+     * Resolves once the removal animations have finished.
      */
-    async removeMatches(matches) {
+    async showClearedGems(result) {
         const removalPromises = [];
 
-        matches.forEach(match => {
-            match.gems.forEach(gem => {
-                // Remove from grid array
-                this.gems[gem.gridX][gem.gridY] = null;
-                
-                // Play removal animation
+        // Show each combination and special going off before the gems disappear
+        result.combinations.forEach(combo => {
+            this.scene.particleSystem?.createCombinationEffect(
+                combo.combination,
+                this.gridToPixel(combo.x, combo.y),
+                this.cellSize
+            );
+        });
+        result.triggered.forEach(trigger => {
+            this.scene.particleSystem?.createSpecialEffect(
+                trigger.special,
+                this.gridToPixel(trigger.x, trigger.y),
+                this.cellSize
+            );
+        });
+
+        result.cleared.forEach(cell => {
+            const gem = this.gems[cell.x][cell.y];
+            this.gems[cell.x][cell.y] = null;
+
+            // Play removal animation
+            if (gem) {
                 removalPromises.push(gem.playDestroyAnimation());
-            });
+            }
         });
 
+        // New specials pop in where their match was
+        result.spawned.forEach(spawn => {
+            const gem = this.createGem(spawn.x, spawn.y, spawn.type, spawn.special);
+            gem.setScale(0);
+            this.gems[spawn.x][spawn.y] = gem;
+
+            removalPromises.push(new Promise(resolve => {
+                this.scene.tweens.add({
+                    targets: gem,
+                    scale: 1,
+                    duration: 300,
+                    delay: 150,
+                    ease: 'Back.easeOut',
+                    onComplete: resolve
+                });
+            }));
+        });
+
+        // Show chains and ice that were hit
+        result.blockers.forEach(({ x, y }) => this.updateBlocker(x, y));
+
         // Wait for all removal animations to complete
         await Promise.all(removalPromises);
     }
-// core/GemGrid.js - Part 4: Gem Falling and Board Refilling
 
     /**
-     * Handles the process of gems falling to fill empty spaces.
-     * This creates the cascading effect after matches are removed.
-     * Returns a promise that resolves when all falling animations complete.
+     * Collects the items that have reached the bottom of their column,
+     * lifting them off the board. Resolves with their { x, y } once
+     * the animation has finished; the cells are left empty to refill.
      */
-    async handleFalling() {
-        // We process columns independently, from bottom to top
-        const fallingPromises = [];
-        
-        for (let x = 0; x < this.width; x++) {
-            // First, calculate how far each gem needs to fall
-            let fallDistance = 0;
-            
-            // Start from the bottom of the grid
-            for (let y = this.height - 1; y >= 0; y--) {
-                if (!this.gems[x][y]) {
-                    // Found an empty space, increase fall distance
-                    fallDistance++;
-                } else if (fallDistance > 0) {
-                    // This gem needs to fall by the accumulated distance
-                    const gem = this.gems[x][y];
-                    
-                    // Update grid array
-                    this.gems[x][y] = null;
-                    this.gems[x][y + fallDistance] = gem;
-                    
-                    // Update gem's grid position
-                    gem.gridY += fallDistance;
-                    
-                    // Calculate new pixel position
-                    const targetPos = this.gridToPixel(x, gem.gridY);
-                    
-                    // Create falling animation with acceleration
-                    fallingPromises.push(this.animateGemFall(gem, targetPos, fallDistance));
-                }
-            }
-        }
-
-        // Wait for all falling animations to complete
-        await Promise.all(fallingPromises);
-        
-        // Now refill empty spaces at the top
-        await this.refillBoard();
+    async collectItems() {
+        const collected = this.board.collectItems();
+        await this.liftItems(collected);
+        return collected;
     }
 
     /**
-     * Creates a natural-looking falling animation for a gem.
-     * The animation accelerates to simulate gravity.
+     * Lifts collected items, given as { x, y }, off the board and removes
+     * their sprites. The board model has already let them go.
      */
-    animateGemFall(gem, targetPos, fallDistance) {
-        return new Promise(resolve => {
-            // Calculate duration based on fall distance
-            // Longer falls take more time, but not linearly
-            const duration = Math.min(
-                500, // Maximum duration
-                200 + (fallDistance * 100) // Base duration plus distance factor
-            );
+    liftItems(items) {
+        return Promise.all(items.map(({ x, y }) => {
+            const gem = this.gems[x][y];
+            this.gems[x][y] = null;
+            if (!gem) {
+                return null;
+            }
 
-            // Create the falling tween with acceleration
-            this.scene.tweens.add({
-                targets: gem,
-                x: targetPos.x,
-                y: targetPos.y,
-                duration: duration,
-                ease: 'Bounce.easeOut', // Give a slight bounce at the end
-                onComplete: () => {
-                    // Play landing sound with volume based on fall distance
-                    const volume = Math.min(1.0, fallDistance / 5);
-                    if (this.scene.audioManager) {
-                        this.scene.audioManager.playGemLand(volume);
+            return new Promise(resolve => {
+                this.scene.tweens.add({
+                    targets: gem,
+                    y: gem.y - this.cellSize,
+                    scale: 1.4,
+                    alpha: 0,
+                    duration: 400,
+                    ease: 'Quad.easeOut',
+                    onComplete: () => {
+                        gem.destroy();
+                        resolve();
                     }
-                    resolve();
-                }
+                });
             });
-        });
-    }
-
-    /**
-     * Refills empty spaces at the top of the board with new gems.
-     * Creates a flowing animation as new gems appear and fall into place.
-     */
-    async refillBoard() {
-        const refillPromises = [];
-
-        for (let x = 0; x < this.width; x++) {
-            let emptySpaces = 0;
-            
-            // Count empty spaces in this column
-            for (let y = 0; y < this.height; y++) {
-                if (!this.gems[x][y]) {
-                    emptySpaces++;
-                    
-                    // Create new gem above the board
-                    const startPos = this.gridToPixel(x, -emptySpaces);
-                    const gem = this.createGemAt(x, y);
-                    
-                    // Position gem above the board initially
-                    gem.x = startPos.x;
-                    gem.y = startPos.y;
-                    gem.alpha = 0; // Start invisible
-                    
-                    // Store in grid array
-                    this.gems[x][y] = gem;
-                    
-                    // Create animation for new gem entry
-                    refillPromises.push(this.animateNewGem(gem, x, y, emptySpaces));
-                }
-            }
-        }
-
-        // Wait for all new gems to finish falling
-        await Promise.all(refillPromises);
+        }));
     }
+// core/GemGrid.js - Part 4: Gem Falling and Board Refilling
 
     /**
-     * Creates a smooth animation for new gems entering the board.
-     * Gems fade in as they fall to create a natural appearance.
+     * Moves gem sprites in the grid array to follow falls made on the
+     * board model. Returns the falls with their gems attached.
      */
-    animateNewGem(gem, x, y, delayFactor) {
-        return new Promise(resolve => {
-            // Calculate final position
-            const targetPos = this.gridToPixel(x, y);
-            
-            // Create a sequence of animations
-            const timeline = this.scene.tweens.createTimeline();
-
-            // First fade the gem in
-            timeline.add({
-                targets: gem,
-                alpha: 1,
-                duration: 200,
-                delay: delayFactor * 50, // Stagger the appearances
-                ease: 'Linear'
-            });
-
-            // Then make it fall into place
-            timeline.add({
-                targets: gem,
-                y: targetPos.y,
-                duration: 500,
-                ease: 'Bounce.easeOut',
-                onComplete: resolve
-            });
+    applyFalls(falls) {
+        // Pick up every falling gem before placing any of them
+        const withGems = falls.map(fall => ({
+            ...fall,
+            gem: this.gems[fall.from.x][fall.from.y]
+        }));
+
+        withGems.forEach(({ from }) => {
+            this.gems[from.x][from.y] = null;
+        });
 
-            timeline.play();
+        withGems.forEach(({ gem, to }) => {
+            this.gems[to.x][to.y] = gem;
+            gem.gridX = to.x;
+            gem.gridY = to.y;
         });
+
+        return withGems;
     }
 // core/GemGrid.js - Part 5: State Management and Utilities
 
@@ -671,10 +637,10 @@ export class GemGrid {
         this.updateGemAnimations(delta);
 
         // Check for automatic matches if we're in an idle state
-        if (this.canInput && !this.isProcessing) {
+        if (this.scene.gameState.isInteractive()) {
             const automaticMatches = this.findMatches();
             if (automaticMatches.length > 0) {
-                this.processMatches(automaticMatches);
+                this.processMatches();
             }
         }
     }
@@ -739,112 +705,218 @@ export class GemGrid {
     }
 
     /**
-     * Checks if there are any possible moves available on the board.
+     * Checks if there are any possible moves available on the board,
+     * for whichever input mechanic is in play.
      * If not, we might need to reshuffle.
      */
     hasValidMoves() {
-        // Check each position on the board
-        for (let x = 0; x < this.width; x++) {
-            for (let y = 0; y < this.height; y++) {
-                // Get adjacent gems
-                const adjacent = this.getAdjacentGems(x, y);
-                
-                // Try swapping with each adjacent gem
-                for (const adjGem of adjacent) {
-                    if (this.wouldCreateMatch(
-                        this.gems[x][y],
-                        adjGem
-                    )) {
-                        return true;
-                    }
-                }
-            }
-        }
-        return false;
+        return this.moveFinder.hasMoves(this.board, this.inputMode);
     }
 
     /**
      * Reshuffles the board when no moves are available.
-     * Ensures the new configuration has valid moves.
+     * Ensures the new configuration has valid moves. The Game scene's
+     * shuffleBoard holds off input while this plays.
      */
     async reshuffleBoard() {
-        // Disable input during reshuffle
-        this.canInput = false;
+        // Shuffle gems until we have a valid board
+        do {
+            this.board.shuffle(this.rng.next);
+        } while (!this.hasValidMoves() || this.board.findMatches().length > 0);
 
-        // Create fade out animation for all gems
+        await this.playShuffle();
+    }
+
+    /**
+     * Shows a shuffle already made on the board: the gems fade out and
+     * come back in their new cells.
+     */
+    async playShuffle() {
+        // Fade out all gems and wait for it to complete
+        await this.fadeGems(0, () => 0);
+
+        this.syncGemsToBoard();
+
+        // Fade gems back in with a cascade effect, bottom row first
+        await this.fadeGems(1, (x, y) => (this.height - y) * 50);
+    }
+
+    /**
+     * Tweens every gem's alpha, with a per-cell delay.
+     * Returns a promise that resolves when all the fades are done.
+     */
+    fadeGems(alpha, getDelay) {
         const fadePromises = [];
+
         for (let x = 0; x < this.width; x++) {
             for (let y = 0; y < this.height; y++) {
                 const gem = this.gems[x][y];
-                fadePromises.push(
+                if (!gem) continue;
+
+                fadePromises.push(new Promise(resolve => {
                     this.scene.tweens.add({
                         targets: gem,
-                        alpha: 0,
+                        alpha: alpha,
                         duration: 300,
-                        ease: 'Linear'
-                    })
-                );
+                        delay: getDelay(x, y),
+                        ease: 'Linear',
+                        onComplete: resolve
+                    });
+                }));
             }
         }
 
-        // Wait for fade out to complete
-        await Promise.all(fadePromises);
+        return Promise.all(fadePromises);
+    }
 
-        // Shuffle gems until we have a valid board
-        do {
-            this.shuffleGems();
-        } while (!this.hasValidMoves() || this.findMatches().length > 0);
+    // Gem sprites are interchangeable when their type and special match
+    getGemKey(gem) {
+        return `${gem.gemType}:${gem.special ?? ''}`;
+    }
 
-        // Fade gems back in with a cascade effect
-        const fadeInPromises = [];
-        for (let y = this.height - 1; y >= 0; y--) {
-            for (let x = 0; x < this.width; x++) {
-                const gem = this.gems[x][y];
-                fadeInPromises.push(
-                    this.scene.tweens.add({
-                        targets: gem,
-                        alpha: 1,
-                        duration: 300,
-                        delay: (this.height - y) * 50,
-                        ease: 'Linear'
-                    })
-                );
+    // The sprite key the board wants at a cell
+    getCellKey(x, y) {
+        return `${this.board.getType(x, y)}:${this.board.getSpecial(x, y) ?? ''}`;
+    }
+
+    /**
+     * Rearranges the existing gem sprites so they match the board data.
+     * Gems of the same type are interchangeable, so each cell just takes
+     * any spare sprite of the type the board wants there.
+     */
+    syncGemsToBoard() {
+        // Group the current sprites by type
+        const spares = new Map();
+        this.gems.flat().forEach(gem => {
+            if (!gem) return;
+            const key = this.getGemKey(gem);
+            if (!spares.has(key)) {
+                spares.set(key, []);
+            }
+            spares.get(key).push(gem);
+        });
+
+        // Hand them back out cell by cell
+        for (let x = 0; x < this.width; x++) {
+            for (let y = 0; y < this.height; y++) {
+                const type = this.board.getType(x, y);
+                const gem = type ? spares.get(this.getCellKey(x, y))?.pop() : null;
+                this.gems[x][y] = gem || null;
+
+                if (gem) {
+                    const pixelPos = this.gridToPixel(x, y);
+                    gem.gridX = x;
+                    gem.gridY = y;
+                    gem.setPosition(pixelPos.x, pixelPos.y);
+                }
+            }
+        }
+    }
+
+    /**
+     * Animates the board from its current layout to a new one.
+     * Gems already showing the right type stay put, spare gems slide over
+     * to cells that need their type, and anything left over fades out
+     * while missing gems fade in. Used when undoing moves.
+     */
+    async transitionToLayout(cells, specials = null, blockers = null) {
+        this.board.setCells(cells, specials, blockers);
+        this.drawBlockers();
+
+        const nextGems = [];
+        const spares = new Map();
+        const promises = [];
+
+        // Keep gems that already match, collect the rest as spares
+        for (let x = 0; x < this.width; x++) {
+            nextGems[x] = [];
+            for (let y = 0; y < this.height; y++) {
+                const gem = this.gems[x]?.[y];
+                if (gem && this.getGemKey(gem) === this.getCellKey(x, y)) {
+                    nextGems[x][y] = gem;
+                } else {
+                    nextGems[x][y] = null;
+                    if (gem) {
+                        const key = this.getGemKey(gem);
+                        if (!spares.has(key)) {
+                            spares.set(key, []);
+                        }
+                        spares.get(key).push(gem);
+                    }
+                }
             }
         }
 
-        // Wait for fade in to complete
-        await Promise.all(fadeInPromises);
+        // Fill the remaining cells from the spares, or with new gems
+        for (let x = 0; x < this.width; x++) {
+            for (let y = 0; y < this.height; y++) {
+                const type = this.board.getType(x, y);
+                if (nextGems[x][y] || !type) {
+                    continue;
+                }
+
+                const targetPos = this.gridToPixel(x, y);
+                let gem = spares.get(this.getCellKey(x, y))?.pop();
+
+                if (gem) {
+                    promises.push(gem.moveTo(targetPos.x, targetPos.y, 300));
+                } else {
+                    gem = this.createGem(x, y, type, this.board.getSpecial(x, y));
+                    gem.alpha = 0;
+                    promises.push(new Promise(resolve => {
+                        this.scene.tweens.add({
+                            targets: gem,
+                            alpha: 1,
+                            duration: 300,
+                            ease: 'Linear',
+                            onComplete: resolve
+                        });
+                    }));
+                }
+
+                gem.gridX = x;
+                gem.gridY = y;
+                nextGems[x][y] = gem;
+            }
+        }
 
-        // Re-enable input
-        this.canInput = true;
+        // Fade out whatever wasn't needed
+        spares.forEach(gems => {
+            gems.forEach(gem => promises.push(gem.playDestroyAnimation()));
+        });
+
+        this.gems = nextGems;
+        await Promise.all(promises);
     }
 
     /**
-     * Helper method to shuffle gems on the board.
-     * Used during reshuffling when no moves are available.
+     * Checks that every gem sprite agrees with the board data.
+     * Returns a list of problems, empty when the grid is consistent.
      */
-    shuffleGems() {
-        // Create array of all gems
-        const allGems = this.gems.flat();
-        
-        // Fisher-Yates shuffle
-        for (let i = allGems.length - 1; i > 0; i--) {
-            const j = Math.floor(Math.random() * (i + 1));
-            
-            // Swap grid positions
-            const tempX = allGems[i].gridX;
-            const tempY = allGems[i].gridY;
-            
-            allGems[i].gridX = allGems[j].gridX;
-            allGems[i].gridY = allGems[j].gridY;
-            
-            allGems[j].gridX = tempX;
-            allGems[j].gridY = tempY;
-            
-            // Update grid array
-            this.gems[allGems[i].gridX][allGems[i].gridY] = allGems[i];
-            this.gems[allGems[j].gridX][allGems[j].gridY] = allGems[j];
+    verifyIntegrity() {
+        const problems = [];
+
+        for (let x = 0; x < this.width; x++) {
+            for (let y = 0; y < this.height; y++) {
+                const type = this.board.getType(x, y);
+                const gem = this.gems[x]?.[y];
+
+                if (!type && !gem) {
+                    continue;
+                }
+                if (!gem || !gem.active) {
+                    problems.push(`(${x}, ${y}): board has ${type} but there is no gem`);
+                } else if (gem.gemType !== type) {
+                    problems.push(`(${x}, ${y}): board has ${type} but gem is ${gem.gemType}`);
+                } else if ((gem.special ?? null) !== this.board.getSpecial(x, y)) {
+                    problems.push(`(${x}, ${y}): board has special ${this.board.getSpecial(x, y)} but gem has ${gem.special}`);
+                } else if (gem.gridX !== x || gem.gridY !== y) {
+                    problems.push(`(${x}, ${y}): gem thinks it is at (${gem.gridX}, ${gem.gridY})`);
+                }
+            }
         }
+
+        return problems;
     }
 
     /**
@@ -852,17 +924,161 @@ export class GemGrid {
      * Called when transitioning away from the game.
      */
     destroy() {
-        // Destroy all gems
+        this.destroyGems();
+        this.destroyBlockers();
+        if (this.background) {
+            this.background.destroy();
+            this.background = null;
+        }
+        this.selectedGem = null;
+    }
+
+    // Destroy all gem sprites and clear the grid array
+    destroyGems() {
+        this.gems.flat().forEach(gem => {
+            if (gem) {
+                gem.destroy();
+            }
+        });
+        this.gems = [];
+    }
+
+    // core/GemGrid.js - Notation
+
+    /**
+     * Writes the board as it's shown, in the text notation from
+     * core/BoardNotation.js. Gems come from the sprites, so a board whose
+     * sprites have drifted from the data shows up as it looks.
+     */
+    toNotation() {
+        return writeNotation(this.width, this.height, (x, y) => {
+            if (!this.board.isValidPosition(x, y)) {
+                return null;
+            }
+
+            const gem = this.gems[x]?.[y];
+            return {
+                type: gem?.gemType ?? null,
+                special: gem?.special ?? null,
+                blocker: this.board.getBlocker(x, y)
+            };
+        });
+    }
+
+    /**
+     * Replaces the board with one written in the text notation, straight
+     * away. Throws a NotationError if the text can't be read, or doesn't
+     * fit this board: the size and the holes have to be the same.
+     */
+    loadNotation(text) {
+        const { width, height, cells, specials, blockers, mask } = parseNotation(text);
+        if (width !== this.width || height !== this.height) {
+            throw new NotationError([`the board is ${width}x${height}, but this grid is ${this.width}x${this.height}`]);
+        }
+
+        const isCell = (x, y) => !mask || mask[x][y];
         for (let x = 0; x < this.width; x++) {
             for (let y = 0; y < this.height; y++) {
-                if (this.gems[x][y]) {
-                    this.gems[x][y].destroy();
+                if (isCell(x, y) !== this.board.isValidPosition(x, y)) {
+                    throw new NotationError([`row ${y + 1}, column ${x + 1} is ${isCell(x, y) ? 'a cell' : 'a hole'}, but not on this board`]);
                 }
             }
         }
 
-        // Clear arrays and references
-        this.gems = [];
-        this.selectedGem = null;
+        this.loadBoard(cells, specials, blockers);
+    }
+
+    // core/GemGrid.js - Blockers
+
+    /**
+     * Redraws the graphics for every blocker on the board.
+     */
+    drawBlockers() {
+        this.destroyBlockers();
+
+        for (let x = 0; x < this.width; x++) {
+            this.blockerSprites[x] = [];
+            for (let y = 0; y < this.height; y++) {
+                this.blockerSprites[x][y] = this.createBlockerSprite(x, y);
+            }
+        }
+    }
+
+    /**
+     * Redraws one cell's blocker after it has been hit, with a flash so
+     * the player sees it crack or break.
+     */
+    updateBlocker(x, y) {
+        const old = this.blockerSprites[x]?.[y];
+        if (old) {
+            this.scene.tweens.add({
+                targets: old,
+                alpha: 0,
+                scale: 1.2,
+                duration: 200,
+                onComplete: () => old.destroy()
+            });
+        }
+
+        if (this.blockerSprites[x]) {
+            this.blockerSprites[x][y] = this.createBlockerSprite(x, y);
+        }
+    }
+
+    /**
+     * Draws the blocker in a cell, or returns null if there isn't one.
+     * Ice and chains sit over the gem; stone fills the cell.
+     */
+    createBlockerSprite(x, y) {
+        const blocker = this.board.getBlocker(x, y);
+        if (!blocker) {
+            return null;
+        }
+
+        const pixelPos = this.gridToPixel(x, y);
+        const half = this.cellSize / 2 - 3;
+        const graphics = this.scene.add.graphics({ x: pixelPos.x, y: pixelPos.y });
+        graphics.setDepth(1);
+
+        if (blocker.type === BLOCKER_TYPES.STONE) {
+            graphics.fillStyle(0x6B6B6B, 1);
+            graphics.fillRoundedRect(-half, -half, half * 2, half * 2, 8);
+            graphics.lineStyle(3, 0x3A3A3A, 1);
+            graphics.strokeRoundedRect(-half, -half, half * 2, half * 2, 8);
+        } else if (blocker.type === BLOCKER_TYPES.ICE) {
+            // Thicker ice is more opaque
+            graphics.fillStyle(0xBFEFFF, 0.2 + 0.15 * blocker.strength);
+            graphics.fillRoundedRect(-half, -half, half * 2, half * 2, 6);
+            graphics.lineStyle(2, 0xFFFFFF, 0.8);
+            graphics.strokeRoundedRect(-half, -half, half * 2, half * 2, 6);
+
+            // Cracks once it's been hit
+            if (blocker.strength < BLOCKERS.ICE_STRENGTH) {
+                graphics.beginPath();
+                graphics.moveTo(-half * 0.6, -half * 0.7);
+                graphics.lineTo(-half * 0.1, -half * 0.1);
+                graphics.lineTo(-half * 0.3, half * 0.4);
+                graphics.moveTo(-half * 0.1, -half * 0.1);
+                graphics.lineTo(half * 0.6, half * 0.2);
+                graphics.strokePath();
+            }
+        } else if (blocker.type === BLOCKER_TYPES.CHAIN) {
+            graphics.lineStyle(5, 0x9A9A9A, 1);
+            graphics.lineBetween(-half, -half, half, half);
+            graphics.lineBetween(-half, half, half, -half);
+            graphics.fillStyle(0x5A5A5A, 1);
+            graphics.fillRect(-8, -8, 16, 16);
+        }
+
+        return graphics;
+    }
+
+    destroyBlockers() {
+        this.blockerSprites.flat().forEach(sprite => {
+            if (sprite) {
+                sprite.destroy();
+            }
+        });
+        this.blockerSprites = [];
     }
 }
\ No newline at end of file
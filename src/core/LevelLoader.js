@@ -0,0 +1,701 @@
+// core/LevelLoader.js
+// Reads and checks level files
+// A level file is plain JSON, so levels can be written without touching
+// any code. parseLevel turns one into the level object the Game scene is
+// built from, or throws a LevelError listing everything wrong with it.
+//
+// Example level file (rows of text are read top row first):
+//
+//   {
+//       "format": 1,
+//       "name": "Frozen Middle",
+//       "board": {
+//           "width": 5,
+//           "height": 5,
+//           "shape": "diamond",          // or "mask": ["..#..", ".###.", ...]
+//           "wrap": false                // optional: slides push gems off instead of
+//                                        // wrapping them round (default true)
+//       },
+//       "colors": ["blue", "green", "red", "yellow"],
+//       "layout": ["?????", ...],        // optional: gem codes, ? for random, * for an item
+//       "blockers": ["..I..", ...],      // optional: I ice, S stone, C chain
+//       "gravity": "down",               // optional: down, up, left or right, or
+//                                        // { "direction": "down", "columns": { "2": "up" } }
+//                                        // ("rows" instead for left/right gravity)
+//       "limits": { "moves": 20 },       // or { "time": 90 } in seconds
+//       "objectives": [
+//           { "type": "score", "target": 5000 },
+//           { "type": "collect", "color": "red", "count": 20 },
+//           { "type": "clearBlockers", "blocker": "ice" },
+//           { "type": "dropItems" }      // items from the layout; optional "count"
+//       ],
+//       "stars": [2000, 5000, 9000],
+//       "scoring": {                     // optional: changes to the SCORING rules
+//           "lengths": { "3": 50 },      // base points by match size
+//           "shapes": { "T": 3 },        // multipliers by shape
+//           "cascade": { "perLink": 1, "max": 4 },
+//           "specials": { "created": { "bomb": 500 }, "triggered": { "bomb": 0 } },
+//           "combinations": { "bomb+bomb": 5000 }
+//       }
+//   }
+
+import { BoardModel, DEFAULT_GEM_TYPES } from './BoardModel';
+import { createBoardMask } from './BoardShapes';
+import { BLOCKER_TYPES, BOARD_SHAPES, GRAVITY, ITEMS, LEVEL_FORMAT, MATCH_SHAPES, OBJECTIVE_TYPES, SCORING, SLIDES, SPECIAL_TYPES } from '../utils/Constants';
+
+// Board size used when a game isn't played from a level file
+const DEFAULT_WIDTH = 7;
+const DEFAULT_HEIGHT = 8;
+
+/**
+ * Thrown for a level file that can't be used. The message names the file
+ * and lists every problem found, one per line.
+ */
+export class LevelError extends Error {
+    constructor(source, problems) {
+        super(`Level "${source}" is invalid:\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+        this.name = 'LevelError';
+        this.source = source;
+        this.problems = problems;
+    }
+}
+
+/**
+ * Builds the level used for endless play: a full board of every colour,
+ * with no limits or objectives. `overrides` can replace any field.
+ */
+export function createDefaultLevel(overrides = {}) {
+    return {
+        format: LEVEL_FORMAT.VERSION,
+        id: null,
+        name: 'Endless',
+        width: DEFAULT_WIDTH,
+        height: DEFAULT_HEIGHT,
+        mask: null,
+        wrap: SLIDES.WRAP,
+        colors: [...DEFAULT_GEM_TYPES],
+        layout: null,
+        blockers: null,
+        gravity: { direction: GRAVITY.DOWN, overrides: {} },
+        limits: { moves: null, time: null },
+        objectives: [],
+        stars: [],
+        scoring: null,
+        ...overrides
+    };
+}
+
+/**
+ * Checks a level file and converts it into a level object.
+ * `input` is the file's JSON text or the already-parsed object, and
+ * `source` names it in error messages (usually the level id).
+ * Grids in the result are indexed [x][y] like BoardModel:
+ *  - mask: booleans, or null for a full rectangle
+ *  - layout: gem type ids (or ITEMS.TYPE), with null for a random gem; or null
+ *  - blockers: { type, strength }, or null; or null for none
+ *  - gravity: { direction, overrides } where overrides maps column (or
+ *    row, for sideways gravity) indexes to their own direction
+ */
+export function parseLevel(input, source = 'level') {
+    let data = input;
+    if (typeof input === 'string') {
+        try {
+            data = JSON.parse(input);
+        } catch (error) {
+            throw new LevelError(source, [`file is not valid JSON (${error.message})`]);
+        }
+    }
+
+    if (!isPlainObject(data)) {
+        throw new LevelError(source, ['expected a JSON object at the top level']);
+    }
+
+    const problems = [];
+
+    if (data.format !== LEVEL_FORMAT.VERSION) {
+        problems.push(`"format" must be ${LEVEL_FORMAT.VERSION}, found ${describe(data.format)}`);
+    }
+    if (data.name !== undefined && typeof data.name !== 'string') {
+        problems.push(`"name" must be a string, found ${describe(data.name)}`);
+    }
+
+    // The board's size has to be right before anything else can be checked
+    const board = isPlainObject(data.board) ? data.board : {};
+    if (!isPlainObject(data.board)) {
+        problems.push('"board" is missing; it needs at least a width and height');
+    }
+    const width = readSize(board.width, 'board.width', problems);
+    const height = readSize(board.height, 'board.height', problems);
+
+    if (width === null || height === null) {
+        throw new LevelError(source, problems);
+    }
+
+    const colors = readColors(data.colors, problems);
+    const mask = readMask(board, width, height, problems);
+    const isCell = (x, y) => !mask || mask[x][y];
+
+    const level = {
+        format: LEVEL_FORMAT.VERSION,
+        id: typeof data.id === 'string' ? data.id : source,
+        name: typeof data.name === 'string' ? data.name : source,
+        width,
+        height,
+        mask,
+        wrap: readWrap(board.wrap, problems),
+        colors,
+        layout: readLayout(data.layout, width, height, isCell, colors, problems),
+        blockers: readBlockers(data.blockers, width, height, isCell, problems),
+        gravity: readGravity(data.gravity, width, height, problems),
+        limits: readLimits(data.limits, problems),
+        objectives: readObjectives(data.objectives, colors, problems),
+        stars: readStars(data.stars, problems),
+        scoring: readScoring(data.scoring, problems)
+    };
+
+    // Random gems are chosen around the fixed ones, but can't undo a
+    // match the layout makes by itself
+    if (level.layout) {
+        problems.push(...findStartingMatches(level).map(describeStartingMatch));
+    }
+
+    // Items only come from the layout, so there must be some to drop
+    const hasItems = level.layout?.some(column => column.includes(ITEMS.TYPE));
+    if (!hasItems && level.objectives.some(objective => objective.type === OBJECTIVE_TYPES.DROP_ITEMS)) {
+        problems.push(`a "dropItems" objective needs items ("${LEVEL_FORMAT.ITEM_CODE}") in the layout`);
+    }
+
+    // Items pushed off the board by a slide would be lost for good
+    if (!level.wrap && level.objectives.some(objective => objective.type === OBJECTIVE_TYPES.DROP_ITEMS)) {
+        problems.push('a "dropItems" objective needs slides that wrap around; remove "board.wrap": false');
+    }
+
+    if (problems.length > 0) {
+        throw new LevelError(source, problems);
+    }
+
+    return level;
+}
+
+/**
+ * Finds matches the level's fixed layout gems make on their own, which
+ * would be on the board before the first move with nothing to clear them.
+ * Returns them the way BoardModel.findMatches does; empty when the
+ * layout is fine or there isn't one. Used by parseLevel and the
+ * LevelEditor.
+ */
+export function findStartingMatches(level) {
+    if (!level.layout) {
+        return [];
+    }
+
+    const board = new BoardModel(level.width, level.height, level.colors);
+    board.setCells(level.layout, null, level.blockers);
+    board.setMask(level.mask);
+    return board.findMatches();
+}
+
+/**
+ * Says where a match from findStartingMatches is, for a list of problems.
+ */
+export function describeStartingMatch(match) {
+    const cells = match.cells.map(cell => `row ${cell.y + 1}, column ${cell.x + 1}`).join('; ');
+    return `"layout" starts with a ${match.color} match, which nothing will clear: ${cells}`;
+}
+
+/**
+ * Turns a level object back into the file format, so levels built or
+ * changed in the editor can be saved. parseLevel(serializeLevel(level))
+ * gives back an equivalent level.
+ */
+export function serializeLevel(level) {
+    const { BLOCKER_CODES, CELL_CODE, GEM_CODES, HOLE_CODE, ITEM_CODE, RANDOM_CODE } = LEVEL_FORMAT;
+    const isCell = (x, y) => !level.mask || level.mask[x][y];
+    const codeFor = (codes, value) => Object.keys(codes).find(code => codes[code] === value);
+    const anyCell = test => Array.from({ length: level.width }).some((_, x) =>
+        Array.from({ length: level.height }).some((__, y) => test(x, y))
+    );
+    const rows = writeCell => Array.from({ length: level.height }, (_, y) =>
+        Array.from({ length: level.width }, (__, x) => writeCell(x, y)).join('')
+    );
+
+    const file = {
+        format: LEVEL_FORMAT.VERSION,
+        name: level.name,
+        board: { width: level.width, height: level.height },
+        colors: [...level.colors]
+    };
+
+    // Only write the optional grids when they have something in them
+    if (anyCell((x, y) => !isCell(x, y))) {
+        file.board.mask = rows((x, y) => (isCell(x, y) ? CELL_CODE : HOLE_CODE));
+    }
+    if ((level.wrap ?? SLIDES.WRAP) !== SLIDES.WRAP) {
+        file.board.wrap = level.wrap;
+    }
+    if (level.layout && anyCell((x, y) => isCell(x, y) && level.layout[x][y])) {
+        file.layout = rows((x, y) => {
+            if (!isCell(x, y)) return HOLE_CODE;
+            if (level.layout[x][y] === ITEMS.TYPE) return ITEM_CODE;
+            return codeFor(GEM_CODES, level.layout[x][y]) ?? RANDOM_CODE;
+        });
+    }
+    if (level.blockers && anyCell((x, y) => isCell(x, y) && level.blockers[x][y])) {
+        file.blockers = rows((x, y) => {
+            const blocker = isCell(x, y) ? level.blockers[x][y] : null;
+            return blocker ? codeFor(BLOCKER_CODES, blocker.type) : HOLE_CODE;
+        });
+    }
+
+    // Gravity is written as just its direction unless some lanes differ
+    const gravity = level.gravity ?? { direction: GRAVITY.DOWN, overrides: {} };
+    if (Object.keys(gravity.overrides).length > 0) {
+        file.gravity = {
+            direction: gravity.direction,
+            [BoardModel.isVertical(gravity.direction) ? 'columns' : 'rows']: { ...gravity.overrides }
+        };
+    } else if (gravity.direction !== GRAVITY.DOWN) {
+        file.gravity = gravity.direction;
+    }
+
+    if (level.limits?.moves) {
+        file.limits = { moves: level.limits.moves };
+    } else if (level.limits?.time) {
+        file.limits = { time: level.limits.time };
+    }
+
+    if (level.objectives?.length > 0) {
+        file.objectives = level.objectives.map(objective => {
+            const written = { ...objective };
+            if (written.count === null) {
+                delete written.count;
+            }
+            return written;
+        });
+    }
+    if (level.stars?.length > 0) {
+        file.stars = [...level.stars];
+    }
+    if (level.scoring) {
+        file.scoring = structuredClone(level.scoring);
+    }
+
+    return file;
+}
+
+// core/LevelLoader.js - Field readers
+// Each reader checks one part of the file, adding readable problems to
+// the list and returning its best guess so checking can carry on.
+
+function readSize(value, name, problems) {
+    const { MIN_SIZE, MAX_SIZE } = LEVEL_FORMAT;
+
+    if (!Number.isInteger(value) || value < MIN_SIZE || value > MAX_SIZE) {
+        problems.push(`"${name}" must be a whole number from ${MIN_SIZE} to ${MAX_SIZE}, found ${describe(value)}`);
+        return null;
+    }
+    return value;
+}
+
+function readWrap(value, problems) {
+    if (value === undefined) {
+        return SLIDES.WRAP;
+    }
+    if (typeof value !== 'boolean') {
+        problems.push(`"board.wrap" must be true or false, found ${describe(value)}`);
+        return SLIDES.WRAP;
+    }
+    return value;
+}
+
+function readColors(value, problems) {
+    if (value === undefined) {
+        return [...DEFAULT_GEM_TYPES];
+    }
+
+    if (!Array.isArray(value)) {
+        problems.push(`"colors" must be a list of gem colours, found ${describe(value)}`);
+        return [...DEFAULT_GEM_TYPES];
+    }
+
+    const unknown = value.filter(color => !DEFAULT_GEM_TYPES.includes(color));
+    if (unknown.length > 0) {
+        problems.push(`"colors" has unknown colours ${unknown.map(describe).join(', ')}; ` +
+            `choose from ${DEFAULT_GEM_TYPES.join(', ')}`);
+    }
+
+    const colors = [...new Set(value.filter(color => DEFAULT_GEM_TYPES.includes(color)))];
+    if (colors.length < LEVEL_FORMAT.MIN_COLORS) {
+        problems.push(`"colors" needs at least ${LEVEL_FORMAT.MIN_COLORS} different colours, found ${colors.length}`);
+    }
+    return colors;
+}
+
+function readMask(board, width, height, problems) {
+    if (board.mask !== undefined && board.shape !== undefined) {
+        problems.push('"board" can have a "shape" or a "mask", not both');
+    }
+
+    if (board.shape !== undefined) {
+        if (!Object.values(BOARD_SHAPES).includes(board.shape)) {
+            problems.push(`"board.shape" must be one of ${Object.values(BOARD_SHAPES).join(', ')}, found ${describe(board.shape)}`);
+            return null;
+        }
+        return createBoardMask(board.shape, width, height);
+    }
+
+    if (board.mask === undefined) {
+        return null;
+    }
+
+    const { CELL_CODE, HOLE_CODE } = LEVEL_FORMAT;
+    const mask = readRows(board.mask, 'board.mask', width, height, problems, (char, x, y) => {
+        if (char !== CELL_CODE && char !== HOLE_CODE) {
+            problems.push(`"board.mask" row ${y + 1}, column ${x + 1}: ` +
+                `use "${CELL_CODE}" for a cell or "${HOLE_CODE}" for a hole, found "${char}"`);
+        }
+        return char !== HOLE_CODE;
+    });
+
+    if (mask && !mask.flat().some(Boolean)) {
+        problems.push('"board.mask" has no cells in play');
+    }
+    return mask;
+}
+
+function readLayout(value, width, height, isCell, colors, problems) {
+    if (value === undefined) {
+        return null;
+    }
+
+    const { GEM_CODES, HOLE_CODE, ITEM_CODE, RANDOM_CODE } = LEVEL_FORMAT;
+    return readRows(value, 'layout', width, height, problems, (char, x, y) => {
+        const where = `"layout" row ${y + 1}, column ${x + 1}`;
+
+        if (!isCell(x, y)) {
+            if (char !== HOLE_CODE) {
+                problems.push(`${where} is a hole in the board, so it must be "${HOLE_CODE}"`);
+            }
+            return null;
+        }
+        if (char === RANDOM_CODE) {
+            return null;
+        }
+        if (char === ITEM_CODE) {
+            return ITEMS.TYPE;
+        }
+
+        const color = GEM_CODES[char];
+        if (!color) {
+            problems.push(`${where}: "${char}" isn't a gem code; ` +
+                `use ${Object.keys(GEM_CODES).join(', ')}, "${RANDOM_CODE}" for a random gem or "${ITEM_CODE}" for an item`);
+        } else if (!colors.includes(color)) {
+            problems.push(`${where} is ${color}, which isn't in "colors"`);
+        }
+        return color ?? null;
+    });
+}
+
+function readBlockers(value, width, height, isCell, problems) {
+    if (value === undefined) {
+        return null;
+    }
+
+    const { BLOCKER_CODES, HOLE_CODE } = LEVEL_FORMAT;
+    return readRows(value, 'blockers', width, height, problems, (char, x, y) => {
+        if (char === HOLE_CODE) {
+            return null;
+        }
+
+        const where = `"blockers" row ${y + 1}, column ${x + 1}`;
+        const type = BLOCKER_CODES[char];
+        if (!type) {
+            problems.push(`${where}: "${char}" isn't a blocker code; ` +
+                `use ${Object.entries(BLOCKER_CODES).map(([code, name]) => `${code} (${name})`).join(', ')} or "${HOLE_CODE}"`);
+            return null;
+        }
+        if (!isCell(x, y)) {
+            problems.push(`${where} is a hole in the board, so it can't hold ${type}`);
+            return null;
+        }
+        return { type, strength: BoardModel.getDefaultStrength(type) };
+    });
+}
+
+function readGravity(value, width, height, problems) {
+    const gravity = { direction: GRAVITY.DOWN, overrides: {} };
+    if (value === undefined) {
+        return gravity;
+    }
+
+    const directions = Object.values(GRAVITY);
+    const settings = typeof value === 'string' ? { direction: value } : value;
+    if (!isPlainObject(settings) || !directions.includes(settings.direction)) {
+        problems.push(`"gravity" must be ${directions.join(', ')}, or an object with one of those as "direction", ` +
+            `found ${describe(settings?.direction ?? value)}`);
+        return gravity;
+    }
+    gravity.direction = settings.direction;
+
+    // Lanes run along the direction of gravity, so sideways gravity
+    // overrides rows and up/down gravity overrides columns
+    const vertical = BoardModel.isVertical(settings.direction);
+    const laneName = vertical ? 'columns' : 'rows';
+    const otherName = vertical ? 'rows' : 'columns';
+    const laneCount = vertical ? width : height;
+    const allowed = directions.filter(direction => BoardModel.isVertical(direction) === vertical);
+
+    if (settings[otherName] !== undefined) {
+        problems.push(`"gravity.${otherName}" can't be used when gravity is ${settings.direction}; use "${laneName}"`);
+    }
+    if (settings[laneName] === undefined) {
+        return gravity;
+    }
+    if (!isPlainObject(settings[laneName])) {
+        problems.push(`"gravity.${laneName}" must be an object like { "2": "${allowed[1]}" }, found ${describe(settings[laneName])}`);
+        return gravity;
+    }
+
+    Object.entries(settings[laneName]).forEach(([lane, direction]) => {
+        const index = Number(lane);
+        if (!Number.isInteger(index) || index < 0 || index >= laneCount) {
+            problems.push(`"gravity.${laneName}" has "${lane}", which isn't one of the board's ${laneName} (0 to ${laneCount - 1})`);
+        } else if (!allowed.includes(direction)) {
+            problems.push(`"gravity.${laneName}" "${lane}" must be ${allowed.join(' or ')}, found ${describe(direction)}`);
+        } else {
+            gravity.overrides[index] = direction;
+        }
+    });
+
+    return gravity;
+}
+
+function readLimits(value, problems) {
+    const limits = { moves: null, time: null };
+    if (value === undefined) {
+        return limits;
+    }
+    if (!isPlainObject(value)) {
+        problems.push(`"limits" must be an object like { "moves": 20 }, found ${describe(value)}`);
+        return limits;
+    }
+
+    if (value.moves !== undefined) {
+        if (!Number.isInteger(value.moves) || value.moves < 1) {
+            problems.push(`"limits.moves" must be a whole number above 0, found ${describe(value.moves)}`);
+        } else {
+            limits.moves = value.moves;
+        }
+    }
+    if (value.time !== undefined) {
+        if (typeof value.time !== 'number' || !(value.time > 0)) {
+            problems.push(`"limits.time" must be a number of seconds above 0, found ${describe(value.time)}`);
+        } else {
+            limits.time = value.time;
+        }
+    }
+    if (value.moves !== undefined && value.time !== undefined) {
+        problems.push('"limits" can set "moves" or "time", not both');
+    }
+
+    return limits;
+}
+
+function readObjectives(value, colors, problems) {
+    if (value === undefined) {
+        return [];
+    }
+    if (!Array.isArray(value)) {
+        problems.push(`"objectives" must be a list, found ${describe(value)}`);
+        return [];
+    }
+
+    const types = Object.values(OBJECTIVE_TYPES);
+    const breakable = [BLOCKER_TYPES.ICE, BLOCKER_TYPES.CHAIN];
+
+    return value.map((objective, i) => {
+        const where = `"objectives" item ${i + 1}`;
+
+        if (!isPlainObject(objective) || !types.includes(objective.type)) {
+            problems.push(`${where} needs a "type" of ${types.join(', ')}, found ${describe(objective?.type ?? objective)}`);
+            return null;
+        }
+
+        const isCount = count => Number.isInteger(count) && count > 0;
+
+        switch (objective.type) {
+            case OBJECTIVE_TYPES.SCORE:
+                if (!isCount(objective.target)) {
+                    problems.push(`${where} (score) needs a "target" above 0, found ${describe(objective.target)}`);
+                }
+                return { type: objective.type, target: objective.target };
+
+            case OBJECTIVE_TYPES.COLLECT:
+                if (!colors.includes(objective.color)) {
+                    problems.push(`${where} (collect) needs a "color" from "colors", found ${describe(objective.color)}`);
+                }
+                if (!isCount(objective.count)) {
+                    problems.push(`${where} (collect) needs a "count" above 0, found ${describe(objective.count)}`);
+                }
+                return { type: objective.type, color: objective.color, count: objective.count };
+
+            case OBJECTIVE_TYPES.DROP_ITEMS:
+                if (objective.count !== undefined && !isCount(objective.count)) {
+                    problems.push(`${where} (dropItems) "count" must be above 0 or left out to mean all, found ${describe(objective.count)}`);
+                }
+                return { type: objective.type, count: objective.count ?? null };
+
+            default:
+                if (!breakable.includes(objective.blocker)) {
+                    problems.push(`${where} (clearBlockers) needs a "blocker" of ${breakable.join(' or ')}, found ${describe(objective.blocker)}`);
+                }
+                if (objective.count !== undefined && !isCount(objective.count)) {
+                    problems.push(`${where} (clearBlockers) "count" must be above 0 or left out to mean all, found ${describe(objective.count)}`);
+                }
+                return { type: objective.type, blocker: objective.blocker, count: objective.count ?? null };
+        }
+    }).filter(Boolean);
+}
+
+function readStars(value, problems) {
+    if (value === undefined) {
+        return [];
+    }
+
+    const valid = Array.isArray(value) &&
+        value.length === 3 &&
+        value.every((score, i) => Number.isInteger(score) && score > 0 && (i === 0 || score > value[i - 1]));
+
+    if (!valid) {
+        problems.push(`"stars" must be three rising scores like [1000, 3000, 6000], found ${describe(value)}`);
+        return [];
+    }
+    return [...value];
+}
+
+/**
+ * Reads the changes a level makes to the SCORING rules, or null if it
+ * makes none. Only what the level sets is kept; ScoringRules fills in
+ * the rest from the defaults.
+ */
+function readScoring(value, problems) {
+    if (value === undefined) {
+        return null;
+    }
+    if (!isPlainObject(value)) {
+        problems.push(`"scoring" must be an object like { "lengths": { "3": 50 } }, found ${describe(value)}`);
+        return null;
+    }
+
+    const isPoints = points => Number.isInteger(points) && points >= 0;
+    const isMultiplier = multiplier => typeof multiplier === 'number' && multiplier >= 0;
+    const specials = Object.values(SPECIAL_TYPES);
+
+    // Checks one table of points or multipliers, keeping the good entries.
+    // `keys` describes the keys it takes, and `isKey` tests one
+    const readTable = (table, name, keys, isKey, isAmount) => {
+        if (table === undefined) {
+            return undefined;
+        }
+        if (!isPlainObject(table)) {
+            problems.push(`"scoring.${name}" must be an object keyed by ${keys}, found ${describe(table)}`);
+            return undefined;
+        }
+
+        const read = {};
+        Object.entries(table).forEach(([key, amount]) => {
+            if (!isKey(key)) {
+                problems.push(`"scoring.${name}" has "${key}", but takes ${keys}`);
+            } else if (!isAmount(amount)) {
+                const kind = isAmount === isPoints ? 'a whole number of points' : 'a multiplier';
+                problems.push(`"scoring.${name}.${key}" must be ${kind} of 0 or more, found ${describe(amount)}`);
+            } else {
+                read[key] = amount;
+            }
+        });
+        return read;
+    };
+    const oneOf = names => [names.join(', '), key => names.includes(key)];
+
+    const known = ['lengths', 'shapes', 'cascade', 'specials', 'combinations'];
+    Object.keys(value).filter(key => !known.includes(key)).forEach(key => {
+        problems.push(`"scoring" has "${key}", which isn't one of ${known.join(', ')}`);
+    });
+
+    const scoring = {
+        lengths: readTable(value.lengths, 'lengths', 'match sizes', key => /^[1-9]\d*$/.test(key), isPoints),
+        shapes: readTable(value.shapes, 'shapes', ...oneOf(Object.values(MATCH_SHAPES)), isMultiplier),
+        combinations: readTable(value.combinations, 'combinations', ...oneOf(Object.keys(SCORING.combinations)), isPoints)
+    };
+
+    if (value.specials !== undefined) {
+        if (isPlainObject(value.specials)) {
+            scoring.specials = {
+                created: readTable(value.specials.created, 'specials.created', ...oneOf(specials), isPoints),
+                triggered: readTable(value.specials.triggered, 'specials.triggered', ...oneOf(specials), isPoints)
+            };
+        } else {
+            problems.push(`"scoring.specials" must be an object with "created" and "triggered" bonuses, found ${describe(value.specials)}`);
+        }
+    }
+
+    if (value.cascade !== undefined) {
+        const cascade = isPlainObject(value.cascade) ? value.cascade : {};
+        if (!isPlainObject(value.cascade)) {
+            problems.push(`"scoring.cascade" must be an object like { "perLink": 0.5 }, found ${describe(value.cascade)}`);
+        }
+        scoring.cascade = {};
+        if (cascade.perLink !== undefined) {
+            if (!isMultiplier(cascade.perLink)) {
+                problems.push(`"scoring.cascade.perLink" must be a number of 0 or more, found ${describe(cascade.perLink)}`);
+            } else {
+                scoring.cascade.perLink = cascade.perLink;
+            }
+        }
+        if (cascade.max !== undefined) {
+            if (cascade.max !== null && !(typeof cascade.max === 'number' && cascade.max >= 1)) {
+                problems.push(`"scoring.cascade.max" must be a multiplier of 1 or more, or null for no cap, found ${describe(cascade.max)}`);
+            } else {
+                scoring.cascade.max = cascade.max;
+            }
+        }
+    }
+
+    // Leave out whatever the level didn't set, so it keeps the default
+    return JSON.parse(JSON.stringify(scoring));
+}
+
+/**
+ * Reads rows of text (top row first) into a grid indexed [x][y],
+ * calling `readCell(char, x, y)` for each character.
+ * Returns null if the rows are the wrong shape.
+ */
+function readRows(rows, name, width, height, problems, readCell) {
+    if (!Array.isArray(rows) || rows.some(row => typeof row !== 'string')) {
+        problems.push(`"${name}" must be a list of ${height} strings, one per row`);
+        return null;
+    }
+    if (rows.length !== height) {
+        problems.push(`"${name}" has ${rows.length} rows, but the board is ${height} high`);
+        return null;
+    }
+
+    const badRow = rows.findIndex(row => row.length !== width);
+    if (badRow !== -1) {
+        problems.push(`"${name}" row ${badRow + 1} is ${rows[badRow].length} characters long, but the board is ${width} wide`);
+        return null;
+    }
+
+    return Array.from({ length: width }, (_, x) =>
+        Array.from({ length: height }, (_, y) => readCell(rows[y][x], x, y))
+    );
+}
+
+function isPlainObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+// Shows a value the way it appeared in the file
+function describe(value) {
+    return value === undefined ? 'nothing' : JSON.stringify(value);
+}
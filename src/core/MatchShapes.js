@@ -0,0 +1,122 @@
+// core/MatchShapes.js
+// Works out what shape a match makes
+// The board asks here which special gem a match leaves behind and where,
+// and scoring asks for its pattern bonuses, so a shape means the same
+// thing everywhere. Shapes are read from the cells alone, so an L, T or
+// any other shape is recognised whichever way round it lies.
+
+import { MATCH_SHAPES } from '../utils/Constants';
+
+/**
+ * Classifies the cells of one consolidated match (see
+ * BoardModel.consolidateMatches). Returns
+ * { shape, orientation, pivot, size, longest }:
+ *  - shape: one of MATCH_SHAPES
+ *  - orientation: 'horizontal' or 'vertical' for a line; the corner an L
+ *    bends at ('top-left', 'top-right', 'bottom-left' or 'bottom-right');
+ *    the way a T's stem points away from its bar ('up', 'down', 'left'
+ *    or 'right'); null for a cross or square, which look the same
+ *    every way round
+ *  - pivot: { x, y }, the cell the shape turns on - the corner of an L,
+ *    the cell where a T's stem meets its bar, the middle of a cross. For
+ *    a line it's the middle cell, the first of the two for even lengths
+ *  - size: how many cells the match covers
+ *  - longest: the length of its longest straight line
+ */
+export function classifyMatch(cells) {
+    const matched = new Set(cells.map(cell => `${cell.x},${cell.y}`));
+
+    // How many matched cells carry on from a cell in one direction
+    const reach = (cell, dx, dy) => {
+        let count = 0;
+        while (matched.has(`${cell.x + dx * (count + 1)},${cell.y + dy * (count + 1)}`)) {
+            count++;
+        }
+        return count;
+    };
+
+    const pivot = findPivot(cells);
+    const match = {
+        pivot,
+        size: cells.length,
+        longest: Math.max(...cells.map(cell => Math.max(
+            1 + reach(cell, -1, 0) + reach(cell, 1, 0),
+            1 + reach(cell, 0, -1) + reach(cell, 0, 1)
+        )))
+    };
+
+    if (cells.every(cell => cell.y === cells[0].y)) {
+        return { shape: MATCH_SHAPES.LINE, orientation: 'horizontal', ...match };
+    }
+    if (cells.every(cell => cell.x === cells[0].x)) {
+        return { shape: MATCH_SHAPES.LINE, orientation: 'vertical', ...match };
+    }
+
+    // Any two-by-two block of matched cells makes a square
+    if (cells.some(cell => reach(cell, 1, 0) > 0 && reach(cell, 0, 1) > 0 && matched.has(`${cell.x + 1},${cell.y + 1}`))) {
+        return { shape: MATCH_SHAPES.SQUARE, orientation: null, ...match };
+    }
+
+    // Otherwise the shape depends on whether the pivot sits at the end or
+    // in the middle of the row and the column running through it
+    const left = reach(pivot, -1, 0);
+    const right = reach(pivot, 1, 0);
+    const up = reach(pivot, 0, -1);
+    const down = reach(pivot, 0, 1);
+    const endOfRow = left === 0 || right === 0;
+    const endOfColumn = up === 0 || down === 0;
+
+    if (endOfRow && endOfColumn) {
+        return {
+            shape: MATCH_SHAPES.L,
+            orientation: `${up === 0 ? 'top' : 'bottom'}-${left === 0 ? 'left' : 'right'}`,
+            ...match
+        };
+    }
+    if (!endOfRow && !endOfColumn) {
+        return { shape: MATCH_SHAPES.CROSS, orientation: null, ...match };
+    }
+
+    // A T's bar runs straight through the pivot and its stem leaves one way
+    const orientation = endOfRow
+        ? (left === 0 ? 'right' : 'left')
+        : (up === 0 ? 'down' : 'up');
+    return { shape: MATCH_SHAPES.T, orientation, ...match };
+}
+
+/**
+ * Picks the cell a match turns on: the one shared by the most matched
+ * cells in its row and column, falling back to the cell nearest the
+ * centre of the match.
+ */
+function findPivot(cells) {
+    const columns = countBy(cells, cell => cell.x);
+    const rows = countBy(cells, cell => cell.y);
+    const centerX = cells.reduce((sum, cell) => sum + cell.x, 0) / cells.length;
+    const centerY = cells.reduce((sum, cell) => sum + cell.y, 0) / cells.length;
+
+    let best = null;
+    let bestScore = -Infinity;
+
+    cells.forEach(cell => {
+        const distance = Math.abs(cell.x - centerX) + Math.abs(cell.y - centerY);
+        const score = columns.get(cell.x) + rows.get(cell.y) - distance / 100;
+
+        if (score > bestScore) {
+            best = cell;
+            bestScore = score;
+        }
+    });
+
+    return { x: best.x, y: best.y };
+}
+
+// Counts cells grouped by a key, e.g. by column or row
+function countBy(cells, getKey) {
+    const counts = new Map();
+    cells.forEach(cell => {
+        const key = getKey(cell);
+        counts.set(key, (counts.get(key) || 0) + 1);
+    });
+    return counts;
+}
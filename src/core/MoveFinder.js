@@ -0,0 +1,147 @@
+// core/MoveFinder.js
+// Finds the moves available on a board
+// Works on BoardModel data only, so hints, dead-board detection and the
+// AI can all ask "what can the player do here?" without touching sprites.
+// Understands both input mechanics: row/column slides and adjacent swaps.
+
+import { INPUT_MODES } from '../utils/Constants';
+import { ScoringRules } from './ScoringRules';
+
+const defaultRules = new ScoringRules();
+
+/**
+ * Default estimate of what a set of matches is worth, by the default
+ * scoring rules. Pass a game's own rules' countPoints to rank moves the
+ * way that game scores them.
+ */
+export function estimateMatchScore(matches) {
+    return defaultRules.countPoints(matches);
+}
+
+export class MoveFinder {
+    constructor(scoreMatches = estimateMatchScore) {
+        // Function used to rank moves by the matches they create
+        this.scoreMatches = scoreMatches;
+    }
+
+    /**
+     * Lists every move for the given input mode that creates at least
+     * one match, best scoring first.
+     * Each entry is { action, matches, score }, where action has the same
+     * shape the Game scene commits (see BoardModel.applyAction).
+     */
+    findMoves(board, inputMode = INPUT_MODES.SLIDE) {
+        return inputMode === INPUT_MODES.SWAP
+            ? this.findSwapMoves(board)
+            : this.findSlideMoves(board);
+    }
+
+    /**
+     * Returns the best move on the board, or null if there isn't one.
+     */
+    findBestMove(board, inputMode = INPUT_MODES.SLIDE) {
+        return this.findMoves(board, inputMode)[0] || null;
+    }
+
+    /**
+     * Checks whether the board has any move left for the input mode.
+     */
+    hasMoves(board, inputMode = INPUT_MODES.SLIDE) {
+        if (inputMode === INPUT_MODES.SWAP) {
+            return board.hasValidMoves();
+        }
+        return this.findSlideMoves(board).length > 0;
+    }
+
+    /**
+     * Lists every row/column slide that creates a match.
+     */
+    findSlideMoves(board) {
+        const moves = [];
+
+        const tryLine = (type, index) => {
+            // Lines holding stone or chains can't slide at all
+            if (board.isLineLocked(type, index)) {
+                return;
+            }
+
+            // Holes don't count towards the line's length
+            const length = board.getLineCells(type, index).length;
+
+            if (board.wrapSlides) {
+                // Every rotation of the line, written as the shortest drag
+                for (let shift = 1; shift < length; shift++) {
+                    const amount = shift <= length / 2 ? shift : shift - length;
+                    this.tryAction(board, { type, index, amount }, moves);
+                }
+            } else {
+                // Every shift that leaves at least one gem in the line
+                for (let amount = 1 - length; amount < length; amount++) {
+                    if (amount !== 0) {
+                        this.tryAction(board, { type, index, amount }, moves);
+                    }
+                }
+            }
+        };
+
+        for (let y = 0; y < board.height; y++) {
+            tryLine('row', y);
+        }
+        for (let x = 0; x < board.width; x++) {
+            tryLine('column', x);
+        }
+
+        return this.rank(moves);
+    }
+
+    /**
+     * Lists every adjacent swap that creates a match.
+     */
+    findSwapMoves(board) {
+        const moves = [];
+
+        for (let x = 0; x < board.width; x++) {
+            for (let y = 0; y < board.height; y++) {
+                // Only look right and down so each pair is tried once
+                const neighbours = [{ x: x + 1, y }, { x, y: y + 1 }];
+
+                neighbours.forEach(to => {
+                    if (board.isValidPosition(to.x, to.y)) {
+                        this.tryAction(board, { type: 'swap', from: { x, y }, to }, moves);
+                    }
+                });
+            }
+        }
+
+        return this.rank(moves);
+    }
+
+    // Plays an action on a copy of the board and keeps it if it matches
+    // or combines two special gems
+    tryAction(board, action, moves) {
+        if (!board.canApplyAction(action)) {
+            return;
+        }
+
+        const combination = board.findCombination(action);
+        const trial = board.clone();
+        trial.simulateAction(action);
+
+        const matches = trial.findMatches();
+        if (combination) {
+            matches.unshift(combination);
+        }
+
+        if (matches.length > 0) {
+            moves.push({ action, matches, score: this.scoreMatches(matches) });
+        }
+    }
+
+    // Highest score first, shorter slides breaking ties
+    rank(moves) {
+        return moves.sort((a, b) =>
+            b.score - a.score ||
+            Math.abs(a.action.amount ?? 1) - Math.abs(b.action.amount ?? 1)
+        );
+    }
+}
@@ -0,0 +1,182 @@
+// core/ScoringRules.js
+// Works out what matches and special gems are worth
+// Everything that scores - the Game scene, hints and the AI - asks here,
+// so a level or game mode rebalanced through its rules plays and ranks
+// moves the same way. The rules are data (see SCORING), and each score
+// comes with an itemised breakdown of how it was reached.
+//
+// A breakdown is a list of { rule, label, points }, with `multiplier`
+// added for items that scale what came before them. Every item's points
+// are what it added, so the breakdown always adds up to the total.
+
+import { CASCADE_STEPS, SCORE_RULES, SCORING } from '../utils/Constants';
+
+export class ScoringRules {
+    /**
+     * `overrides` changes any part of the default rules, written the same
+     * way as SCORING; whatever it leaves out keeps its default.
+     */
+    constructor(overrides = null) {
+        this.rules = ScoringRules.merge(SCORING, overrides);
+    }
+
+    /**
+     * Lays `overrides` over `rules`, table by table, without changing
+     * either. A null override clears a setting rather than keeping it.
+     */
+    static merge(rules, overrides) {
+        if (!isTable(overrides)) {
+            return structuredClone(rules);
+        }
+
+        const merged = structuredClone(rules);
+        Object.entries(overrides).forEach(([key, value]) => {
+            if (value === undefined) {
+                return;
+            }
+            merged[key] = isTable(value) && isTable(merged[key])
+                ? ScoringRules.merge(merged[key], value)
+                : structuredClone(value);
+        });
+        return merged;
+    }
+
+    // ScoringRules.js - Rules
+
+    /**
+     * Base points for a match covering `size` gems. Sizes beyond the
+     * table score as its biggest; sizes below it score nothing.
+     */
+    getLengthPoints(size) {
+        const listed = Object.keys(this.rules.lengths)
+            .map(Number)
+            .filter(length => length <= size);
+
+        return listed.length > 0 ? this.rules.lengths[Math.max(...listed)] : 0;
+    }
+
+    getShapeMultiplier(shape) {
+        return this.rules.shapes[shape] ?? 1;
+    }
+
+    /**
+     * Multiplier for a cascade link. Depth 0 is the move's own matches.
+     */
+    getCascadeMultiplier(depth) {
+        const { perLink, max } = this.rules.cascade;
+        const multiplier = 1 + perLink * depth;
+        return max === null || max === undefined ? multiplier : Math.min(multiplier, max);
+    }
+
+    // ScoringRules.js - Scoring
+
+    /**
+     * Scores one match (see BoardModel.consolidateMatches and
+     * findCombination) made at cascade `depth`.
+     * Returns { points, breakdown }.
+     */
+    scoreMatch(match, depth = 0) {
+        if (match.combination) {
+            return this.total([{
+                rule: SCORE_RULES.COMBINATION,
+                label: match.combination.split('+').map(capitalize).join(' + '),
+                points: this.rules.combinations[match.combination] ?? 0
+            }], depth);
+        }
+
+        const { shape } = match.shape ?? { shape: null };
+        const items = [{
+            rule: SCORE_RULES.LENGTH,
+            label: `${match.cells.length} gems`,
+            points: this.getLengthPoints(match.cells.length)
+        }];
+
+        const multiplier = this.getShapeMultiplier(shape);
+        if (multiplier !== 1) {
+            items.push({ rule: SCORE_RULES.SHAPE, label: `${capitalize(shape)} shape`, multiplier });
+        }
+
+        return this.total(items, depth);
+    }
+
+    /**
+     * Scores the special gems made and set off when matches are cleared,
+     * from a BoardModel.resolveMatches result. Returns { points, breakdown }.
+     */
+    scoreSpecials(result, depth = 0) {
+        const { created, triggered } = this.rules.specials;
+        const items = [
+            ...result.spawned.map(({ special }) => ({
+                rule: SCORE_RULES.SPECIAL_CREATED,
+                label: `${capitalize(special)} made`,
+                points: created[special] ?? 0
+            })),
+            ...result.triggered.map(({ special }) => ({
+                rule: SCORE_RULES.SPECIAL_TRIGGERED,
+                label: `${capitalize(special)} set off`,
+                points: triggered[special] ?? 0
+            }))
+        ].filter(item => item.points > 0);
+
+        return items.length > 0 ? this.total(items, depth) : { points: 0, breakdown: [] };
+    }
+
+    /**
+     * Total points for a set of matches made together, for ranking moves.
+     */
+    countPoints(matches, depth = 0) {
+        return matches.reduce((total, match) => total + this.scoreMatch(match, depth).points, 0);
+    }
+
+    /**
+     * Total points for a whole CascadeResolver timeline, counted the way
+     * the Game scene awards them as it plays the steps back: each match,
+     * then the specials made and set off when the matches clear.
+     */
+    countSteps(steps) {
+        let depth = 0;
+
+        return steps.reduce((total, step) => {
+            switch (step.type) {
+                case CASCADE_STEPS.CASCADE:
+                    depth = step.depth;
+                    return total;
+                case CASCADE_STEPS.MATCH:
+                    return total + this.scoreMatch(step.match, depth).points;
+                case CASCADE_STEPS.REMOVE:
+                    return total + this.scoreSpecials(step, depth).points;
+                default:
+                    return total;
+            }
+        }, 0);
+    }
+
+    /**
+     * Adds up a breakdown, applying the cascade multiplier last, and
+     * fills in what each multiplier added.
+     */
+    total(items, depth) {
+        const cascade = this.getCascadeMultiplier(depth);
+        const breakdown = cascade === 1
+            ? [...items]
+            : [...items, { rule: SCORE_RULES.CASCADE, label: `Cascade ${depth}`, multiplier: cascade }];
+
+        // Kept unrounded until the end, so each item's share is exact
+        let value = 0;
+        breakdown.forEach(item => {
+            const before = value;
+            value = item.multiplier === undefined ? value + item.points : value * item.multiplier;
+            item.points = Math.floor(value) - Math.floor(before);
+        });
+
+        return { points: Math.floor(value), breakdown };
+    }
+}
+
+function isTable(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function capitalize(text) {
+    return text.charAt(0).toUpperCase() + text.slice(1);
+}
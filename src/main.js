@@ -2,8 +2,11 @@ import Phaser from 'phaser';
 import { Boot } from './scenes/Boot';
 import { Game } from './scenes/Game';
 import { GameOver } from './scenes/GameOver';
+import { LevelEditor } from './scenes/LevelEditor';
 import { MainMenu } from './scenes/MainMenu';
+import { Pause } from './scenes/Pause';
 import { Preloader } from './scenes/Preloader';
+import { Replay } from './scenes/Replay';
 
 //  Find out more information about the Game Config at:
 //  https://newdocs.phaser.io/docs/3.70.0/Phaser.Types.Core.GameConfig
@@ -26,7 +29,10 @@ const config = {
         Preloader,
         MainMenu,
         Game,
-        GameOver
+        GameOver,
+        LevelEditor,
+        Pause,
+        Replay
     ]
 };
 
@@ -2,16 +2,45 @@
 
 import Phaser from 'phaser';
 import { GemGrid } from '../core/GemGrid';
+import { createBoardMask } from '../core/BoardShapes';
+import { LevelError, createDefaultLevel, parseLevel } from '../core/LevelLoader';
 import { AudioManager } from '../systems/AudioManager';
+import { AutoPlaySystem } from '../systems/AutoPlaySystem';
+import { DebugPanel } from '../systems/DebugPanel';
+import { GameStats } from '../systems/GameStats';
 import { ParticleSystem } from '../systems/ParticleSystem';
+import { HintSystem } from '../systems/HintSystem';
+import { LimitTracker } from '../systems/LimitTracker';
+import { ObjectiveTracker } from '../systems/ObjectiveTracker';
+import { ReplayRecorder } from '../systems/ReplayRecorder';
+import { SaveManager } from '../systems/SaveManager';
+import { UndoManager } from '../systems/UndoManager';
 import { Gem } from '../core/Gem';
-import { GEM_TYPES } from '../utils/Constants';
+import { CascadeResolver } from '../core/CascadeResolver';
+import { GameState } from '../core/GameState';
+import { ScoringRules } from '../core/ScoringRules';
+import { CASCADE_STEPS, GAME_EVENTS, GAME_STATES, GEM_TYPES, INPUT_MODES, SPECIAL_GEMS, SPECIAL_TYPES } from '../utils/Constants';
+import { GameHelpers } from '../utils/Helpers';
+import { SeededRandom } from '../utils/SeededRandom';
+
+// State the game is in while each kind of timeline step plays back
+const STEP_STATES = {
+    [CASCADE_STEPS.MOVE]: GAME_STATES.MOVING,
+    [CASCADE_STEPS.MATCH]: GAME_STATES.MATCHING,
+    [CASCADE_STEPS.REMOVE]: GAME_STATES.MATCHING,
+    [CASCADE_STEPS.CASCADE]: GAME_STATES.MATCHING,
+    [CASCADE_STEPS.FALL]: GAME_STATES.REFILLING,
+    [CASCADE_STEPS.SPAWN]: GAME_STATES.REFILLING,
+    [CASCADE_STEPS.COLLECT]: GAME_STATES.REFILLING,
+    [CASCADE_STEPS.SHUFFLE]: GAME_STATES.SHUFFLING
+};
 
 export class Game extends Phaser.Scene {
     constructor() {
         super('Game');
 
-        // Core game configuration
+        // Core game configuration. The grid's size comes from the level
+        // being played each time the scene starts (see applyLevel)
         this.config = {
             grid: {
                 width: 7,
@@ -20,6 +49,11 @@ export class Game extends Phaser.Scene {
                 x: 400, // Center of game width (800/2)
                 y: 100
             },
+            board: {
+                maxCellSize: 64,  // Cells shrink from here to fit big boards
+                maxWidth: 800,    // Most screen space the board can take up
+                maxHeight: 640
+            },
             animation: {
                 gemSwapDuration: 200,
                 gemFallDuration: 400,
@@ -27,14 +61,128 @@ export class Game extends Phaser.Scene {
             }
         };
 
-        // Game state
-        this.isProcessing = false;
+        // Flow of the game: what's happening and what input is allowed
+        this.gameState = null;
 
         // Score tracking
         this.score = 0;
         this.combo = 0;
     }
 
+    init(data) {
+        // A saved game to carry on from (see SaveManager). The MainMenu
+        // starts it with the seed, mode and level it was saved with
+        const { save = null, ...startData } = data ?? {};
+        this.savedGame = save;
+
+        // Kept so the pause menu can restart the game the same way
+        this.startData = startData;
+
+        // Seed every random decision for this game. The seed can be passed
+        // in when starting the scene, or given as ?seed= in the page URL
+        const urlParams = new URLSearchParams(window.location.search);
+        this.rng = new SeededRandom(data?.seed ?? urlParams.get('seed') ?? SeededRandom.randomSeed());
+
+        // During a replay the Replay scene feeds moves in instead of the player
+        this.isReplay = Boolean(data?.replay);
+
+        // Attract-mode demos behind the MainMenu play themselves
+        this.isDemo = Boolean(data?.demo);
+
+        // Levels play-tested from the LevelEditor get a way back to it
+        this.isPlaytest = Boolean(data?.playtest);
+
+        // Input mechanic: drag rows/columns, or swap neighbouring gems
+        this.inputMode = data?.inputMode ?? urlParams.get('mode') ?? INPUT_MODES.SLIDE;
+
+        // Level to build the board from: a level id or an already parsed
+        // level passed in, ?level= in the URL, or endless play
+        this.levelError = null;
+        this.level = this.loadLevel(data?.level ?? urlParams.get('level'), urlParams.get('shape'));
+
+        // Endless play can be given a move or time limit and scoring rules
+        // (see GAME_MODES); levels come with their own
+        if (!this.level.id) {
+            this.level = {
+                ...this.level,
+                limits: data?.limits ? { ...data.limits } : this.level.limits,
+                scoring: data?.scoring ?? this.level.scoring
+            };
+        }
+        this.applyLevel(this.level);
+
+        // Special gems this game can create. Replays pass in the set they
+        // were recorded with; otherwise it comes from the player's progress
+        this.specialsOverride = data?.specials ?? null;
+
+        // Computer player: 'off', 'play' or 'soak' (flat out, checking the board)
+        this.autoplayMode = data?.autoplay ?? urlParams.get('autoplay') ?? (this.isDemo ? 'play' : 'off');
+
+        // Undo any speed-up left over from a replay or soak test
+        this.tweens.timeScale = 1;
+        this.time.timeScale = 1;
+
+        // Reset per-game state, since Phaser reuses this scene instance
+        this.gameState = new GameState(this);
+        this.score = 0;
+        this.combo = 0;
+        this.movesUsed = 0;
+    }
+
+    /**
+     * Finds the level to play. Strings are ids of level files loaded by
+     * the Preloader; objects are levels that have already been parsed.
+     * If the level can't be used the problems are logged and shown, and
+     * the game falls back to endless play so there's still a board.
+     */
+    loadLevel(source, shape = null) {
+        try {
+            if (typeof source === 'string') {
+                const text = this.cache.text.get(`level:${source}`);
+                if (text === undefined) {
+                    throw new LevelError(source, ['no level with this id was loaded; is it listed in assets/levels/index.json?']);
+                }
+                return parseLevel(text, source);
+            }
+            if (source) {
+                return source;
+            }
+        } catch (error) {
+            console.error(error.message);
+            this.levelError = error;
+        }
+
+        // Endless play, optionally on a built-in shape from ?shape=
+        const level = createDefaultLevel();
+        level.mask = createBoardMask(shape, level.width, level.height);
+        return level;
+    }
+
+    /**
+     * Sizes the grid for a level and sets up the board data the GemGrid
+     * reads when it's created.
+     */
+    applyLevel(level) {
+        const { maxCellSize, maxWidth, maxHeight } = this.config.board;
+
+        this.config.grid = {
+            ...this.config.grid,
+            width: level.width,
+            height: level.height,
+            cellSize: Math.min(
+                maxCellSize,
+                Math.floor(maxWidth / level.width),
+                Math.floor(maxHeight / level.height)
+            )
+        };
+
+        // Board outline, indexed [x][y] (null for a full rectangle)
+        this.boardMask = level.mask;
+
+        // Obstacle layout for the board, indexed [x][y] (see BLOCKER_TYPES)
+        this.blockerLayout = level.blockers;
+    }
+
     preload() {
         // Load all required assets
         this.loadGemAssets();
@@ -88,6 +236,29 @@ loadGemAssets() {
 
         // Start with a fresh grid
         this.gemGrid.fillGrid();
+
+        // Follow the level's objectives; needs the board to count targets
+        this.objectiveTracker = new ObjectiveTracker(this, this.level.objectives);
+
+        // Count down any move or time limit
+        this.limitTracker = new LimitTracker(this, this.level.limits);
+        this.limitTracker.start();
+        this.startTime = this.time.now;
+
+        // Pick a saved game back up where it was left. The board above
+        // was still generated from the same seed, so objectives counted
+        // their targets from the board the game really started with
+        if (this.savedGame) {
+            this.restoreSavedGame(this.savedGame);
+        }
+        this.saveGame();
+        this.debugPanel?.refresh();
+
+        // Start counting down to the first hint
+        this.hintSystem?.reset();
+
+        // Hand control to the computer player if it's switched on
+        this.autoPlayer?.start();
     }
 
     initializeGameComponents() {
@@ -96,7 +267,51 @@ loadGemAssets() {
         this.audioManager = new AudioManager(this);
         this.particleSystem = new ParticleSystem(this);
         this.progressionManager = new this.ProgressionManager(this); // create instance of ProgressionManager in Game class
+        this.undoManager = new UndoManager();
+        this.enabledSpecials = this.specialsOverride ?? this.progressionManager.getEnabledSpecials();
+
+        // Numbers for the results screen. Games the player didn't play
+        // themselves can't beat their best
+        this.gameStats = new GameStats(
+            this,
+            this.isReplay || this.isDemo ? null : this.progressionManager.playerStats.highScore
+        );
 
+        // What matches and specials are worth in this game
+        this.scoringRules = new ScoringRules(this.level.scoring);
+
+        // Works out what each move sets off, refilling from the game's RNG
+        this.cascadeResolver = new CascadeResolver({
+            random: this.rng.next,
+            enabledSpecials: this.enabledSpecials
+        });
+
+        // The computer player, when it's switched on
+        this.autoPlayer = this.autoplayMode !== 'off' && !this.isReplay
+            ? new AutoPlaySystem(this, { soak: this.autoplayMode === 'soak' })
+            : null;
+
+        // Replays and demos play themselves, so skip recording and input
+        if (this.isReplay || this.isDemo) {
+            this.replayRecorder = null;
+            this.saveManager = null;
+            this.hintSystem = null;
+            this.debugPanel = null;
+            return;
+        }
+
+        // Record every move so the game can be played back
+        this.replayRecorder = new ReplayRecorder(this);
+
+        // Keep the game saved so it can be continued; play-tests aren't
+        // worth continuing and shouldn't replace the player's own game
+        this.saveManager = this.isPlaytest ? null : new SaveManager(this);
+
+        // Suggest a move when the player goes idle
+        this.hintSystem = new HintSystem(this);
+
+        // Copy the board out as text, or paste one in to look into a bug
+        this.debugPanel = new DebugPanel(this);
 
         // Setup input handling
         this.input.addPointer(2); // Enable multi-touch
@@ -109,6 +324,13 @@ loadGemAssets() {
         this.input.on('pointermove', this.handlePointerMove, this);
         this.input.on('pointerup', this.handlePointerUp, this);
 
+        // Undo with Ctrl+Z / Z, redo with Ctrl+Y / Y
+        this.input.keyboard.on('keydown-Z', () => this.undoMove());
+        this.input.keyboard.on('keydown-Y', () => this.redoMove());
+
+        // Pause with Esc; the Pause scene takes Esc over from there
+        this.input.keyboard.on('keydown-ESC', () => this.pauseGame());
+
         // Prevent default touch behaviors on mobile
         this.game.canvas.addEventListener('touchstart', (e) => {
             e.preventDefault();
@@ -116,9 +338,13 @@ loadGemAssets() {
     }
 
     setupEventListeners() {
-        // Example: Listen for game pause/resume events if needed
-        // this.events.on('pause', this.gamePaused, this);
-        // this.events.on('resume', this.gameResumed, this);
+        // Pause when the player switches to another tab, so they come back
+        // to the pause menu rather than a game that has moved on. The game's
+        // events outlive this scene, so stop listening when it shuts down
+        this.game.events.on(Phaser.Core.Events.HIDDEN, this.pauseGame, this);
+        this.events.once(Phaser.Scenes.Events.SHUTDOWN, () => {
+            this.game.events.off(Phaser.Core.Events.HIDDEN, this.pauseGame, this);
+        });
     }
 
     createUI() {
@@ -136,6 +362,86 @@ loadGemAssets() {
             fontFamily: 'Arial'
         });
         this.comboText.setVisible(false);
+
+        // Create undo/redo buttons
+        if (!this.isReplay && !this.isDemo) {
+            this.createUndoButtons();
+            this.createPauseButton();
+        }
+
+        // Show the seed so a board can be reported and replayed
+        this.seedText = this.add.text(16, this.sys.game.config.height - 40, `Seed: ${this.rng.seed}`, {
+            fontSize: '20px',
+            fill: '#fff',
+            fontFamily: 'Arial'
+        });
+
+        if (this.isPlaytest) {
+            this.add.text(this.sys.game.config.width - 16, this.sys.game.config.height - 16, 'Back to Editor', {
+                fontSize: '24px',
+                fill: '#fff',
+                fontFamily: 'Arial',
+                backgroundColor: '#00000088',
+                padding: { x: 10, y: 5 }
+            })
+                .setOrigin(1, 1)
+                .setInteractive({ useHandCursor: true })
+                .on('pointerdown', () => this.scene.start('LevelEditor', { level: this.level }));
+        }
+
+        // Explain why the level asked for isn't being played
+        if (this.levelError) {
+            this.add.text(this.sys.game.config.width / 2, 16, this.levelError.message, {
+                fontSize: '16px',
+                fill: '#ffdddd',
+                fontFamily: 'Arial',
+                backgroundColor: '#880000cc',
+                padding: { x: 10, y: 5 },
+                wordWrap: { width: this.sys.game.config.width - 320 }
+            }).setOrigin(0.5, 0).setDepth(10);
+        }
+    }
+
+    createUndoButtons() {
+        const style = {
+            fontSize: '24px',
+            fill: '#fff',
+            fontFamily: 'Arial',
+            backgroundColor: '#00000088',
+            padding: { x: 10, y: 5 }
+        };
+        const right = this.sys.game.config.width - 16;
+
+        this.redoButton = this.add.text(right, 16, 'Redo', style)
+            .setOrigin(1, 0)
+            .setInteractive({ useHandCursor: true })
+            .on('pointerdown', () => this.redoMove());
+
+        this.undoButton = this.add.text(right - this.redoButton.width - 10, 16, 'Undo', style)
+            .setOrigin(1, 0)
+            .setInteractive({ useHandCursor: true })
+            .on('pointerdown', () => this.undoMove());
+
+        this.updateUndoButtons();
+    }
+
+    createPauseButton() {
+        this.add.text(this.undoButton.x - this.undoButton.width - 10, 16, 'Pause', {
+            fontSize: '24px',
+            fill: '#fff',
+            fontFamily: 'Arial',
+            backgroundColor: '#00000088',
+            padding: { x: 10, y: 5 }
+        })
+            .setOrigin(1, 0)
+            .setInteractive({ useHandCursor: true })
+            .on('pointerdown', () => this.pauseGame());
+    }
+
+    // Dim the undo/redo buttons when there's nothing to undo or redo
+    updateUndoButtons() {
+        this.undoButton?.setAlpha(this.undoManager.canUndo() ? 1 : 0.4);
+        this.redoButton?.setAlpha(this.undoManager.canRedo() ? 1 : 0.4);
     }
 
     // Game.js - Part 2: Input Handling and Drag Mechanics
@@ -145,11 +451,15 @@ loadGemAssets() {
      * This is where we start tracking potential gem movements.
      */
     handlePointerDown(pointer) {
-        // Only process input when not processing other actions
-        if (this.isProcessing) {
+        // Only take input while the board is waiting for a move,
+        // and leave the board alone while the computer is playing
+        if (!this.gameState.isInteractive() || this.autoPlayer?.isActive) {
             return;
         }
 
+        // Any input puts the hint away and restarts its timer
+        this.hintSystem?.reset();
+
         // Convert screen coordinates to grid position
         const gridPosition = this.gemGrid.pixelToGrid(pointer.x, pointer.y);
 
@@ -158,6 +468,12 @@ loadGemAssets() {
             return;
         }
 
+        // Classic swap mode has its own selection handling
+        if (this.inputMode === INPUT_MODES.SWAP) {
+            this.handleSwapPointerDown(pointer, gridPosition);
+            return;
+        }
+
         // Initialize drag tracking
         this.dragState = {
             startPosition: new Phaser.Math.Vector2(pointer.x, pointer.y),
@@ -182,6 +498,11 @@ loadGemAssets() {
      * This determines the drag direction and provides real-time visual feedback.
      */
     handlePointerMove(pointer) {
+        if (this.inputMode === INPUT_MODES.SWAP) {
+            this.handleSwapPointerMove(pointer);
+            return;
+        }
+
         if (!this.dragState?.isDragging) {
             return;
         }
@@ -215,92 +536,104 @@ loadGemAssets() {
 
         // Update the position of all affected gems
         this.updateGemPositions(dragAmount);
+    }
+
+    /**
+     * Classic swap input: tapping a gem selects it, and tapping a
+     * neighbour swaps the two. The selection itself lives in GemGrid.
+     */
+    handleSwapPointerDown(pointer, gridPosition) {
+        const gem = this.gemGrid.getGemAt(gridPosition.x, gridPosition.y);
+        if (!gem) {
+            return;
+        }
 
-        // Show preview of potential matches
-        this.showMatchPreview(dragAmount);
+        this.gemGrid.handleGemClick(gem);
+
+        // If that selected the gem, it can also be dragged onto a neighbour
+        this.swapDragState = this.gemGrid.selectedGem === gem
+            ? { startPosition: new Phaser.Math.Vector2(pointer.x, pointer.y), gem }
+            : null;
     }
 
     /**
-     * Sets up the collection of gems that will be affected by this drag operation.
+     * Classic swap input: dragging a selected gem half a cell towards a
+     * neighbour swaps it with that neighbour.
+     */
+    handleSwapPointerMove(pointer) {
+        if (!this.swapDragState) {
+            return;
+        }
+
+        const { startPosition, gem } = this.swapDragState;
+        const dx = pointer.x - startPosition.x;
+        const dy = pointer.y - startPosition.y;
+
+        if (Math.max(Math.abs(dx), Math.abs(dy)) < this.config.grid.cellSize / 2) {
+            return;
+        }
+
+        // Pick the neighbour in the main direction of the drag
+        const target = Math.abs(dx) > Math.abs(dy)
+            ? this.gemGrid.getGemAt(gem.gridX + Math.sign(dx), gem.gridY)
+            : this.gemGrid.getGemAt(gem.gridX, gem.gridY + Math.sign(dy));
+
+        this.swapDragState = null;
+        if (target) {
+            this.gemGrid.handleGemClick(target);
+        }
+    }
+
+    /**
+     * Sets up the row or column that will follow this drag operation.
      * For row moves, this is all gems in the same row.
      * For column moves, this is all gems in the same column.
      */
     setupAffectedGems() {
         const { startGridPosition, dragDirection } = this.dragState;
+        const index = dragDirection === 'row' ? startGridPosition.y : startGridPosition.x;
 
-        if (dragDirection === 'row') {
-            // For row moves, collect all gems in this row
-            this.dragState.affectedGems = this.gemGrid.getRow(startGridPosition.y);
-        } else {
-            // For column moves, collect all gems in this column
-            this.dragState.affectedGems = this.gemGrid.getColumn(startGridPosition.x);
-        }
-
-        // Store original positions for smooth movement calculations
-        this.dragState.originalPositions = this.dragState.affectedGems.map(gem => ({
-            x: gem.x,
-            y: gem.y
-        }));
+        // Stone or a chain holds a locked line in place, so nothing follows
+        // the pointer and the move is rejected on release
+        this.dragState.slide = this.gemGrid.board.isLineLocked(dragDirection, index)
+            ? null
+            : this.gemGrid.startSlide(dragDirection, index);
     }
 
     /**
      * Calculates how far gems should move based on the current drag distance.
-     * Includes wrapping behavior when gems reach the edge of the grid.
+     * Slides that wrap around can go as far as the player likes; ones that
+     * don't stop before the last gem is pushed off the board.
      */
     calculateDragAmount(dragDelta) {
-        const { dragDirection } = this.dragState;
+        const { dragDirection, slide } = this.dragState;
 
         // Get the relevant drag distance based on direction
         const distance = dragDirection === 'row' ? dragDelta.x : dragDelta.y;
 
-        // Calculate grid size in pixels for the relevant direction
-        const gridSize = dragDirection === 'row'
-            ? this.config.grid.width * this.config.grid.cellSize
-            : this.config.grid.height * this.config.grid.cellSize;
-
-        // Implement wrapping behavior
-        let amount = distance;
-        if (Math.abs(amount) > gridSize / 2) {
-            // If we've dragged more than halfway across the grid,
-            // wrap to the other side
-            amount = amount > 0
-                ? amount - gridSize
-                : amount + gridSize;
+        const { board } = this.gemGrid;
+        if (!slide || board.wrapSlides) {
+            return distance;
         }
 
-        return amount;
+        const length = board.getLineCells(slide.type, slide.index).length;
+        const limit = (length - 1) * this.config.grid.cellSize;
+        return Phaser.Math.Clamp(distance, -limit, limit);
     }
 
     /**
-     * Updates the visual position of all gems affected by the current drag operation.
-     * Handles both row and column movements with wrapping.
+     * Updates the visual position of all gems affected by the current drag
+     * operation. GemGrid wraps gems round the ends of the line and shows
+     * their ghosts.
      */
     updateGemPositions(dragAmount) {
-        const { affectedGems, originalPositions, dragDirection } = this.dragState;
-
-        affectedGems.forEach((gem, index) => {
-            const origPos = originalPositions[index];
-
-            if (dragDirection === 'row') {
-                // Calculate new X position with wrapping
-                let newX = origPos.x + dragAmount;
-                const gridWidth = this.config.grid.width * this.config.grid.cellSize;
-
-                if (newX < 0) newX += gridWidth;
-                if (newX >= gridWidth) newX -= gridWidth;
-
-                gem.x = newX;
-            } else {
-                // Calculate new Y position with wrapping
-                let newY = origPos.y + dragAmount;
-                const gridHeight = this.config.grid.height * this.config.grid.cellSize;
-
-                if (newY < 0) newY += gridHeight;
-                if (newY >= gridHeight) newY -= gridHeight;
+        const { slide } = this.dragState;
+        if (!slide) {
+            return;
+        }
 
-                gem.y = newY;
-            }
-        });
+        this.dragState.dragAmount = dragAmount;
+        this.gemGrid.moveSlide(slide, dragAmount);
     }
 
     // Game.js - Part 3: Match Detection and Processing
@@ -310,6 +643,11 @@ loadGemAssets() {
      * any matches and processing them if so.
      */
     handlePointerUp(pointer) {
+        if (this.inputMode === INPUT_MODES.SWAP) {
+            this.swapDragState = null;
+            return;
+        }
+
         if (!this.dragState?.isDragging) {
             return;
         }
@@ -321,13 +659,7 @@ loadGemAssets() {
             // Convert drag amount to grid movement
             const moveAction = this.createMoveAction(finalDragAmount);
 
-            // Check if this move creates any matches
-            const potentialMatches = this.gemGrid.findPotentialMatches(moveAction);
-
-            if (potentialMatches.length > 0) {
-                // Valid move with matches - process it
-                this.processValidMove(moveAction, potentialMatches);
-            } else {
+            if (!this.commitMove(moveAction)) {
                 // No matches - snap gems back to original positions
                 this.snapGemsBack();
             }
@@ -370,63 +702,474 @@ loadGemAssets() {
         };
     }
 
+    /**
+     * Plays a move action (a slide or a swap) if it creates any matches.
+     * Shared by both input mechanics and the computer player.
+     * Returns the processing promise, or null if the move was rejected.
+     */
+    commitMove(moveAction) {
+        // Moves only start from a settled board, and none once the game
+        // is over or the limit has run out
+        if (!this.gameState.isInteractive() || this.limitTracker.isExhausted()) {
+            return null;
+        }
+
+        // Stone and chains hold their cells in place
+        if (!this.gemGrid.board.canApplyAction(moveAction)) {
+            return null;
+        }
+
+        // Check if this move creates any matches
+        const potentialMatches = this.gemGrid.findPotentialMatches(moveAction);
+
+        if (potentialMatches.length === 0) {
+            return null;
+        }
+
+        // Valid move with matches - process it
+        return this.processValidMove(moveAction);
+    }
+
     /**
      * Processes a valid move that creates matches.
      * This initiates the chain of events that happens after a successful move.
      */
-    async processValidMove(moveAction, initialMatches) {
-        this.isProcessing = true;
+    async processValidMove(moveAction) {
+        this.gameState.changeState(GAME_STATES.MOVING);
+
+        // Snapshot the settled board so this move can be undone
+        this.undoManager.push(this.createSnapshot());
+        this.updateUndoButtons();
+
+        // Record the move for replays
+        this.replayRecorder?.record(moveAction);
+        this.movesUsed++;
+        this.limitTracker.updateCounter();
+
+        const { board } = this.gemGrid;
 
         try {
-            // Animate the move
-            await this.animateMove(moveAction);
-
-            // Process initial matches
-            if (initialMatches.length > 0) {
-                await this.processMatches(initialMatches);
-                await this.processGemFalling();
-                await this.fillEmptySpaces();
+            // Work the whole move out on the board, then play it back.
+            // Falling and new gems can make further matches (and set off
+            // specials left behind); each extra link raises the combo
+            const steps = this.cascadeResolver.resolve(board, moveAction);
+
+            try {
+                await this.playSteps(steps);
+            } catch (error) {
+                // The board already holds the result, so put the gems
+                // there rather than leave them stranded mid-cascade
+                console.error('Error playing move:', error);
+                await this.gemGrid.transitionToLayout(board.toArray(), board.toSpecialsArray(), board.toBlockersArray());
+            }
+
+            // Shuffle if the player has no moves left
+            if (!this.gemGrid.hasValidMoves()) {
+                await this.shuffleBoard();
             }
 
         } catch (error) {
             console.error('Error processing move:', error);
         }
 
-        this.isProcessing = false;
+        this.gameState.changeState(GAME_STATES.IDLE);
+        this.hintSystem?.reset();
+        this.saveGame();
+        this.checkLevelEnd();
     }
 
     /**
-     * Animates the movement of gems for a given move action.
-     * Returns a promise that resolves when the animation is complete.
+     * Plays back a timeline from CascadeResolver, one group of steps at
+     * a time, moving the gem sprites to follow the board.
      */
-    animateMove(moveAction) {
-        return new Promise(resolve => {
-            const affectedGems = this.gemGrid.getGemsForMove(moveAction);
-            const targetPositions = this.gemGrid.calculateTargetPositions(moveAction);
+    async playSteps(steps) {
+        this.combo = 0;
+
+        for (const group of CascadeResolver.groupSteps(steps)) {
+            await this.playStepGroup(group);
+        }
+    }
+
+    async playStepGroup(group) {
+        const [step] = group;
+        this.gameState.changeState(STEP_STATES[step.type]);
+
+        switch (step.type) {
+            case CASCADE_STEPS.MOVE:
+                await this.animateMove(step.action, step.moves);
+                break;
+            case CASCADE_STEPS.CASCADE:
+                this.combo = step.depth;
+                break;
+            case CASCADE_STEPS.MATCH:
+                await this.processMatches(group.map(({ match }) => this.gemGrid.attachGems(match)));
+                break;
+            case CASCADE_STEPS.REMOVE:
+                await this.removeMatchedGems(step);
+                break;
+            case CASCADE_STEPS.FALL:
+                await this.processGemFalling(group);
+                break;
+            case CASCADE_STEPS.SPAWN:
+                await this.fillEmptySpaces(group);
+                break;
+            case CASCADE_STEPS.COLLECT:
+                await this.collectItems(group);
+                break;
+            case CASCADE_STEPS.SHUFFLE:
+                await this.gemGrid.playShuffle();
+                break;
+            default:
+                break;
+        }
+    }
+
+    /**
+     * Reshuffles a board with no moves left.
+     */
+    async shuffleBoard() {
+        this.gameState.changeState(GAME_STATES.SHUFFLING);
+        await this.gemGrid.reshuffleBoard();
+        this.gameState.changeState(GAME_STATES.IDLE);
+    }
+
+    /**
+     * Ends the game once every objective is met, or once the move or time
+     * limit runs out. Called when the board has settled, so a cascade
+     * always finishes before the game ends.
+     */
+    checkLevelEnd() {
+        // Replays and demos just stop when they run out of moves
+        if (this.isReplay || this.isDemo || !this.gameState.isInteractive()) {
+            return;
+        }
+
+        if (this.objectiveTracker.isComplete()) {
+            this.endLevel(true, 'objectives');
+        } else if (this.limitTracker.isExhausted()) {
+            // Without objectives there's nothing to fail, the game is just over
+            const hasObjectives = this.level.objectives.length > 0;
+            this.endLevel(hasObjectives ? false : null, this.limitTracker.isOutOfTime() ? 'time' : 'moves');
+        }
+    }
+
+    /**
+     * Locks the board and hands the result and final stats to the
+     * GameOver scene, after a short pause so the last move can be seen.
+     * `success` is null when there were no objectives to meet; `reason`
+     * is 'objectives', 'moves' or 'time'.
+     */
+    endLevel(success, reason) {
+        if (!this.gameState.changeState(GAME_STATES.GAME_OVER)) {
+            return;
+        }
+        this.autoPlayer?.stop();
+        this.limitTracker.stop();
+
+        // A finished game can't be continued
+        this.saveManager?.clear();
+        this.saveHighScore();
+
+        // Let go of anything the player was dragging
+        if (this.dragState?.isDragging) {
+            this.snapGemsBack();
+            this.cleanupDragOperation();
+        }
+
+        const timePlayed = this.time.now - this.startTime;
+
+        this.time.delayedCall(800, () => {
+            this.scene.start('GameOver', {
+                success,
+                reason,
+                score: this.score,
+                levelName: this.level.name,
+                objectives: this.objectiveTracker.getSummary(),
+                results: this.gameStats.getSummary(this.score),
+                movesUsed: this.movesUsed,
+                timePlayed,
+                playtest: this.isPlaytest,
+                level: this.level,
+
+                // How to start this game again; Retry keeps the seed.
+                // Replays and demos can't be played again from here
+                restart: this.isReplay || this.isDemo ? null : { ...this.startData, seed: this.rng.seed }
+            });
+        });
+    }
+
+    // Game.js - Pausing
+
+    /**
+     * Freezes the game and opens the pause menu. Pausing the scene stops
+     * its tweens, timers and particles where they are, so a move that's
+     * playing out carries on from the same point on resume; sounds are
+     * paused alongside. The state machine stops input in the meantime.
+     */
+    pauseGame() {
+        // Replays and demos are run by another scene
+        if (this.isReplay || this.isDemo) {
+            return;
+        }
+
+        // The tab may be closing, so save while the board is settled
+        this.saveGame();
+
+        if (!this.gameState.pause()) {
+            return;
+        }
+
+        // Let go of anything the player was dragging
+        if (this.dragState?.isDragging) {
+            this.snapGemsBack();
+            this.cleanupDragOperation();
+        }
+        this.swapDragState = null;
+
+        this.sound.pauseAll();
+        this.scene.pause();
+        this.scene.launch('Pause');
+    }
+
+    resumeGame() {
+        if (!this.gameState.resume()) {
+            return;
+        }
+
+        this.scene.stop('Pause');
+        this.scene.resume();
+        this.sound.resumeAll();
+
+        // A move that finished while paused left the end of the level
+        // unchecked
+        this.checkLevelEnd();
+    }
 
-            // Create a tween for each affected gem
-            const tweens = affectedGems.map((gem, index) => {
-                return this.tweens.add({
+    /**
+     * Starts the game over from the pause menu, as it was first started.
+     */
+    restartGame() {
+        this.sound.stopAll();
+        this.scene.stop('Pause');
+        this.scene.restart(this.startData);
+    }
+
+    quitGame() {
+        this.sound.stopAll();
+        this.scene.stop('Pause');
+
+        if (this.isPlaytest) {
+            this.scene.start('LevelEditor', { level: this.level });
+        } else {
+            this.scene.start('MainMenu');
+        }
+    }
+
+    // Game.js - Saving
+
+    /**
+     * Autosaves the game, as long as the board is settled and the game
+     * is still going.
+     */
+    saveGame() {
+        if (this.gameState.isInteractive()) {
+            this.saveManager?.save();
+        }
+    }
+
+    /**
+     * Puts a saved game (see SaveManager) back exactly as it was, with
+     * no animation.
+     */
+    restoreSavedGame(save) {
+        const { state } = save;
+
+        this.applySnapshot(state);
+        this.gemGrid.loadBoard(state.cells, state.specials, state.blockers);
+        this.limitTracker.setState(state.limits);
+        this.startTime = this.time.now - (state.timePlayed ?? 0);
+    }
+
+    // Game.js - Debugging
+
+    /**
+     * Swaps in a board written in the text notation (see
+     * core/BoardNotation.js), to look into a board from a bug report.
+     * The moves so far don't lead to the new board, so the undo history
+     * is dropped and the replay stops recording. Throws a NotationError
+     * if the board can't be used.
+     */
+    loadBoardNotation(text) {
+        if (!this.gameState.isInteractive()) {
+            return;
+        }
+
+        this.gemGrid.loadNotation(text);
+
+        this.undoManager.clear();
+        this.updateUndoButtons();
+        this.replayRecorder = null;
+
+        this.hintSystem?.reset();
+        this.saveGame();
+    }
+
+    // Game.js - Undo and Redo
+
+    /**
+     * Captures everything needed to put the game back to this point:
+     * the board, score, combo, RNG position and the replay log so far.
+     */
+    createSnapshot() {
+        return {
+            cells: this.gemGrid.board.toArray(),
+            specials: this.gemGrid.board.toSpecialsArray(),
+            blockers: this.gemGrid.board.toBlockersArray(),
+            score: this.score,
+            combo: this.combo,
+            movesUsed: this.movesUsed,
+            objectives: this.objectiveTracker.getState(),
+            stats: this.gameStats.getState(),
+            rngState: this.rng.getState(),
+            replayMoves: this.replayRecorder?.getMoves() ?? []
+        };
+    }
+
+    /**
+     * Puts the game back to a snapshot, animating the gems into place.
+     */
+    async restoreSnapshot(snapshot) {
+        this.gameState.changeState(GAME_STATES.MOVING);
+        this.applySnapshot(snapshot);
+
+        try {
+            await this.gemGrid.transitionToLayout(snapshot.cells, snapshot.specials, snapshot.blockers);
+        } catch (error) {
+            console.error('Error restoring board:', error);
+        }
+
+        this.gameState.changeState(GAME_STATES.IDLE);
+        this.hintSystem?.reset();
+        this.saveGame();
+    }
+
+    // Puts back everything in a snapshot apart from the board
+    applySnapshot(snapshot) {
+        this.rng.setState(snapshot.rngState);
+        this.score = snapshot.score;
+        this.combo = snapshot.combo;
+        this.movesUsed = snapshot.movesUsed;
+        this.limitTracker.updateCounter();
+        this.objectiveTracker.setState(snapshot.objectives);
+        this.gameStats.setState(snapshot.stats);
+        this.updateScoreDisplay();
+        this.replayRecorder?.setMoves(snapshot.replayMoves);
+    }
+
+    async undoMove() {
+        if (!this.gameState.isInteractive() || this.isReplay || !this.undoManager.canUndo()) {
+            return;
+        }
+
+        const snapshot = this.undoManager.undo(this.createSnapshot());
+        this.updateUndoButtons();
+        await this.restoreSnapshot(snapshot);
+    }
+
+    async redoMove() {
+        if (!this.gameState.isInteractive() || this.isReplay || !this.undoManager.canRedo()) {
+            return;
+        }
+
+        const snapshot = this.undoManager.redo(this.createSnapshot());
+        this.updateUndoButtons();
+        await this.restoreSnapshot(snapshot);
+    }
+
+    /**
+     * Plays a recorded action as if the player had made it.
+     * Used by the Replay scene; resolves once the board has settled.
+     */
+    async playAction(action) {
+        await this.processValidMove(action);
+    }
+
+    /**
+     * Animates the gems of a move already made on the board into their
+     * new cells, given the { from, to } pairs it made.
+     * Returns a promise that resolves when the animation is complete.
+     */
+    async animateMove(moveAction, moves) {
+        const duration = this.config.animation.gemSwapDuration;
+
+        // Slides play out along their line first, so gems pushed off one
+        // end come round to the other instead of crossing the board
+        const slide = moveAction.type === 'swap' ? null : await this.animateSlide(moveAction, duration);
+
+        const movedGems = this.gemGrid.placeMovedGems(moveAction, moves);
+
+        // Settle each gem into its cell. After a slide most are already
+        // there; any still out of place jumped a hole, or were pushed off
+        // a line that doesn't wrap and fade away
+        const tweens = movedGems
+            .filter(({ gem, target, lost }) => lost || Phaser.Math.Distance.Between(gem.x, gem.y, target.x, target.y) > 1)
+            .map(({ gem, target, lost }) => new Promise(resolve => {
+                this.tweens.add({
                     targets: gem,
-                    x: targetPositions[index].x,
-                    y: targetPositions[index].y,
-                    duration: this.config.animation.gemSwapDuration,
-                    ease: 'Quad.easeInOut'
+                    x: target.x,
+                    y: target.y,
+                    alpha: lost ? 0 : gem.alpha,
+                    duration: slide ? duration / 2 : duration,
+                    ease: 'Quad.easeInOut',
+                    onComplete: () => {
+                        if (lost) {
+                            gem.destroy();
+                        }
+                        resolve();
+                    }
                 });
-            });
+            }));
 
-            // Wait for all tweens to complete
-            this.tweens.add({
-                targets: {},
-                duration: this.config.animation.gemSwapDuration,
-                onComplete: resolve,
-                onCompleteScope: this
+        await Promise.all(tweens);
+
+        if (slide) {
+            this.gemGrid.endSlide(slide);
+        }
+    }
+
+    /**
+     * Slides a row or column's gems the length of a move. A slide the
+     * player is dragging carries on from where they let go; moves made by
+     * the computer start a slide of their own.
+     * Resolves with the slide once the gems are in place.
+     */
+    animateSlide(moveAction, duration) {
+        const drag = this.dragState?.slide;
+        const fromDrag = drag?.type === moveAction.type && drag.index === moveAction.index;
+
+        const slide = fromDrag ? drag : this.gemGrid.startSlide(moveAction.type, moveAction.index);
+        const from = fromDrag ? this.dragState.dragAmount ?? 0 : 0;
+
+        // The move owns the slide now, so ending the drag leaves it alone
+        if (fromDrag) {
+            this.dragState.slide = null;
+        }
+
+        return new Promise(resolve => {
+            this.tweens.addCounter({
+                from,
+                to: moveAction.amount * this.config.grid.cellSize,
+                duration,
+                ease: 'Quad.easeInOut',
+                onUpdate: tween => this.gemGrid.moveSlide(slide, tween.getValue()),
+                onComplete: () => resolve(slide)
             });
         });
     }
 
     /**
-     * Processes a set of matches, removing matched gems and updating score.
+     * Shows and scores a set of matches. The gems are removed by the
+     * step after them.
      * Returns a promise that resolves when all match animations are complete.
      */
     async processMatches(matches) {
@@ -435,12 +1178,35 @@ loadGemAssets() {
 
         // Calculate score for these matches
         this.updateScore(matches);
+        this.events.emit(GAME_EVENTS.MATCHES_PROCESSED, { matches, score: this.score });
 
         // Play match sound effect
         this.audioManager.playMatchSound(this.combo);
+    }
 
-        // Remove matched gems
-        await this.removeMatchedGems(matches);
+    /**
+     * Clears matched gems from the grid, following a resolveMatches
+     * result: specials caught in the matches go off, and matches big
+     * enough leave a new special behind.
+     */
+    async removeMatchedGems(result) {
+        await this.gemGrid.showClearedGems(result);
+        this.events.emit(GAME_EVENTS.GEMS_REMOVED, result);
+
+        // Special gems made and set off earn bonuses of their own
+        const bonus = this.scoringRules.scoreSpecials(result, this.combo);
+        if (bonus.points > 0) {
+            this.awardScore(bonus);
+            this.updateScoreDisplay();
+        }
+    }
+
+    /**
+     * Lifts collected items, given as { x, y }, off the board.
+     */
+    async collectItems(items) {
+        await this.gemGrid.liftItems(items);
+        this.events.emit(GAME_EVENTS.ITEMS_COLLECTED, items.map(({ x, y }) => ({ x, y })));
     }
 
     /**
@@ -478,75 +1244,32 @@ loadGemAssets() {
     // Game.js - Part 4: Falling and Refilling Mechanics
 
     /**
-     * Manages the process of gems falling to fill empty spaces.
+     * Manages the process of gems falling to fill empty spaces, given
+     * the { from, to } of each gem that fell on the board.
      * This creates the cascading effect players expect in match-3 games.
      */
-    async processGemFalling() {
-        // First, calculate how far each gem needs to fall
-        const fallingData = this.calculateFallingDistances();
-
-        // No gems need to fall - we can skip the animation
-        if (fallingData.length === 0) {
-            return;
-        }
-
-        // Sort falling gems from bottom to top
-        // This prevents gems from appearing to pass through each other
-        fallingData.sort((a, b) => b.fromY - a.fromY);
+    async processGemFalling(falls) {
+        // Move the sprites in the grid array to follow the board
+        const fallingGems = this.gemGrid.applyFalls(falls);
 
         // Create and track all falling animations
-        const fallPromises = fallingData.map(data =>
-            this.animateGemFall(data.gem, data.toY)
+        const fallPromises = fallingGems.map(({ gem, from, to }) =>
+            this.animateGemFall(gem, from, to)
         );
 
         // Wait for all falling animations to complete
         await Promise.all(fallPromises);
-
-        // Update the internal grid structure to match new positions
-        this.updateGridAfterFalling(fallingData);
-    }
-
-    /**
-     * Calculates how far each gem needs to fall to fill empty spaces.
-     * Returns an array of objects containing gems and their target positions.
-     */
-    calculateFallingDistances() {
-        const fallingData = [];
-
-        // Process each column independently
-        for (let x = 0; x < this.config.grid.width; x++) {
-            let emptySpaces = 0;
-
-            // Start from the bottom of the grid
-            for (let y = 0; y < this.config.grid.height; y++) {
-                const currentGem = this.gemGrid.getGemAt(x, y);
-
-                if (!currentGem) {
-                    // Found an empty space - increment counter
-                    emptySpaces++;
-                } else if (emptySpaces > 0) {
-                    // Found a gem that needs to fall
-                    fallingData.push({
-                        gem: currentGem,
-                        fromY: y,
-                        toY: y - emptySpaces,
-                        column: x
-                    });
-                }
-            }
-        }
-
-        return fallingData;
     }
 
     /**
      * Creates a smooth falling animation for a single gem.
      * The fall speed increases over time to simulate gravity.
      */
-    animateGemFall(gem, targetY) {
+    animateGemFall(gem, from, target) {
         return new Promise(resolve => {
             // Calculate the distance this gem needs to fall
-            const distance = targetY - gem.gridY;
+            const distance = Math.abs(target.x - from.x) + Math.abs(target.y - from.y);
+            const targetPos = this.gemGrid.gridToPixel(target.x, target.y);
 
             // Adjust duration based on fall distance
             // Longer falls take more time, but not linearly
@@ -558,7 +1281,8 @@ loadGemAssets() {
             // Create falling animation with easing
             this.tweens.add({
                 targets: gem,
-                y: this.gemGrid.gridToPixelY(targetY),
+                x: targetPos.x,
+                y: targetPos.y,
                 duration: duration,
                 ease: 'Bounce.easeOut',
                 onComplete: () => {
@@ -573,40 +1297,21 @@ loadGemAssets() {
     }
 
     /**
-     * Fills empty spaces at the top of the grid with new gems.
+     * Fills empty spaces with the new gems the board chose, entering from
+     * the side of the grid gravity pulls away from.
      * Creates a flowing animation as new gems appear and fall into place.
      */
-    async fillEmptySpaces() {
-        const newGems = [];
-
-        // Find all empty spaces that need new gems
-        for (let x = 0; x < this.config.grid.width; x++) {
-            let emptySpaces = 0;
-
-            // Count empty spaces in this column
-            for (let y = 0; y < this.config.grid.height; y++) {
-                if (!this.gemGrid.getGemAt(x, y)) {
-                    emptySpaces++;
-
-                    // Create a new gem above the grid
-                    const newGem = this.gemGrid.createGem( // Use gemGrid.createGem from GemGrid class
-                        x,
-                        -emptySpaces,  // Start above the grid
-                        this.getRandomGemType()
-                    );
-
-                    // Track the new gem
-                    newGems.push({
-                        gem: newGem,
-                        targetY: y
-                    });
-                }
-            }
-        }
+    async fillEmptySpaces(spawns) {
+        // Create each new gem outside the grid
+        const newGems = spawns.map(spawn => ({
+            gem: this.gemGrid.createGem(spawn.from.x, spawn.from.y, spawn.gemType),
+            targetX: spawn.x,
+            targetY: spawn.y
+        }));
 
         // Animate all new gems falling into place
         const fallPromises = newGems.map(data =>
-            this.animateNewGemEntry(data.gem, data.targetY)
+            this.animateNewGemEntry(data.gem, data.targetX, data.targetY)
         );
 
         // Wait for all new gems to finish falling
@@ -620,130 +1325,96 @@ loadGemAssets() {
      * Creates a special animation for new gems entering the grid.
      * They fade in as they fall to create a smooth appearance.
      */
-    animateNewGemEntry(gem, targetY) {
+    animateNewGemEntry(gem, targetX, targetY) {
+        const targetPos = this.gemGrid.gridToPixel(targetX, targetY);
+
         return new Promise(resolve => {
             // Start gem as invisible
             gem.alpha = 0;
 
-            // Create a sequence of animations
-            const timeline = this.tweens.createTimeline();
-
-            // First fade the gem in
-            timeline.add({
-                targets: gem,
-                alpha: 1,
-                duration: 200,
-                ease: 'Linear'
-            });
-
-            // Then make it fall into place
-            timeline.add({
+            // First fade the gem in, then make it fall into place
+            this.tweens.chain({
                 targets: gem,
-                y: this.gemGrid.gridToPixelY(targetY),
-                duration: this.config.animation.gemFallDuration,
-                ease: 'Bounce.easeOut',
-                onComplete: resolve
+                tweens: [
+                    {
+                        alpha: 1,
+                        duration: 200,
+                        ease: 'Linear'
+                    },
+                    {
+                        x: targetPos.x,
+                        y: targetPos.y,
+                        duration: this.config.animation.gemFallDuration,
+                        ease: 'Bounce.easeOut',
+                        onComplete: resolve
+                    }
+                ]
             });
+        });
+    }
 
-            timeline.play();
+    /**
+     * Places newly entered gems into the grid array at their final cells.
+     * The board model already holds their types.
+     */
+    updateGridWithNewGems(newGems) {
+        newGems.forEach(({ gem, targetX, targetY }) => {
+            gem.gridX = targetX;
+            gem.gridY = targetY;
+            this.gemGrid.gems[targetX][targetY] = gem;
         });
     }
 
     // Game.js - Part 5: Scoring and Combo System
 
     /**
-     * Handles scoring for matches, applying multipliers and combo bonuses.
-     * The scoring system rewards larger matches and chain reactions.
+     * Scores a set of matches by the game's scoring rules (see
+     * core/ScoringRules.js), at the current link of the cascade.
      */
     updateScore(matches) {
-        let pointsEarned = 0;
-
-        // Calculate base points for each match
         matches.forEach(match => {
-            // Base points depend on match length
-            const basePoints = this.calculateBasePoints(match);
-
-            // Apply combo multiplier
-            const comboMultiplier = this.calculateComboMultiplier();
-
-            // Add special pattern bonuses
-            const patternBonus = this.checkForSpecialPatterns(match);
-
-            // Calculate total points for this match
-            const matchPoints = Math.floor(
-                basePoints * comboMultiplier * patternBonus
-            );
-
-            pointsEarned += matchPoints;
+            const award = this.scoringRules.scoreMatch(match, this.combo);
+            this.awardScore(award);
 
             // Show floating score text for this match
-            this.showFloatingScore(match, matchPoints);
+            this.showFloatingScore(match, award.points);
         });
 
-        // Update total score
-        this.score += pointsEarned;
         this.updateScoreDisplay();
-
-        // Trigger any score milestone achievements
-        this.checkScoreMilestones();
     }
 
     /**
-     * Calculates base points for a match based on its length and shape.
-     * Longer matches are worth exponentially more points.
+     * Adds a scored { points, breakdown } to the score, and tells anything
+     * listening how the points were earned.
      */
-    calculateBasePoints(match) {
-        // Start with base points for minimum match length (3)
-        let points = 100;
-
-        // Add bonus for each additional gem in the match
-        const extraGems = match.gems.length - 3;
-        if (extraGems > 0) {
-            // Each extra gem doubles the points
-            points *= Math.pow(2, extraGems);
-        }
-
-        return points;
+    awardScore({ points, breakdown }) {
+        this.score += points;
+        this.events.emit(GAME_EVENTS.SCORE_AWARDED, { points, breakdown, depth: this.combo, score: this.score });
     }
 
     /**
-     * Calculates score multiplier based on current combo count.
-     * Encourages players to create chain reactions.
+     * Finds the middle of a match on screen, for effects shown over it.
      */
-    calculateComboMultiplier() {
-        if (this.combo === 0) {
-            return 1.0;
-        }
-
-        // Multiplier increases with each combo, but has diminishing returns
-        return 1.0 + (Math.log2(this.combo + 1) * 0.5);
+    calculateMatchCenter(match) {
+        return GameHelpers.calculateCenter(match.cells.map(cell => this.gemGrid.gridToPixel(cell.x, cell.y)));
     }
 
     /**
-     * Checks for special match patterns that deserve bonus points.
-     * Examples include L-shapes, T-shapes, and crosses.
+     * Records the final score as the player's best if it beats it. Only
+     * done once the game is over, so points from a move that was later
+     * undone never count.
      */
-    checkForSpecialPatterns(match) {
-        // Convert match to grid representation for pattern checking
-        const matchGrid = this.convertMatchToGrid(match);
-        let bonus = 1.0;
-
-        // Check for L-shape (3x3 grid with 5 gems in L pattern)
-        if (this.isLShape(matchGrid)) {
-            bonus *= 1.5;
-        }
-
-        // Check for T-shape (3x3 grid with 5 gems in T pattern)
-        if (this.isTShape(matchGrid)) {
-            bonus *= 1.5;
+    saveHighScore() {
+        // Games the player didn't play themselves don't count
+        if (this.isReplay || this.isDemo) {
+            return;
         }
 
-        // Check for cross shape (5x5 grid with gems in + pattern)
-        if (this.isCrossShape(matchGrid)) {
-            bonus *= 2.0;
+        const stats = this.progressionManager.playerStats;
+        if (this.score > stats.highScore) {
+            stats.highScore = this.score;
+            this.progressionManager.savePlayerStats();
         }
-
-        return bonus;
     }
 
     /**
@@ -1089,10 +1760,28 @@ loadGemAssets() {
             return Math.floor(experience / 1000) + 1;
         }
 
+        /**
+         * Records a special gem as unlocked so it can start appearing.
+         * Takes effect from the next game.
+         */
         unlockNewGemType(gemType) {
-            // Placeholder for unlocking new gem types
-            console.log(`Unlocked new gem type: ${gemType}`);
-            // Implement actual gem unlocking logic if needed
+            const unlocked = this.playerStats.unlockedSpecials ?? [];
+            if (!unlocked.includes(gemType)) {
+                this.playerStats.unlockedSpecials = [...unlocked, gemType];
+                this.savePlayerStats();
+            }
+        }
+
+        /**
+         * Returns the special gem types matches may create this game.
+         * Every special is available unless SPECIAL_GEMS.REQUIRE_UNLOCK
+         * is set, in which case only those reached through levelling up.
+         */
+        getEnabledSpecials() {
+            if (!SPECIAL_GEMS.REQUIRE_UNLOCK) {
+                return Object.values(SPECIAL_TYPES);
+            }
+            return [...(this.playerStats.unlockedSpecials ?? [])];
         }
 
         adjustDifficultyForLevel(level) {
@@ -1123,23 +1812,30 @@ loadGemAssets() {
         if (this.dragState?.selectedGem) {
             this.dragState.selectedGem.setSelected(false);
         }
+        if (this.dragState?.slide) {
+            this.gemGrid.endSlide(this.dragState.slide);
+        }
         this.dragState = {}; // Reset drag state
     }
 
     snapGemsBack() {
-        const { affectedGems, originalPositions } = this.dragState;
+        const { slide, dragAmount } = this.dragState;
+        if (!slide) {
+            return;
+        }
 
-        affectedGems.forEach((gem, index) => {
-            const origPos = originalPositions[index];
-            this.tweens.add({
-                targets: gem,
-                x: origPos.x,
-                y: origPos.y,
-                duration: this.config.animation.gemSwapDuration,
-                ease: 'Back.easeOut'
-            });
+        // Slide back the way the gems came, wrapping as they go
+        this.dragState.slide = null;
+        this.tweens.addCounter({
+            from: dragAmount ?? 0,
+            to: 0,
+            duration: this.config.animation.gemSwapDuration,
+            ease: 'Back.easeOut',
+            onUpdate: tween => this.gemGrid.moveSlide(slide, tween.getValue()),
+            onComplete: () => this.gemGrid.endSlide(slide)
         });
     }
+
     calculateFinalMove(pointer) {
         if (!this.dragState) return 0;
 
@@ -1148,12 +1844,10 @@ loadGemAssets() {
             pointer.y - this.dragState.startPosition.y
         );
 
-        return this.dragState.dragDirection === 'row' ? dragDelta.x : dragDelta.y;
+        return this.calculateDragAmount(dragDelta);
     }
 
     getRandomGemType() {
-        const gemTypes = Object.values(GEM_TYPES);
-        const randomIndex = Math.floor(Math.random() * gemTypes.length);
-        return gemTypes[randomIndex].id;
+        return this.rng.pick(Object.values(GEM_TYPES)).id;
     }
 }
\ No newline at end of file
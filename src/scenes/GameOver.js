@@ -1,4 +1,12 @@
 import Phaser from 'phaser';
+import { GEM_TYPES, OBJECTIVES_HUD, RESULTS_SCREEN } from '../utils/Constants';
+import { SeededRandom } from '../utils/SeededRandom';
+
+// Vertical gap between the buttons' centre and the bottom of the screen
+const BUTTON_MARGIN = 60;
+
+// Horizontal gap between buttons
+const BUTTON_SPACING = 230;
 
 export class GameOver extends Phaser.Scene {
     constructor() {
@@ -6,40 +14,218 @@ export class GameOver extends Phaser.Scene {
     }
 
     create(data) {
-        // Show final score
-        this.add.text(
-            this.sys.game.config.width / 2,
-            this.sys.game.config.height / 2 - 100,
-            'Game Over',
-            {
-                fontSize: '64px',
-                color: '#FFFFFF'
-            }
-        ).setOrigin(0.5);
-
-        this.add.text(
-            this.sys.game.config.width / 2,
-            this.sys.game.config.height / 2,
-            `Final Score: ${data.score}`,
-            {
-                fontSize: '32px',
-                color: '#FFFFFF'
-            }
-        ).setOrigin(0.5);
-
-        this.add.text(
-            this.sys.game.config.width / 2,
-            this.sys.game.config.height / 2 + 100,
-            'Click to Play Again',
-            {
-                fontSize: '32px',
+        const centerX = this.sys.game.config.width / 2;
+        const { COLUMN_WIDTH, LINE_HEIGHT } = RESULTS_SCREEN;
+        const results = data.results ?? { points: [], longestCascade: 0, cleared: [], personalBest: null };
+
+        // Lines queued to appear so far; each waits for the one before
+        this.revealed = 0;
+
+        // Levels with objectives end in success or failure; anything
+        // else ends when its limit runs out
+        this.add.text(centerX, 60, this.getTitle(data), {
+            fontSize: '64px',
+            color: '#FFFFFF'
+        }).setOrigin(0.5);
+
+        if (data.levelName) {
+            this.add.text(centerX, 115, data.levelName, {
+                fontSize: '28px',
                 color: '#FFFFFF'
-            }
-        ).setOrigin(0.5);
+            }).setOrigin(0.5);
+        }
+
+        // Final score, counting up
+        const scoreText = this.add.text(centerX, 170, '', {
+            fontSize: '40px',
+            color: '#FFFFFF'
+        }).setOrigin(0.5);
+        this.reveal([scoreText], scoreText, data.score, value => `Final Score: ${value}`);
+
+        const best = results.personalBest;
+        if (best) {
+            const bestText = this.add.text(
+                centerX,
+                215,
+                best.beaten ? 'New Personal Best!' : `Personal Best: ${best.previous}`,
+                {
+                    fontSize: '26px',
+                    color: best.beaten ? RESULTS_SCREEN.BEST_COLOR : '#FFFFFF'
+                }
+            ).setOrigin(0.5);
+            this.reveal([bestText]);
+        }
+
+        // Left column: where the points came from, then the objectives
+        const leftX = centerX - COLUMN_WIDTH - 30;
+        let y = 270;
+
+        this.addHeading(leftX, y, 'Points');
+        results.points.forEach(line => {
+            y += LINE_HEIGHT;
+            this.addRow(leftX, y, line.label, line.points);
+        });
+
+        if (data.objectives?.length > 0) {
+            y += LINE_HEIGHT * 1.5;
+            this.addHeading(leftX, y, 'Objectives');
+            data.objectives.forEach(objective => {
+                y += LINE_HEIGHT;
+                this.addRow(
+                    leftX,
+                    y,
+                    `${objective.done ? '✓' : '✗'} ${objective.label}`,
+                    objective.progress,
+                    {
+                        format: value => `${value} / ${objective.target}`,
+                        color: objective.done ? OBJECTIVES_HUD.DONE_COLOR : '#FFFFFF'
+                    }
+                );
+            });
+        }
+
+        // Right column: how the game went
+        const rightX = centerX + 30;
+        y = 270;
+
+        this.addHeading(rightX, y, 'Game');
+        this.addRow(rightX, y += LINE_HEIGHT, 'Longest cascade', results.longestCascade);
+        this.addRow(rightX, y += LINE_HEIGHT, 'Moves', data.movesUsed ?? 0);
+        this.addRow(rightX, y += LINE_HEIGHT, 'Time', Math.round((data.timePlayed ?? 0) / 1000), {
+            format: seconds => `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`
+        });
+
+        if (results.cleared.length > 0) {
+            y += LINE_HEIGHT * 1.5;
+            this.addHeading(rightX, y, 'Gems Cleared');
+            results.cleared.forEach(({ color, count }) => {
+                y += LINE_HEIGHT;
+                this.addRow(rightX, y, color.charAt(0).toUpperCase() + color.slice(1), count, {
+                    swatch: Object.values(GEM_TYPES).find(type => type.id === color)?.color
+                });
+            });
+        }
+
+        this.createButtons(data);
+    }
+
+    getTitle(data) {
+        if (data.success === true) {
+            return 'Level Complete!';
+        }
+        if (data.success === false) {
+            return 'Level Failed';
+        }
+        if (data.reason === 'time') {
+            return "Time's Up!";
+        }
+        if (data.reason === 'moves') {
+            return 'Out of Moves';
+        }
+        return 'Game Over';
+    }
+
+    // GameOver.js - Result lines
+
+    addHeading(x, y, label) {
+        const heading = this.add.text(x, y, label, {
+            fontSize: '28px',
+            color: '#FFFFFF',
+            fontStyle: 'bold'
+        }).setOrigin(0, 0.5);
+        this.reveal([heading]);
+    }
+
+    /**
+     * Adds a line with its label on the left and a number counting up on
+     * the right of the column. `format` turns the number into text;
+     * `swatch` is a colour to show beside the label.
+     */
+    addRow(x, y, label, value, { format = String, color = '#FFFFFF', swatch = null } = {}) {
+        const style = { fontSize: '22px', color };
+        const targets = [];
+
+        let labelX = x;
+        if (swatch !== null && swatch !== undefined) {
+            targets.push(this.add.rectangle(x + 8, y, 16, 16, swatch));
+            labelX += 26;
+        }
+
+        targets.push(this.add.text(labelX, y, label, style).setOrigin(0, 0.5));
+
+        const valueText = this.add.text(x + RESULTS_SCREEN.COLUMN_WIDTH, y, '', style).setOrigin(1, 0.5);
+        targets.push(valueText);
+
+        this.reveal(targets, valueText, value, format);
+    }
+
+    /**
+     * Fades `targets` in after every line queued before them. With a
+     * `counter` text, `value` then counts up in it from 0.
+     */
+    reveal(targets, counter = null, value = 0, format = String) {
+        const { ROW_DELAY, FADE_DURATION, COUNT_DURATION } = RESULTS_SCREEN;
+        const delay = ROW_DELAY * this.revealed++;
 
-        // Return to menu on click
-        this.input.once('pointerdown', () => {
-            this.scene.start('MainMenu');
+        targets.forEach(target => target.setAlpha(0));
+        counter?.setText(format(0));
+
+        this.tweens.add({
+            targets,
+            alpha: 1,
+            delay,
+            duration: FADE_DURATION
+        });
+
+        if (counter && value > 0) {
+            this.tweens.addCounter({
+                from: 0,
+                to: value,
+                delay,
+                duration: COUNT_DURATION,
+                ease: 'Cubic.easeOut',
+                onUpdate: tween => counter.setText(format(Math.round(tween.getValue())))
+            });
+        }
+    }
+
+    // GameOver.js - Buttons
+
+    /**
+     * Retry plays the same game again from the same seed, New Game the
+     * same settings with a fresh one. Replays and demos only go back.
+     */
+    createButtons(data) {
+        const options = [];
+
+        if (data.restart) {
+            options.push(
+                { label: 'Retry', onClick: () => this.scene.start('Game', data.restart) },
+                {
+                    label: 'New Game',
+                    onClick: () => this.scene.start('Game', { ...data.restart, seed: SeededRandom.randomSeed() })
+                }
+            );
+        }
+
+        // Play-tests go back to the editor rather than the menu
+        options.push(data.playtest
+            ? { label: 'Back to Editor', onClick: () => this.scene.start('LevelEditor', { level: data.level }) }
+            : { label: 'Menu', onClick: () => this.scene.start('MainMenu') });
+
+        const { width, height } = this.sys.game.config;
+        const firstX = width / 2 - (options.length - 1) * BUTTON_SPACING / 2;
+
+        options.forEach(({ label, onClick }, i) => {
+            this.add.text(firstX + i * BUTTON_SPACING, height - BUTTON_MARGIN, label, {
+                fontSize: '32px',
+                color: '#FFFFFF',
+                backgroundColor: '#00000088',
+                padding: { x: 10, y: 5 }
+            })
+                .setOrigin(0.5)
+                .setInteractive({ useHandCursor: true })
+                .once('pointerdown', onClick);
         });
     }
 }
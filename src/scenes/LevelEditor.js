@@ -0,0 +1,837 @@
+// scenes/LevelEditor.js
+// Lets a designer build a level by hand instead of relying on random boards
+// Gem colours, blockers and holes are painted onto a grid; limits,
+// objectives and star scores are set from the side panel. The level can be
+// play-tested straight away in the Game scene, and exported or imported as
+// the same JSON file the Preloader reads from assets/levels/.
+
+import Phaser from 'phaser';
+import { BoardModel } from '../core/BoardModel';
+import { LevelError, createDefaultLevel, describeStartingMatch, findStartingMatches, parseLevel, serializeLevel } from '../core/LevelLoader';
+import { BLOCKER_TYPES, GEM_TYPES, GRAVITY, ITEMS, LEVEL_FORMAT, OBJECTIVE_TYPES, SLIDES } from '../utils/Constants';
+
+// Registry key the level being edited is kept under, so it survives a
+// play-test and trips back to the menu
+const REGISTRY_KEY = 'editorLevel';
+
+// Area of the screen the grid is drawn in
+const GRID_AREA = { x: 40, y: 60, width: 560, height: 640, maxCellSize: 64 };
+
+// Left edge of the side panel
+const PANEL_X = 640;
+
+// How far one click of -/+ moves a limit
+const MOVES_STEP = 1;
+const TIME_STEP = 10;
+
+// Limit kinds the limit button cycles through
+const LIMIT_OPTIONS = [
+    { kind: null, label: 'Limit: None' },
+    { kind: 'moves', label: 'Limit: Moves' },
+    { kind: 'time', label: 'Limit: Time' }
+];
+
+// Arrows drawn for each gravity direction
+const GRAVITY_ARROWS = {
+    [GRAVITY.DOWN]: '↓',
+    [GRAVITY.UP]: '↑',
+    [GRAVITY.LEFT]: '←',
+    [GRAVITY.RIGHT]: '→'
+};
+
+// The direction opposite each one, which a lane can be flipped to
+const OPPOSITE_GRAVITY = {
+    [GRAVITY.DOWN]: GRAVITY.UP,
+    [GRAVITY.UP]: GRAVITY.DOWN,
+    [GRAVITY.LEFT]: GRAVITY.RIGHT,
+    [GRAVITY.RIGHT]: GRAVITY.LEFT
+};
+
+// Starting values for objectives added from the panel
+const NEW_OBJECTIVES = {
+    [OBJECTIVE_TYPES.SCORE]: () => ({ type: OBJECTIVE_TYPES.SCORE, target: 5000 }),
+    [OBJECTIVE_TYPES.COLLECT]: level => ({ type: OBJECTIVE_TYPES.COLLECT, color: level.colors[0], count: 20 }),
+    [OBJECTIVE_TYPES.CLEAR_BLOCKERS]: () => ({ type: OBJECTIVE_TYPES.CLEAR_BLOCKERS, blocker: BLOCKER_TYPES.ICE, count: null }),
+    [OBJECTIVE_TYPES.DROP_ITEMS]: () => ({ type: OBJECTIVE_TYPES.DROP_ITEMS, count: null })
+};
+
+const TEXT_STYLE = {
+    fontSize: '18px',
+    fontFamily: 'Arial',
+    color: '#FFFFFF'
+};
+
+const BUTTON_STYLE = {
+    ...TEXT_STYLE,
+    backgroundColor: '#00000088',
+    padding: { x: 8, y: 4 }
+};
+
+// Looks up a gem's display colour by its id
+const GEM_COLORS = Object.fromEntries(
+    Object.values(GEM_TYPES).map(gemType => [gemType.id, gemType.color])
+);
+
+// Outline for painted gems that would start the level already matched
+const STARTING_MATCH_COLOR = 0xFF3333;
+
+export class LevelEditor extends Phaser.Scene {
+    constructor() {
+        super('LevelEditor');
+    }
+
+    init(data) {
+        // Coming back from a play-test hands the level back; otherwise carry
+        // on with whatever was being edited last, or start a blank board
+        const level = data?.level ?? this.registry.get(REGISTRY_KEY) ?? createDefaultLevel({ name: 'New Level' });
+        this.level = this.toEditable(level);
+
+        this.tools = this.createTools();
+        this.tool = this.tools[0];
+        this.isPainting = false;
+    }
+
+    create() {
+        this.gridGraphics = this.add.graphics();
+        this.cellLabels = [];
+
+        this.createPanel();
+        this.rebuildGrid();
+
+        this.input.on('pointerdown', pointer => {
+            this.isPainting = this.paintAt(pointer);
+        });
+        this.input.on('pointermove', pointer => {
+            if (this.isPainting && pointer.isDown) {
+                this.paintAt(pointer);
+            }
+        });
+        this.input.on('pointerup', () => {
+            this.isPainting = false;
+        });
+
+        this.events.once(Phaser.Scenes.Events.SHUTDOWN, () => {
+            this.fileInput?.remove();
+            this.fileInput = null;
+        });
+    }
+
+    // LevelEditor.js - Editing the level
+
+    /**
+     * Copies a level into the form the editor works on: the same object
+     * parseLevel returns, but with the mask, layout and blockers always
+     * filled in as full grids so every cell can be painted.
+     */
+    toEditable(level) {
+        const grid = read => Array.from({ length: level.width }, (_, x) =>
+            Array.from({ length: level.height }, (__, y) => read(x, y))
+        );
+
+        return {
+            ...level,
+            id: level.id ?? 'custom',
+            mask: grid((x, y) => level.mask?.[x][y] ?? true),
+            colors: [...level.colors],
+            layout: grid((x, y) => level.layout?.[x][y] ?? null),
+            blockers: grid((x, y) => {
+                const blocker = level.blockers?.[x][y];
+                return blocker ? { ...blocker } : null;
+            }),
+            wrap: level.wrap ?? SLIDES.WRAP,
+            gravity: {
+                direction: level.gravity?.direction ?? GRAVITY.DOWN,
+                overrides: { ...level.gravity?.overrides }
+            },
+            limits: { ...level.limits },
+            objectives: level.objectives.map(objective => ({ ...objective })),
+            stars: [...level.stars]
+        };
+    }
+
+    /**
+     * Builds the paint palette: a random gem, every gem colour, an item,
+     * each blocker, a blocker eraser, and tools to cut or restore cells.
+     */
+    createTools() {
+        const { BLOCKER_CODES, GEM_CODES, HOLE_CODE, ITEM_CODE, RANDOM_CODE } = LEVEL_FORMAT;
+
+        return [
+            { label: RANDOM_CODE, name: 'Random gem', paint: (x, y) => this.setGem(x, y, null) },
+            ...Object.values(GEM_CODES).map(color => ({
+                label: '',
+                name: `${color} gem`,
+                color: GEM_COLORS[color],
+                paint: (x, y) => this.setGem(x, y, color)
+            })),
+            { label: ITEM_CODE, name: 'Item', color: ITEMS.TINT, paint: (x, y) => this.setGem(x, y, ITEMS.TYPE) },
+            ...Object.entries(BLOCKER_CODES).map(([code, type]) => ({
+                label: code,
+                name: type,
+                paint: (x, y) => this.setBlocker(x, y, type)
+            })),
+            { label: 'x', name: 'Remove blocker', paint: (x, y) => this.setBlocker(x, y, null) },
+            { label: HOLE_CODE, name: 'Hole', paint: (x, y) => this.setHole(x, y, true) },
+            { label: '#', name: 'Cell', paint: (x, y) => this.setHole(x, y, false) }
+        ];
+    }
+
+    setGem(x, y, color) {
+        const { level } = this;
+        level.mask[x][y] = true;
+        level.layout[x][y] = color;
+
+        // Stone fills its cell, so painting a gem replaces it
+        if (level.blockers[x][y]?.type === BLOCKER_TYPES.STONE) {
+            level.blockers[x][y] = null;
+        }
+
+        // Painting a colour the level doesn't use adds it to the pool
+        if (color && color !== ITEMS.TYPE && !level.colors.includes(color)) {
+            level.colors = this.sortColors([...level.colors, color]);
+            this.updateColorButtons();
+        }
+    }
+
+    setBlocker(x, y, type) {
+        const { level } = this;
+        level.mask[x][y] = true;
+        level.blockers[x][y] = type ? { type, strength: BoardModel.getDefaultStrength(type) } : null;
+
+        if (type === BLOCKER_TYPES.STONE) {
+            level.layout[x][y] = null;
+        }
+    }
+
+    setHole(x, y, isHole) {
+        const { level } = this;
+        level.mask[x][y] = !isHole;
+
+        if (isHole) {
+            level.layout[x][y] = null;
+            level.blockers[x][y] = null;
+        }
+    }
+
+    /**
+     * Paints the cell under the pointer with the current tool.
+     * Returns whether the pointer was over the grid.
+     */
+    paintAt(pointer) {
+        const { cellSize, left, top } = this.gridLayout;
+        const x = Math.floor((pointer.x - left) / cellSize);
+        const y = Math.floor((pointer.y - top) / cellSize);
+
+        if (x < 0 || x >= this.level.width || y < 0 || y >= this.level.height) {
+            return false;
+        }
+
+        this.tool.paint(x, y);
+        this.drawGrid();
+        this.save();
+        return true;
+    }
+
+    /**
+     * Changes the board size, keeping everything painted on cells that
+     * are still on the board.
+     */
+    resize(width, height) {
+        const { MAX_SIZE, MIN_SIZE } = LEVEL_FORMAT;
+        width = Phaser.Math.Clamp(width, MIN_SIZE, MAX_SIZE);
+        height = Phaser.Math.Clamp(height, MIN_SIZE, MAX_SIZE);
+
+        const old = this.level;
+        this.level = this.toEditable({
+            ...old,
+            width,
+            height,
+            mask: this.resizeGrid(old.mask, width, height, true),
+            layout: this.resizeGrid(old.layout, width, height, null),
+            blockers: this.resizeGrid(old.blockers, width, height, null)
+        });
+
+        // Drop lane overrides for columns or rows that are gone
+        const { direction, overrides } = this.level.gravity;
+        const laneCount = BoardModel.isVertical(direction) ? width : height;
+        Object.keys(overrides).filter(lane => Number(lane) >= laneCount).forEach(lane => delete overrides[lane]);
+
+        this.rebuildGrid();
+        this.updatePanel();
+        this.save();
+    }
+
+    resizeGrid(grid, width, height, fill) {
+        return Array.from({ length: width }, (_, x) =>
+            Array.from({ length: height }, (__, y) => grid[x]?.[y] ?? fill)
+        );
+    }
+
+    toggleColor(color) {
+        const { colors, layout, objectives } = this.level;
+
+        if (colors.includes(color)) {
+            if (colors.length <= LEVEL_FORMAT.MIN_COLORS) {
+                this.showMessage(`A level needs at least ${LEVEL_FORMAT.MIN_COLORS} colours`);
+                return;
+            }
+            this.level.colors = colors.filter(c => c !== color);
+
+            // Gems painted in that colour go back to random
+            layout.forEach(column => column.forEach((gem, y) => {
+                if (gem === color) column[y] = null;
+            }));
+            this.level.objectives = objectives.filter(objective => objective.color !== color);
+        } else {
+            this.level.colors = this.sortColors([...colors, color]);
+        }
+
+        this.drawGrid();
+        this.updatePanel();
+        this.save();
+    }
+
+    // Keeps the colour pool in the standard colour order
+    sortColors(colors) {
+        return Object.values(LEVEL_FORMAT.GEM_CODES).filter(color => colors.includes(color));
+    }
+
+    /**
+     * Turns the whole board's gravity to the next direction. Lane
+     * overrides only make sense along one axis, so they're dropped.
+     */
+    cycleGravity() {
+        const directions = Object.values(GRAVITY);
+        const next = directions[(directions.indexOf(this.level.gravity.direction) + 1) % directions.length];
+        this.level.gravity = { direction: next, overrides: {} };
+
+        this.rebuildGrid();
+        this.updatePanel();
+        this.save();
+    }
+
+    // Flips one column (or row) to fall against the board's gravity, or back
+    toggleLaneGravity(lane) {
+        const { direction, overrides } = this.level.gravity;
+        if (overrides[lane]) {
+            delete overrides[lane];
+        } else {
+            overrides[lane] = OPPOSITE_GRAVITY[direction];
+        }
+
+        this.drawLaneArrows();
+        this.save();
+    }
+
+    // Switches slides between wrapping gems round and pushing them off
+    toggleWrap() {
+        this.level.wrap = !this.level.wrap;
+        this.updatePanel();
+        this.save();
+    }
+
+    cycleLimit() {
+        const { limits } = this.level;
+        const current = LIMIT_OPTIONS.findIndex(option => option.kind && limits[option.kind]);
+        const next = LIMIT_OPTIONS[(current + 1) % LIMIT_OPTIONS.length];
+
+        this.level.limits = { moves: null, time: null };
+        if (next.kind === 'moves') this.level.limits.moves = 20;
+        if (next.kind === 'time') this.level.limits.time = 90;
+
+        this.updatePanel();
+        this.save();
+    }
+
+    adjustLimit(direction) {
+        const { limits } = this.level;
+        if (limits.moves) {
+            limits.moves = Math.max(1, limits.moves + direction * MOVES_STEP);
+        } else if (limits.time) {
+            limits.time = Math.max(TIME_STEP, limits.time + direction * TIME_STEP);
+        }
+
+        this.updatePanel();
+        this.save();
+    }
+
+    addObjective(type) {
+        this.level.objectives.push(NEW_OBJECTIVES[type](this.level));
+        this.updatePanel();
+        this.save();
+    }
+
+    /**
+     * Edits an objective as JSON, which is how it's written in the level
+     * file. Clearing the text removes it. Mistakes are caught when the
+     * level is checked for play-testing or export.
+     */
+    editObjective(index) {
+        const current = { ...this.level.objectives[index] };
+        if (current.count === null) {
+            delete current.count;
+        }
+
+        const text = window.prompt('Edit objective (leave empty to remove it)', JSON.stringify(current));
+        if (text === null) {
+            return;
+        }
+
+        if (text.trim() === '') {
+            this.level.objectives.splice(index, 1);
+        } else {
+            let objective;
+            try {
+                objective = JSON.parse(text);
+            } catch (error) {
+                this.showMessage(`That objective isn't valid JSON (${error.message})`);
+                return;
+            }
+
+            // The panel reads the objective's fields, so null, a list or a
+            // plain value can't stand in for one
+            if (typeof objective !== 'object' || objective === null || Array.isArray(objective)) {
+                this.showMessage('An objective has to be an object like { "type": "score", "target": 5000 }');
+                return;
+            }
+            this.level.objectives[index] = objective;
+        }
+
+        this.updatePanel();
+        this.save();
+    }
+
+    editName() {
+        const name = window.prompt('Level name', this.level.name);
+        if (name !== null && name.trim() !== '') {
+            this.level.name = name.trim();
+            this.updatePanel();
+            this.save();
+        }
+    }
+
+    editStars() {
+        const text = window.prompt(
+            'Scores for one, two and three stars, separated by commas (leave empty for none)',
+            this.level.stars.join(', ')
+        );
+        if (text === null) {
+            return;
+        }
+
+        this.level.stars = text.trim() === ''
+            ? []
+            : text.split(',').map(score => Number(score.trim()));
+
+        this.updatePanel();
+        this.save();
+    }
+
+    clearBoard() {
+        this.level = this.toEditable({
+            ...this.level,
+            mask: null,
+            layout: null,
+            blockers: null
+        });
+
+        this.drawGrid();
+        this.save();
+    }
+
+    save() {
+        this.registry.set(REGISTRY_KEY, this.level);
+    }
+
+    // LevelEditor.js - Checking, play-testing, import and export
+
+    /**
+     * Runs the level through the same checks as a level file, returning
+     * the parsed level, or null after showing what's wrong. Gems painted
+     * into a match are caught first, as they're the easiest to miss; the
+     * grid outlines them too.
+     */
+    validate() {
+        const startingMatches = findStartingMatches(this.level);
+        if (startingMatches.length > 0) {
+            this.showMessage(startingMatches.map(describeStartingMatch).join('\n'));
+            return null;
+        }
+
+        try {
+            return parseLevel(serializeLevel(this.level), this.level.id);
+        } catch (error) {
+            if (!(error instanceof LevelError)) {
+                throw error;
+            }
+            this.showMessage(error.problems.join('\n'));
+            return null;
+        }
+    }
+
+    playTest() {
+        const level = this.validate();
+        if (level) {
+            this.scene.start('Game', { level, playtest: true });
+        }
+    }
+
+    /**
+     * Downloads the level as a JSON file ready to drop into
+     * assets/levels/, and copies it to the clipboard where allowed.
+     */
+    exportLevel() {
+        if (!this.validate()) {
+            return;
+        }
+
+        const json = JSON.stringify(serializeLevel(this.level), null, 4);
+        const fileName = `${this.level.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'level'}.json`;
+
+        const url = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        link.click();
+        URL.revokeObjectURL(url);
+
+        navigator.clipboard?.writeText(json).catch(() => {});
+        this.showMessage(`Exported ${fileName}`);
+    }
+
+    /**
+     * Opens a file picker and loads the chosen level file, showing the
+     * problems instead if it isn't a valid level.
+     */
+    importLevel() {
+        if (!this.fileInput) {
+            this.fileInput = document.createElement('input');
+            this.fileInput.type = 'file';
+            this.fileInput.accept = '.json,application/json';
+            this.fileInput.style.display = 'none';
+            document.body.appendChild(this.fileInput);
+
+            this.fileInput.addEventListener('change', async () => {
+                const file = this.fileInput.files[0];
+                this.fileInput.value = '';
+                if (!file) {
+                    return;
+                }
+
+                let text = null;
+                try {
+                    text = await file.text();
+                } catch (error) {
+                    console.error('Error reading level file:', error);
+                    this.showMessage(`Couldn't read ${file.name} (${error.message})`);
+                    return;
+                }
+                this.loadLevelText(text, file.name.replace(/\.json$/i, ''));
+            });
+        }
+
+        this.fileInput.click();
+    }
+
+    loadLevelText(text, source) {
+        try {
+            this.level = this.toEditable(parseLevel(text, source));
+        } catch (error) {
+            if (!(error instanceof LevelError)) {
+                throw error;
+            }
+            this.showMessage(error.message);
+            return;
+        }
+
+        this.rebuildGrid();
+        this.updatePanel();
+        this.save();
+        this.showMessage(`Imported "${this.level.name}"`);
+    }
+
+    // LevelEditor.js - Drawing
+
+    /**
+     * Works out the cell size for the current board and recreates the
+     * per-cell labels, then redraws. Needed whenever the size changes.
+     */
+    rebuildGrid() {
+        const { width, height } = this.level;
+        const cellSize = Math.min(
+            GRID_AREA.maxCellSize,
+            Math.floor(GRID_AREA.width / width),
+            Math.floor(GRID_AREA.height / height)
+        );
+
+        // Centre the board in its area
+        this.gridLayout = {
+            cellSize,
+            left: GRID_AREA.x + (GRID_AREA.width - cellSize * width) / 2,
+            top: GRID_AREA.y + (GRID_AREA.height - cellSize * height) / 2
+        };
+
+        this.cellLabels.flat().forEach(label => label.destroy());
+        this.cellLabels = Array.from({ length: width }, (_, x) =>
+            Array.from({ length: height }, (__, y) => this.add.text(
+                this.gridLayout.left + (x + 0.5) * cellSize,
+                this.gridLayout.top + (y + 0.5) * cellSize,
+                '',
+                { ...TEXT_STYLE, fontSize: `${Math.floor(cellSize / 2)}px`, fontStyle: 'bold' }
+            ).setOrigin(0.5).setDepth(1))
+        );
+
+        // An arrow per column (or per row, for sideways gravity) shows
+        // which way it falls; clicking one flips that lane
+        const vertical = BoardModel.isVertical(this.level.gravity.direction);
+        this.laneArrows?.forEach(arrow => arrow.destroy());
+        this.laneArrows = Array.from({ length: vertical ? width : height }, (_, lane) => this.createButton(
+            vertical ? this.gridLayout.left + (lane + 0.5) * cellSize : this.gridLayout.left - 14,
+            vertical ? this.gridLayout.top - 14 : this.gridLayout.top + (lane + 0.5) * cellSize,
+            '',
+            () => this.toggleLaneGravity(lane),
+            { ...TEXT_STYLE, fontSize: '20px' }
+        ).setOrigin(0.5));
+
+        this.drawLaneArrows();
+        this.drawGrid();
+    }
+
+    // Overridden lanes are highlighted so they stand out
+    drawLaneArrows() {
+        const { direction, overrides } = this.level.gravity;
+        this.laneArrows.forEach((arrow, lane) => {
+            arrow.setText(GRAVITY_ARROWS[overrides[lane] ?? direction]);
+            arrow.setColor(overrides[lane] ? '#FFD700' : '#FFFFFF');
+        });
+    }
+
+    drawGrid() {
+        const { cellSize, left, top } = this.gridLayout;
+        const { RANDOM_CODE } = LEVEL_FORMAT;
+        const graphics = this.gridGraphics;
+        graphics.clear();
+
+        // Painted gems that already make a match, which a level can't start with
+        const matched = new Set(findStartingMatches(this.level)
+            .flatMap(match => match.cells.map(cell => `${cell.x},${cell.y}`)));
+
+        for (let x = 0; x < this.level.width; x++) {
+            for (let y = 0; y < this.level.height; y++) {
+                const cellX = left + x * cellSize;
+                const cellY = top + y * cellSize;
+                const centerX = cellX + cellSize / 2;
+                const centerY = cellY + cellSize / 2;
+                const half = cellSize / 2 - 3;
+                const label = this.cellLabels[x][y];
+
+                // Holes are just outlined so they can be painted back in
+                if (!this.level.mask[x][y]) {
+                    graphics.lineStyle(1, 0xFFFFFF, 0.2);
+                    graphics.strokeRect(cellX + 2, cellY + 2, cellSize - 4, cellSize - 4);
+                    label.setText('');
+                    continue;
+                }
+
+                graphics.fillStyle(0x000000, 0.35);
+                graphics.fillRect(cellX + 1, cellY + 1, cellSize - 2, cellSize - 2);
+
+                const gem = this.level.layout[x][y];
+                const blocker = this.level.blockers[x][y];
+
+                if (gem) {
+                    graphics.fillStyle(gem === ITEMS.TYPE ? ITEMS.TINT : GEM_COLORS[gem], 1);
+                    graphics.fillCircle(centerX, centerY, cellSize * 0.35);
+                }
+                if (gem === ITEMS.TYPE) {
+                    label.setText(LEVEL_FORMAT.ITEM_CODE);
+                } else {
+                    label.setText(!gem && blocker?.type !== BLOCKER_TYPES.STONE ? RANDOM_CODE : '');
+                }
+
+                // Same look as the blockers on the game board
+                if (blocker?.type === BLOCKER_TYPES.STONE) {
+                    graphics.fillStyle(0x6B6B6B, 1);
+                    graphics.fillRoundedRect(centerX - half, centerY - half, half * 2, half * 2, 8);
+                    graphics.lineStyle(3, 0x3A3A3A, 1);
+                    graphics.strokeRoundedRect(centerX - half, centerY - half, half * 2, half * 2, 8);
+                } else if (blocker?.type === BLOCKER_TYPES.ICE) {
+                    graphics.fillStyle(0xBFEFFF, 0.2 + 0.15 * blocker.strength);
+                    graphics.fillRoundedRect(centerX - half, centerY - half, half * 2, half * 2, 6);
+                    graphics.lineStyle(2, 0xFFFFFF, 0.8);
+                    graphics.strokeRoundedRect(centerX - half, centerY - half, half * 2, half * 2, 6);
+                } else if (blocker?.type === BLOCKER_TYPES.CHAIN) {
+                    graphics.lineStyle(4, 0x9A9A9A, 1);
+                    graphics.lineBetween(centerX - half, centerY - half, centerX + half, centerY + half);
+                    graphics.lineBetween(centerX - half, centerY + half, centerX + half, centerY - half);
+                }
+
+                if (matched.has(`${x},${y}`)) {
+                    graphics.lineStyle(3, STARTING_MATCH_COLOR, 1);
+                    graphics.strokeRect(cellX + 2, cellY + 2, cellSize - 4, cellSize - 4);
+                }
+            }
+        }
+    }
+
+    createPanel() {
+        let y = 20;
+
+        this.nameText = this.createButton(PANEL_X, y, '', () => this.editName(), { ...BUTTON_STYLE, fontSize: '24px' });
+
+        // Paint tools, seven to a row
+        y += 50;
+        this.add.text(PANEL_X, y, 'Paint', TEXT_STYLE);
+        this.toolButtons = this.tools.map((tool, i) => {
+            const buttonX = PANEL_X + 20 + (i % 7) * 48;
+            const buttonY = y + 50 + Math.floor(i / 7) * 48;
+            return this.createSwatch(buttonX, buttonY, tool.color ?? 0x333333, tool.label, () => {
+                this.tool = tool;
+                this.updatePanel();
+            });
+        });
+        this.toolNameText = this.add.text(PANEL_X, y + 120, '', TEXT_STYLE);
+
+        // Board size
+        y += 160;
+        this.sizeText = this.add.text(PANEL_X, y + 4, '', TEXT_STYLE);
+        this.createButton(PANEL_X + 150, y, 'W-', () => this.resize(this.level.width - 1, this.level.height));
+        this.createButton(PANEL_X + 195, y, 'W+', () => this.resize(this.level.width + 1, this.level.height));
+        this.createButton(PANEL_X + 250, y, 'H-', () => this.resize(this.level.width, this.level.height - 1));
+        this.createButton(PANEL_X + 295, y, 'H+', () => this.resize(this.level.width, this.level.height + 1));
+
+        // Colour pool; dimmed colours can't appear on the board
+        y += 45;
+        this.add.text(PANEL_X, y + 4, 'Colours', TEXT_STYLE);
+        this.colorButtons = Object.values(LEVEL_FORMAT.GEM_CODES).map((color, i) => ({
+            color,
+            swatch: this.createSwatch(PANEL_X + 110 + i * 40, y + 14, GEM_COLORS[color], '', () => this.toggleColor(color), 30)
+        }));
+
+        // Move or time limit
+        y += 45;
+        this.limitButton = this.createButton(PANEL_X, y, '', () => this.cycleLimit());
+        this.limitText = this.add.text(PANEL_X + 150, y + 4, '', TEXT_STYLE);
+        this.createButton(PANEL_X + 250, y, '-', () => this.adjustLimit(-1));
+        this.createButton(PANEL_X + 285, y, '+', () => this.adjustLimit(1));
+
+        // Star scores
+        y += 45;
+        this.starsButton = this.createButton(PANEL_X, y, '', () => this.editStars());
+
+        // Gravity and slides
+        y += 45;
+        this.gravityButton = this.createButton(PANEL_X, y, '', () => this.cycleGravity());
+        this.wrapButton = this.createButton(PANEL_X + 130, y, '', () => this.toggleWrap());
+
+        // Objectives, each clickable to edit
+        y += 45;
+        this.add.text(PANEL_X, y + 4, 'Objectives', TEXT_STYLE);
+        y += 35;
+        this.createButton(PANEL_X, y, '+ Score', () => this.addObjective(OBJECTIVE_TYPES.SCORE));
+        this.createButton(PANEL_X + 85, y, '+ Collect', () => this.addObjective(OBJECTIVE_TYPES.COLLECT));
+        this.createButton(PANEL_X + 180, y, '+ Clear', () => this.addObjective(OBJECTIVE_TYPES.CLEAR_BLOCKERS));
+        this.createButton(PANEL_X + 260, y, '+ Items', () => this.addObjective(OBJECTIVE_TYPES.DROP_ITEMS));
+        this.objectivesTop = y + 40;
+        this.objectiveButtons = [];
+
+        // Actions along the bottom
+        const bottom = this.sys.game.config.height - 50;
+        this.createButton(PANEL_X, bottom, 'Play-test', () => this.playTest());
+        this.createButton(PANEL_X + 95, bottom, 'Export', () => this.exportLevel());
+        this.createButton(PANEL_X + 170, bottom, 'Import', () => this.importLevel());
+        this.createButton(PANEL_X + 245, bottom, 'Clear', () => this.clearBoard());
+        this.createButton(PANEL_X + 310, bottom, 'Menu', () => this.scene.start('MainMenu'));
+
+        // Validation problems and other notes
+        this.messageText = this.add.text(PANEL_X, bottom - 20, '', {
+            ...TEXT_STYLE,
+            fontSize: '14px',
+            color: '#ffdddd',
+            backgroundColor: '#880000cc',
+            padding: { x: 6, y: 4 },
+            wordWrap: { width: this.sys.game.config.width - PANEL_X - 20 }
+        }).setOrigin(0, 1).setDepth(10).setVisible(false)
+            .setInteractive({ useHandCursor: true })
+            .on('pointerdown', () => this.messageText.setVisible(false));
+
+        this.updatePanel();
+    }
+
+    updatePanel() {
+        const { level } = this;
+
+        this.nameText.setText(level.name);
+        this.toolNameText.setText(`Tool: ${this.tool.name}`);
+        this.toolButtons.forEach((button, i) => button.setStrokeStyle(3, 0xFFFFFF, this.tools[i] === this.tool ? 1 : 0));
+        this.sizeText.setText(`Size ${level.width} x ${level.height}`);
+        this.gravityButton.setText(`Gravity ${GRAVITY_ARROWS[level.gravity.direction]}`);
+        this.wrapButton.setText(level.wrap ? 'Slides wrap around' : 'Slides push gems off');
+        this.updateColorButtons();
+
+        const limit = LIMIT_OPTIONS.find(option => option.kind && level.limits[option.kind]) ?? LIMIT_OPTIONS[0];
+        this.limitButton.setText(limit.label);
+        this.limitText.setText(
+            level.limits.moves ? `${level.limits.moves} moves`
+                : level.limits.time ? `${level.limits.time} s`
+                : ''
+        );
+
+        this.starsButton.setText(`Stars: ${level.stars.length > 0 ? level.stars.join(' / ') : 'none'}`);
+
+        this.objectiveButtons.forEach(button => button.destroy());
+        this.objectiveButtons = level.objectives.map((objective, i) => this.createButton(
+            PANEL_X,
+            this.objectivesTop + i * 34,
+            this.describeObjective(objective),
+            () => this.editObjective(i)
+        ));
+    }
+
+    updateColorButtons() {
+        this.colorButtons?.forEach(({ color, swatch }) => {
+            swatch.setAlpha(this.level.colors.includes(color) ? 1 : 0.25);
+        });
+    }
+
+    describeObjective(objective) {
+        switch (objective.type) {
+            case OBJECTIVE_TYPES.SCORE:
+                return `Score ${objective.target} points`;
+            case OBJECTIVE_TYPES.COLLECT:
+                return `Collect ${objective.count} ${objective.color}`;
+            case OBJECTIVE_TYPES.CLEAR_BLOCKERS:
+                return `Clear ${objective.count ?? 'all'} ${objective.blocker}`;
+            case OBJECTIVE_TYPES.DROP_ITEMS:
+                return `Drop ${objective.count ?? 'all'} items`;
+            default:
+                return JSON.stringify(objective);
+        }
+    }
+
+    createButton(x, y, label, onClick, style = BUTTON_STYLE) {
+        return this.add.text(x, y, label, style)
+            .setInteractive({ useHandCursor: true })
+            .on('pointerdown', onClick);
+    }
+
+    // A coloured square with an optional letter, used for tools and colours
+    createSwatch(x, y, color, label, onClick, size = 40) {
+        const swatch = this.add.rectangle(x, y, size, size, color)
+            .setInteractive({ useHandCursor: true })
+            .on('pointerdown', onClick);
+
+        if (label) {
+            this.add.text(x, y, label, { ...TEXT_STYLE, fontSize: '22px', fontStyle: 'bold' })
+                .setOrigin(0.5)
+                .setDepth(1);
+        }
+
+        return swatch;
+    }
+
+    // Shows a note above the action buttons until it's clicked away
+    showMessage(text) {
+        this.messageText.setText(text).setVisible(true);
+    }
+}
@@ -1,4 +1,28 @@
 import Phaser from 'phaser';
+import { ReplayRecorder } from '../systems/ReplayRecorder';
+import { SaveManager } from '../systems/SaveManager';
+import { parseLevel } from '../core/LevelLoader';
+import { AUTOPLAY, GAME_MODES, INPUT_MODES } from '../utils/Constants';
+
+// Game modes the mechanic toggle cycles through
+const INPUT_MODE_OPTIONS = [
+    { mode: INPUT_MODES.SLIDE, label: 'Mode: Slide Rows & Columns' },
+    { mode: INPUT_MODES.SWAP, label: 'Mode: Classic Swap' }
+];
+
+// Limits and scoring for endless play the menu toggle cycles through
+const GAME_MODE_OPTIONS = [
+    { mode: GAME_MODES.ENDLESS.id, label: 'Limit: None', ...GAME_MODES.ENDLESS },
+    { mode: GAME_MODES.MOVES.id, label: `Limit: ${GAME_MODES.MOVES.limits.moves} Moves`, ...GAME_MODES.MOVES },
+    { mode: GAME_MODES.TIMED.id, label: `Limit: ${GAME_MODES.TIMED.limits.time / 60} Minutes`, ...GAME_MODES.TIMED }
+];
+
+// Computer player settings the menu toggle cycles through
+const AUTOPLAY_MODES = [
+    { mode: 'off', label: 'AI Player: Off' },
+    { mode: 'play', label: 'AI Player: On' },
+    { mode: 'soak', label: 'AI Player: Soak Test' }
+];
 
 export class MainMenu extends Phaser.Scene {
     constructor() {
@@ -6,27 +30,47 @@ export class MainMenu extends Phaser.Scene {
     }
 
     create() {
+        const levelOptions = this.getLevelOptions();
+
         // Add title text
         this.add.text(
             this.sys.game.config.width / 2,
-            this.sys.game.config.height / 2 - 100,
+            this.sys.game.config.height / 2 - 180,
             'Match-3 Game',
             {
                 fontSize: '64px',
                 color: '#FFFFFF'
             }
-        ).setOrigin(0.5);
+        ).setOrigin(0.5).setDepth(1);
+
+        // Offer to carry on with the game that was left unfinished
+        const save = SaveManager.load();
+        if (save) {
+            this.createMenuButton(
+                this.sys.game.config.height / 2 - 120,
+                'Continue',
+                () => this.startScene('Game', {
+                    save,
+                    seed: save.seed,
+                    inputMode: save.inputMode,
+                    specials: save.specials,
+                    level: save.level
+                })
+            );
+        }
 
         // Add start game text
-        const startText = this.add.text(
-            this.sys.game.config.width / 2,
-            this.sys.game.config.height / 2 + 100,
+        const startText = this.createMenuButton(
+            this.sys.game.config.height / 2 - 70,
             'Click to Start',
-            {
-                fontSize: '32px',
-                color: '#FFFFFF'
-            }
-        ).setOrigin(0.5);
+            () => this.startScene('Game', {
+                level: this.getOption(levelOptions, 'levelId').mode,
+                limits: this.getOption(GAME_MODE_OPTIONS, 'gameMode').limits,
+                scoring: this.getOption(GAME_MODE_OPTIONS, 'gameMode').scoring,
+                inputMode: this.getOption(INPUT_MODE_OPTIONS, 'inputMode').mode,
+                autoplay: this.getOption(AUTOPLAY_MODES, 'autoplayMode').mode
+            })
+        );
 
         // Make text pulse to draw attention
         this.tweens.add({
@@ -38,9 +82,123 @@ export class MainMenu extends Phaser.Scene {
             repeat: -1
         });
 
-        // Start game on click
-        this.input.once('pointerdown', () => {
-            this.scene.start('Game');
-        });
+        // Choose the level for the next game
+        this.createToggleButton(this.sys.game.config.height / 2 + 10, levelOptions, 'levelId');
+
+        // Choose a move or time limit for endless play (levels set their own)
+        this.createToggleButton(this.sys.game.config.height / 2 + 60, GAME_MODE_OPTIONS, 'gameMode');
+
+        // Choose the input mechanic for the next game
+        this.createToggleButton(this.sys.game.config.height / 2 + 110, INPUT_MODE_OPTIONS, 'inputMode');
+
+        // Toggle the computer player for the next game
+        this.createToggleButton(this.sys.game.config.height / 2 + 160, AUTOPLAY_MODES, 'autoplayMode');
+
+        // Build or change a level by hand
+        this.createMenuButton(
+            this.sys.game.config.height / 2 + 230,
+            'Level Editor',
+            () => this.startScene('LevelEditor')
+        );
+
+        // Offer to watch the last recorded game, if there is one
+        if (ReplayRecorder.loadLast()) {
+            this.createMenuButton(
+                this.sys.game.config.height / 2 + 280,
+                'Watch Last Replay',
+                () => this.startScene('Replay')
+            );
+        }
+
+        // Start an attract-mode demo if the menu is left alone
+        this.time.delayedCall(AUTOPLAY.ATTRACT_DELAY, () => this.startAttractMode());
+    }
+
+    createMenuButton(y, label, onClick, once = true) {
+        const button = this.add.text(
+            this.sys.game.config.width / 2,
+            y,
+            label,
+            {
+                fontSize: '32px',
+                color: '#FFFFFF'
+            }
+        ).setOrigin(0.5).setDepth(1);
+
+        button.setInteractive({ useHandCursor: true });
+        button[once ? 'once' : 'on']('pointerdown', onClick);
+
+        return button;
+    }
+
+    /**
+     * Creates a button that cycles through a list of options, keeping the
+     * choice in the game registry so it sticks between visits to the menu.
+     */
+    createToggleButton(y, options, registryKey) {
+        const button = this.createMenuButton(
+            y,
+            this.getOption(options, registryKey).label,
+            () => {
+                const index = options.indexOf(this.getOption(options, registryKey));
+                const next = options[(index + 1) % options.length];
+                this.registry.set(registryKey, next.mode);
+                button.setText(next.label);
+            },
+            false
+        );
+
+        return button;
+    }
+
+    /**
+     * Lists endless play followed by every level the Preloader loaded.
+     * Levels that don't parse are still listed, so picking one shows
+     * what's wrong with it.
+     */
+    getLevelOptions() {
+        const ids = this.registry.get('levelIds') ?? [];
+
+        return [
+            { mode: null, label: 'Level: Endless' },
+            ...ids.map(id => {
+                let name = id;
+                try {
+                    name = parseLevel(this.cache.text.get(`level:${id}`) ?? '', id).name;
+                } catch (error) {
+                    name = `${id} (invalid)`;
+                }
+                return { mode: id, label: `Level: ${name}` };
+            })
+        ];
+    }
+
+    // Returns the chosen option for a toggle, defaulting to the first
+    getOption(options, registryKey) {
+        const mode = this.registry.get(registryKey);
+        return options.find(option => option.mode === mode) ?? options[0];
+    }
+
+    /**
+     * Runs a computer-played game behind the menu.
+     */
+    startAttractMode() {
+        // Dim the demo so the menu stays readable
+        this.add.rectangle(
+            0, 0,
+            this.sys.game.config.width,
+            this.sys.game.config.height,
+            0x000000,
+            0.5
+        ).setOrigin(0);
+
+        this.scene.launch('Game', { demo: true });
+        this.scene.bringToTop();
+    }
+
+    // Leave the menu, stopping any demo that's running behind it
+    startScene(key, data) {
+        this.scene.stop('Game');
+        this.scene.start(key, data);
     }
 }
@@ -0,0 +1,122 @@
+import Phaser from 'phaser';
+
+// How much the overlay darkens the frozen game behind it
+const OVERLAY_ALPHA = 0.6;
+
+// Vertical gap between menu buttons
+const BUTTON_SPACING = 60;
+
+/**
+ * Overlay shown on top of a paused Game scene. The Game scene freezes
+ * itself (tweens, timers, particles and sounds) before launching this,
+ * and everything here goes back through it to carry on or leave.
+ */
+export class Pause extends Phaser.Scene {
+    constructor() {
+        super('Pause');
+    }
+
+    init() {
+        this.gameScene = this.scene.get('Game');
+        this.buttons = [];
+    }
+
+    create() {
+        this.add.rectangle(
+            0, 0,
+            this.sys.game.config.width,
+            this.sys.game.config.height,
+            0x000000,
+            OVERLAY_ALPHA
+        ).setOrigin(0).setInteractive();  // Swallows clicks meant for the board
+
+        this.title = this.add.text(
+            this.sys.game.config.width / 2,
+            this.sys.game.config.height / 2 - 160,
+            '',
+            {
+                fontSize: '64px',
+                color: '#FFFFFF'
+            }
+        ).setOrigin(0.5);
+
+        // Esc closes the settings, or resumes from the main page
+        this.input.keyboard.on('keydown-ESC', () => {
+            if (this.page === 'settings') {
+                this.showMainPage();
+            } else {
+                this.gameScene.resumeGame();
+            }
+        });
+
+        this.showMainPage();
+    }
+
+    showMainPage() {
+        this.page = 'main';
+        this.title.setText('Paused');
+
+        this.showButtons([
+            { label: 'Resume', onClick: () => this.gameScene.resumeGame() },
+            { label: 'Restart', onClick: () => this.gameScene.restartGame() },
+            { label: 'Settings', onClick: () => this.showSettingsPage() },
+            {
+                // Play-tests go back to the editor rather than the menu
+                label: this.gameScene.isPlaytest ? 'Back to Editor' : 'Quit to Menu',
+                onClick: () => this.gameScene.quitGame()
+            }
+        ]);
+    }
+
+    /**
+     * Settings that can be changed mid-game. They're kept in the game
+     * registry, like the MainMenu's choices, so they stick between games.
+     */
+    showSettingsPage() {
+        this.page = 'settings';
+        this.title.setText('Settings');
+
+        const soundLabel = () => `Sound: ${this.sound.mute ? 'Off' : 'On'}`;
+        const hintsLabel = () => `Hints: ${this.registry.get('hints') === false ? 'Off' : 'On'}`;
+
+        const [soundButton, hintsButton] = this.showButtons([
+            {
+                label: soundLabel(),
+                onClick: () => {
+                    this.sound.mute = !this.sound.mute;
+                    soundButton.setText(soundLabel());
+                }
+            },
+            {
+                label: hintsLabel(),
+                onClick: () => {
+                    this.registry.set('hints', this.registry.get('hints') === false);
+                    hintsButton.setText(hintsLabel());
+                }
+            },
+            { label: 'Back', onClick: () => this.showMainPage() }
+        ]);
+    }
+
+    // Replaces the buttons on screen with a column of new ones
+    showButtons(options) {
+        this.buttons.forEach(button => button.destroy());
+
+        this.buttons = options.map(({ label, onClick }, i) => this.add.text(
+            this.sys.game.config.width / 2,
+            this.sys.game.config.height / 2 - 60 + i * BUTTON_SPACING,
+            label,
+            {
+                fontSize: '32px',
+                color: '#FFFFFF',
+                backgroundColor: '#00000088',
+                padding: { x: 10, y: 5 }
+            }
+        )
+            .setOrigin(0.5)
+            .setInteractive({ useHandCursor: true })
+            .on('pointerdown', onClick));
+
+        return this.buttons;
+    }
+}
@@ -1,4 +1,5 @@
 import Phaser from 'phaser';
+import { LEVEL_FORMAT } from '../utils/Constants';
 
 export class Preloader extends Phaser.Scene {
     constructor() {
@@ -16,6 +17,26 @@ export class Preloader extends Phaser.Scene {
                 `assets/gems/${type}_gem_0.png`  // Path to the image file
             );
         });
+
+        this.loadLevels();
+    }
+
+    /**
+     * Loads the level manifest, then every level file it lists.
+     * Levels are loaded as text and parsed when played, so a broken file
+     * gets a readable error instead of failing the whole load.
+     */
+    loadLevels() {
+        this.load.json('levelManifest', LEVEL_FORMAT.MANIFEST);
+
+        this.load.once('filecomplete-json-levelManifest', (key, type, manifest) => {
+            const ids = Array.isArray(manifest?.levels) ? manifest.levels : [];
+            this.registry.set('levelIds', ids);
+
+            ids.forEach(id => {
+                this.load.text(`level:${id}`, `${LEVEL_FORMAT.PATH}${id}.json`);
+            });
+        });
     }
 
     create() {
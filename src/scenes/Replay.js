@@ -0,0 +1,200 @@
+import Phaser from 'phaser';
+import { ReplayRecorder } from '../systems/ReplayRecorder';
+
+// Longest pause between two moves during playback, so idle time
+// in the original game doesn't stall the replay
+const MAX_MOVE_GAP = 2000;
+
+const SPEEDS = [0.5, 1, 2, 4];
+
+export class Replay extends Phaser.Scene {
+    constructor() {
+        super('Replay');
+    }
+
+    init(data) {
+        // Play the log we were given, or fall back to the last recorded game
+        this.log = data?.replay
+            ? ReplayRecorder.parse(data.replay)
+            : ReplayRecorder.loadLast();
+
+        this.moveIndex = 0;
+        this.isPaused = false;
+        this.isPlayingMove = false;
+        this.speedIndex = SPEEDS.indexOf(1);
+        this.nextMoveTimer = null;
+        this.gameScene = null;
+    }
+
+    create() {
+        if (!this.log) {
+            this.showMessage('No replay available');
+            this.input.once('pointerdown', () => this.exitReplay());
+            return;
+        }
+
+        // Run the Game scene underneath us with the recorded seed and mode
+        this.scene.launch('Game', {
+            seed: this.log.seed,
+            inputMode: this.log.inputMode,
+            specials: this.log.specials,
+            level: this.log.level,
+            replay: true
+        });
+        this.gameScene = this.scene.get('Game');
+        this.scene.bringToTop();
+
+        this.createControls();
+
+        // Start feeding moves once the board exists
+        this.gameScene.events.once(Phaser.Scenes.Events.CREATE, () => {
+            this.applySpeed();
+            this.scheduleNextMove();
+        });
+    }
+
+    createControls() {
+        const y = this.sys.game.config.height - 40;
+        const style = {
+            fontSize: '24px',
+            fontFamily: 'Arial',
+            color: '#FFFFFF',
+            backgroundColor: '#00000088',
+            padding: { x: 10, y: 5 }
+        };
+
+        this.pauseButton = this.createButton(300, y, 'Pause', style, () => this.togglePause());
+        this.createButton(420, y, 'Step', style, () => this.stepMove());
+        this.speedButton = this.createButton(540, y, this.getSpeedLabel(), style, () => this.cycleSpeed());
+        this.createButton(680, y, 'Exit', style, () => this.exitReplay());
+
+        // Progress through the log
+        this.progressText = this.add.text(
+            this.sys.game.config.width - 16,
+            16,
+            '',
+            { fontSize: '24px', fontFamily: 'Arial', color: '#FFFFFF' }
+        ).setOrigin(1, 0);
+        this.updateProgress();
+    }
+
+    createButton(x, y, label, style, onClick) {
+        const button = this.add.text(x, y, label, style)
+            .setOrigin(0.5)
+            .setInteractive({ useHandCursor: true });
+
+        button.on('pointerdown', onClick);
+        return button;
+    }
+
+    showMessage(text) {
+        this.add.text(
+            this.sys.game.config.width / 2,
+            this.sys.game.config.height / 2,
+            text,
+            { fontSize: '32px', color: '#FFFFFF' }
+        ).setOrigin(0.5);
+    }
+
+    /**
+     * Waits for the gap the player left before the next move, then plays it.
+     */
+    scheduleNextMove() {
+        this.clearNextMoveTimer();
+
+        if (this.isPaused || this.isPlayingMove || this.moveIndex >= this.log.moves.length) {
+            return;
+        }
+
+        const previousTime = this.moveIndex > 0 ? this.log.moves[this.moveIndex - 1].time : 0;
+        const gap = Math.min(MAX_MOVE_GAP, this.log.moves[this.moveIndex].time - previousTime);
+
+        this.nextMoveTimer = this.time.delayedCall(
+            Math.max(0, gap) / SPEEDS[this.speedIndex],
+            () => this.playNextMove()
+        );
+    }
+
+    async playNextMove() {
+        if (this.isPlayingMove || this.moveIndex >= this.log.moves.length) {
+            return;
+        }
+
+        this.isPlayingMove = true;
+        const { action } = this.log.moves[this.moveIndex];
+        this.moveIndex++;
+        this.updateProgress();
+
+        try {
+            await this.gameScene.playAction(action);
+        } catch (error) {
+            console.error('Error replaying move:', error);
+        }
+
+        this.isPlayingMove = false;
+        this.scheduleNextMove();
+    }
+
+    togglePause() {
+        this.isPaused = !this.isPaused;
+        this.pauseButton.setText(this.isPaused ? 'Play' : 'Pause');
+
+        if (this.isPaused) {
+            this.clearNextMoveTimer();
+        } else {
+            this.scheduleNextMove();
+        }
+    }
+
+    /**
+     * Plays exactly one move, pausing playback first if needed.
+     */
+    stepMove() {
+        if (!this.isPaused) {
+            this.togglePause();
+        }
+        this.playNextMove();
+    }
+
+    cycleSpeed() {
+        this.speedIndex = (this.speedIndex + 1) % SPEEDS.length;
+        this.speedButton.setText(this.getSpeedLabel());
+        this.applySpeed();
+        this.scheduleNextMove();
+    }
+
+    getSpeedLabel() {
+        return `Speed: ${SPEEDS[this.speedIndex]}x`;
+    }
+
+    // Scale the Game scene's animations and timers to the playback speed
+    applySpeed() {
+        const speed = SPEEDS[this.speedIndex];
+        this.gameScene.tweens.timeScale = speed;
+        this.gameScene.time.timeScale = speed;
+    }
+
+    updateProgress() {
+        this.progressText.setText(`Move ${this.moveIndex} / ${this.log.moves.length}`);
+    }
+
+    clearNextMoveTimer() {
+        if (this.nextMoveTimer) {
+            this.nextMoveTimer.remove();
+            this.nextMoveTimer = null;
+        }
+    }
+
+    exitReplay() {
+        this.clearNextMoveTimer();
+
+        // The Game scene instance is reused, so put its clocks back to normal
+        if (this.gameScene) {
+            this.gameScene.tweens.timeScale = 1;
+            this.gameScene.time.timeScale = 1;
+        }
+
+        this.scene.stop('Game');
+        this.scene.start('MainMenu');
+    }
+}
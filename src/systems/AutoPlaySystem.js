@@ -0,0 +1,137 @@
+// systems/AutoPlaySystem.js
+// Drives the Game scene with the computer player
+// Moves go through Game.commitMove, the same path a player's drag takes
+// once it's released, so everything downstream behaves as in a real game.
+// Used for attract-mode demos and for soak testing the cascade pipeline.
+
+import { AUTOPLAY } from '../utils/Constants';
+import { AIPlayer } from '../core/AIPlayer';
+
+export class AutoPlaySystem {
+    constructor(scene, options = {}) {
+        this.scene = scene;
+
+        // Soak tests play flat out and check the board after every move
+        this.soak = options.soak ?? false;
+
+        this.ai = new AIPlayer({
+            inputMode: scene.inputMode,
+            rules: scene.scoringRules,
+            lookahead: options.lookahead ?? AUTOPLAY.LOOKAHEAD
+        });
+        this.isActive = false;
+        this.turnTimer = null;
+
+        // Soak test statistics
+        this.stats = {
+            moves: 0,
+            reshuffles: 0,
+            errors: 0,
+            startedAt: Date.now()
+        };
+
+        // Soak tests report their progress on screen as they go
+        this.reportText = this.soak
+            ? scene.add.text(AUTOPLAY.SOAK_REPORT_X, AUTOPLAY.SOAK_REPORT_Y, 'Soak test: starting', {
+                fontSize: '16px',
+                fill: '#fff',
+                fontFamily: 'Arial',
+                backgroundColor: '#00000088',
+                padding: { x: 8, y: 4 }
+            }).setOrigin(0, 1).setDepth(20)
+            : null;
+    }
+
+    start() {
+        this.isActive = true;
+
+        if (this.soak) {
+            this.scene.tweens.timeScale = AUTOPLAY.SOAK_TIME_SCALE;
+            this.scene.time.timeScale = AUTOPLAY.SOAK_TIME_SCALE;
+        }
+
+        this.scheduleTurn();
+    }
+
+    stop() {
+        this.isActive = false;
+
+        if (this.turnTimer) {
+            this.turnTimer.remove();
+            this.turnTimer = null;
+        }
+    }
+
+    scheduleTurn() {
+        if (!this.isActive) {
+            return;
+        }
+
+        this.turnTimer = this.scene.time.delayedCall(
+            this.soak ? 0 : AUTOPLAY.THINK_DELAY,
+            () => this.takeTurn()
+        );
+    }
+
+    /**
+     * Chooses and plays one move, then schedules the next.
+     */
+    async takeTurn() {
+        this.turnTimer = null;
+        if (!this.isActive) {
+            return;
+        }
+
+        // Wait for the board to settle before thinking
+        if (!this.scene.gameState.isInteractive()) {
+            this.scheduleTurn();
+            return;
+        }
+
+        const move = this.ai.chooseMove(this.scene.gemGrid.board);
+
+        try {
+            if (move) {
+                await this.scene.commitMove(move.action);
+                this.stats.moves++;
+            } else {
+                // Dead board - shuffle and carry on
+                await this.scene.shuffleBoard();
+                this.stats.reshuffles++;
+            }
+        } catch (error) {
+            this.stats.errors++;
+            console.error('Autoplay move failed:', error);
+        }
+
+        if (this.soak) {
+            this.checkBoard();
+        }
+
+        this.scheduleTurn();
+    }
+
+    /**
+     * Verifies the sprites still agree with the board data, and reports
+     * progress every so often.
+     */
+    checkBoard() {
+        const problems = this.scene.gemGrid.verifyIntegrity();
+        if (problems.length > 0) {
+            this.stats.errors++;
+            console.error(`Soak test: board out of sync after move ${this.stats.moves}`, problems);
+        }
+
+        if (this.stats.moves > 0 && this.stats.moves % AUTOPLAY.SOAK_REPORT_INTERVAL === 0) {
+            const minutes = ((Date.now() - this.stats.startedAt) / 60000).toFixed(1);
+            this.reportText.setText(
+                `Soak test: ${this.stats.moves} moves, ${this.stats.reshuffles} reshuffles, ` +
+                `${this.stats.errors} errors, score ${this.scene.score} after ${minutes} min`
+            );
+        }
+    }
+
+    destroy() {
+        this.stop();
+    }
+}
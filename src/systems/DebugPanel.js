@@ -0,0 +1,140 @@
+// systems/DebugPanel.js
+// Shows the board in text notation, with buttons to copy it out and paste
+// a board in (see core/BoardNotation.js)
+// A copied board can go straight into a bug report, and pasting it back
+// puts that exact board in front of whoever is looking into it. Hidden
+// until DEBUG_PANEL.TOGGLE_KEY is pressed, or shown from the start with
+// ?debug in the page URL.
+
+import { DEBUG_PANEL, GAME_EVENTS, GAME_STATES } from '../utils/Constants';
+
+export class DebugPanel {
+    constructor(scene) {
+        this.scene = scene;
+
+        this.createPanel();
+        this.setVisible(new URLSearchParams(window.location.search).has('debug'));
+
+        scene.input.keyboard.on(`keydown-${DEBUG_PANEL.TOGGLE_KEY}`, () => this.setVisible(!this.visible));
+
+        // Keep the text in step with the board each time it settles
+        scene.events.on(GAME_EVENTS.STATE_CHANGED, this.handleStateChanged, this);
+
+        // The scene's event emitter outlives a restart, so let go of it
+        scene.events.once(Phaser.Scenes.Events.SHUTDOWN, this.destroy, this);
+    }
+
+    createPanel() {
+        const { X, Y, FONT_SIZE } = DEBUG_PANEL;
+        const buttonStyle = {
+            fontSize: FONT_SIZE,
+            fill: '#fff',
+            fontFamily: 'Arial',
+            backgroundColor: '#00000088',
+            padding: { x: 8, y: 4 }
+        };
+
+        const copyButton = this.scene.add.text(0, 0, 'Copy Board', buttonStyle)
+            .setInteractive({ useHandCursor: true })
+            .on('pointerdown', () => this.copyBoard());
+
+        const pasteButton = this.scene.add.text(copyButton.width + 10, 0, 'Paste Board', buttonStyle)
+            .setInteractive({ useHandCursor: true })
+            .on('pointerdown', () => this.pasteBoard());
+
+        // Copy and paste say how they went here
+        this.statusText = this.scene.add.text(0, copyButton.height + 6, '', {
+            fontSize: FONT_SIZE,
+            fill: '#ffff00',
+            fontFamily: 'Arial',
+            wordWrap: { width: 300 }
+        });
+
+        this.boardText = this.scene.add.text(0, copyButton.height * 2 + 12, '', {
+            fontSize: FONT_SIZE,
+            fill: '#fff',
+            fontFamily: 'monospace',
+            backgroundColor: '#00000088',
+            padding: { x: 8, y: 4 }
+        });
+
+        this.container = this.scene.add.container(X, Y, [copyButton, pasteButton, this.statusText, this.boardText]);
+        this.container.setDepth(20);
+    }
+
+    setVisible(visible) {
+        this.visible = visible;
+        this.container.setVisible(visible);
+
+        if (visible) {
+            this.refresh();
+        }
+    }
+
+    refresh() {
+        this.boardText.setText(this.scene.gemGrid.toNotation());
+    }
+
+    handleStateChanged({ to }) {
+        if (this.visible && to === GAME_STATES.IDLE) {
+            this.refresh();
+        }
+    }
+
+    // DebugPanel.js - Copy and paste
+
+    /**
+     * Copies the board to the clipboard. Where the browser won't allow
+     * that, the text is offered in a prompt to copy by hand.
+     */
+    async copyBoard() {
+        const text = this.scene.gemGrid.toNotation();
+        this.boardText.setText(text);
+
+        try {
+            await navigator.clipboard.writeText(text);
+            this.setStatus('Board copied');
+        } catch (error) {
+            window.prompt('Copy the board:', text.replace(/\n/g, ' / '));
+        }
+    }
+
+    /**
+     * Replaces the board with one from the clipboard, or typed into a
+     * prompt where the browser won't share the clipboard. Rows can be
+     * split with "/" as well as new lines, for pasting into the prompt.
+     */
+    async pasteBoard() {
+        if (!this.scene.gameState.isInteractive()) {
+            this.setStatus('Wait for the board to settle');
+            return;
+        }
+
+        let text = null;
+        try {
+            text = await navigator.clipboard.readText();
+        } catch (error) {
+            text = window.prompt('Paste a board:');
+        }
+        if (!text) {
+            return;
+        }
+
+        try {
+            this.scene.loadBoardNotation(text.replace(/\//g, '\n'));
+            this.refresh();
+            this.setStatus('Board pasted');
+        } catch (error) {
+            console.error(error.message);
+            this.setStatus(error.problems?.join('\n') ?? error.message);
+        }
+    }
+
+    setStatus(message) {
+        this.statusText.setText(message);
+    }
+
+    destroy() {
+        this.scene.events.off(GAME_EVENTS.STATE_CHANGED, this.handleStateChanged, this);
+    }
+}
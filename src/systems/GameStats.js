@@ -0,0 +1,123 @@
+// systems/GameStats.js
+// Keeps the numbers the results screen shows when a game ends
+// Points are added up from each scoring event's breakdown (see
+// core/ScoringRules.js), by match size, shape and bonus, alongside the
+// longest cascade and how many gems of each colour were cleared. Like the
+// ObjectiveTracker it only listens to GAME_EVENTS, and its state goes into
+// undo snapshots and saves so it always matches the score.
+
+import { GAME_EVENTS, GEM_TYPES, SCORE_RULES } from '../utils/Constants';
+
+// Colours counted as cleared; rainbows and items aren't colours
+const GEM_COLORS = Object.values(GEM_TYPES).map(type => type.id);
+
+// Rules listed as one line each, whatever their items were labelled.
+// Match sizes and shapes keep a line per label ("4 gems", "T shape")
+const RULE_LABELS = {
+    [SCORE_RULES.COMBINATION]: 'Combinations',
+    [SCORE_RULES.SPECIAL_CREATED]: 'Specials made',
+    [SCORE_RULES.SPECIAL_TRIGGERED]: 'Specials set off',
+    [SCORE_RULES.CASCADE]: 'Cascade bonus'
+};
+
+export class GameStats {
+    /**
+     * `bestBefore` is the player's best score going into the game, or
+     * null for games that don't count towards it.
+     */
+    constructor(scene, bestBefore) {
+        this.scene = scene;
+        this.bestBefore = bestBefore;
+        this.setState(null);
+
+        scene.events.on(GAME_EVENTS.SCORE_AWARDED, this.handleScoreAwarded, this);
+        scene.events.on(GAME_EVENTS.GEMS_REMOVED, this.handleGemsRemoved, this);
+
+        // The scene's event emitter outlives a restart, so let go of it
+        scene.events.once(Phaser.Scenes.Events.SHUTDOWN, this.destroy, this);
+    }
+
+    // GameStats.js - Event handlers
+
+    handleScoreAwarded({ breakdown, depth }) {
+        breakdown.forEach(({ rule, label, points }) => {
+            const line = RULE_LABELS[rule] ?? label;
+            const entry = this.points.find(other => other.rule === rule && other.label === line);
+
+            if (entry) {
+                entry.points += points;
+            } else {
+                this.points.push({ rule, label: line, points });
+            }
+        });
+
+        this.longestCascade = Math.max(this.longestCascade, depth);
+    }
+
+    handleGemsRemoved({ cleared }) {
+        cleared.forEach(({ type }) => {
+            if (GEM_COLORS.includes(type)) {
+                this.cleared[type] = (this.cleared[type] ?? 0) + 1;
+            }
+        });
+    }
+
+    // GameStats.js - Results
+
+    /**
+     * Returns the results for a game that ended on `score`:
+     * { points, longestCascade, cleared, personalBest }
+     *  - points: { rule, label, points } lines in SCORE_RULES order, sizes
+     *    smallest first, adding up to the score
+     *  - longestCascade: most cascade links after a single move
+     *  - cleared: { color, count } for each colour, most cleared first
+     *  - personalBest: { previous, beaten }, or null for games that
+     *    don't count
+     */
+    getSummary(score) {
+        const order = Object.values(SCORE_RULES);
+        const points = this.points
+            .filter(line => line.points > 0)
+            .sort((a, b) => (
+                order.indexOf(a.rule) - order.indexOf(b.rule) ||
+                a.label.localeCompare(b.label, undefined, { numeric: true })
+            ))
+            .map(line => ({ ...line }));
+
+        const cleared = Object.entries(this.cleared)
+            .map(([color, count]) => ({ color, count }))
+            .sort((a, b) => b.count - a.count);
+
+        return {
+            points,
+            longestCascade: this.longestCascade,
+            cleared,
+            personalBest: this.bestBefore === null
+                ? null
+                : { previous: this.bestBefore, beaten: score > this.bestBefore }
+        };
+    }
+
+    // Stats to save in an undo snapshot, and to put back from one. The
+    // best going in is kept too, so a continued game still knows it
+    getState() {
+        return {
+            points: this.points.map(line => ({ ...line })),
+            longestCascade: this.longestCascade,
+            cleared: { ...this.cleared },
+            bestBefore: this.bestBefore
+        };
+    }
+
+    setState(state) {
+        this.points = (state?.points ?? []).map(line => ({ ...line }));
+        this.longestCascade = state?.longestCascade ?? 0;
+        this.cleared = { ...state?.cleared };
+        this.bestBefore = state?.bestBefore !== undefined ? state.bestBefore : this.bestBefore;
+    }
+
+    destroy() {
+        this.scene.events.off(GAME_EVENTS.SCORE_AWARDED, this.handleScoreAwarded, this);
+        this.scene.events.off(GAME_EVENTS.GEMS_REMOVED, this.handleGemsRemoved, this);
+    }
+}
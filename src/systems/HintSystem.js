@@ -0,0 +1,134 @@
+// systems/HintSystem.js
+// Suggests a move after the player has been idle for a while
+// The suggestion comes from the MoveFinder. Slides are shown by wiggling
+// the row or column that should be dragged, in the drag direction; swaps
+// by wiggling the two gems towards each other.
+
+import { HINTS } from '../utils/Constants';
+import { MoveFinder } from '../core/MoveFinder';
+
+export class HintSystem {
+    constructor(scene) {
+        this.scene = scene;
+        // Hint at the move that scores best by this game's rules
+        this.moveFinder = new MoveFinder(matches => scene.scoringRules.countPoints(matches));
+
+        // Pending idle timer and the hint currently on screen
+        this.idleTimer = null;
+        this.activeHint = null;
+    }
+
+    /**
+     * Restarts the idle countdown, clearing any hint being shown.
+     * Call whenever the player does something or the board settles.
+     */
+    reset() {
+        this.clearHint();
+
+        if (this.idleTimer) {
+            this.idleTimer.remove();
+        }
+
+        this.idleTimer = this.scene.time.delayedCall(
+            HINTS.IDLE_DELAY,
+            () => this.showHint()
+        );
+    }
+
+    /**
+     * Returns the best move on the current board, or null.
+     */
+    findHint() {
+        return this.moveFinder.findBestMove(this.scene.gemGrid.board, this.scene.inputMode);
+    }
+
+    showHint() {
+        this.idleTimer = null;
+
+        // Only hint at a board waiting for a move - try again later
+        if (!this.scene.gameState.isInteractive()) {
+            this.reset();
+            return;
+        }
+
+        // Hints can be switched off in the pause menu's settings
+        if (this.scene.registry.get('hints') === false) {
+            return;
+        }
+
+        const hint = this.findHint();
+        if (!hint) {
+            return;
+        }
+
+        const nudges = this.getNudges(hint.action);
+        const tweens = nudges.map(({ gem, dx, dy }) => this.scene.tweens.add({
+            targets: gem,
+            x: gem.x + dx,
+            y: gem.y + dy,
+            duration: HINTS.NUDGE_DURATION,
+            ease: 'Sine.easeInOut',
+            yoyo: true,
+            repeat: HINTS.NUDGE_REPEATS
+        }));
+
+        this.activeHint = { move: hint, gems: nudges.map(nudge => nudge.gem), tweens };
+    }
+
+    /**
+     * Works out which gems to wiggle for a move, and which way.
+     */
+    getNudges(action) {
+        const { gemGrid } = this.scene;
+
+        if (action.type === 'swap') {
+            // Nudge the two gems towards each other
+            const dx = Math.sign(action.to.x - action.from.x) * HINTS.NUDGE_DISTANCE;
+            const dy = Math.sign(action.to.y - action.from.y) * HINTS.NUDGE_DISTANCE;
+
+            return [
+                { gem: gemGrid.getGemAt(action.from.x, action.from.y), dx, dy },
+                { gem: gemGrid.getGemAt(action.to.x, action.to.y), dx: -dx, dy: -dy }
+            ].filter(nudge => nudge.gem);
+        }
+
+        // Nudge the line towards the way it should be dragged
+        const offset = Math.sign(action.amount) * HINTS.NUDGE_DISTANCE;
+        const gems = action.type === 'row'
+            ? gemGrid.getRow(action.index)
+            : gemGrid.getColumn(action.index);
+
+        return gems.map(gem => ({
+            gem,
+            dx: action.type === 'row' ? offset : 0,
+            dy: action.type === 'column' ? offset : 0
+        }));
+    }
+
+    /**
+     * Stops the hint animation and puts the gems back in their cells.
+     */
+    clearHint() {
+        if (!this.activeHint) {
+            return;
+        }
+
+        this.activeHint.tweens.forEach(tween => tween.stop());
+        this.activeHint.gems.forEach(gem => {
+            if (gem.active) {
+                const pixelPos = this.scene.gemGrid.gridToPixel(gem.gridX, gem.gridY);
+                gem.setPosition(pixelPos.x, pixelPos.y);
+            }
+        });
+
+        this.activeHint = null;
+    }
+
+    destroy() {
+        this.clearHint();
+        if (this.idleTimer) {
+            this.idleTimer.remove();
+            this.idleTimer = null;
+        }
+    }
+}
@@ -0,0 +1,152 @@
+// systems/LimitTracker.js
+// Counts down the move or time limit a game is played under
+// Shows what's left next to the score. When time runs out between moves
+// the game ends straight away. When it runs out while anything is playing
+// out on the board - a cascade, a rejected swap, an undo or a shuffle -
+// the game ends once the board is back to IDLE.
+
+import { GAME_EVENTS, GAME_STATES, LIMITS_HUD } from '../utils/Constants';
+
+// How often the countdown is updated, in ms
+const TICK = 100;
+
+export class LimitTracker {
+    constructor(scene, limits) {
+        this.scene = scene;
+
+        // Moves allowed and seconds on the clock, or null for no limit
+        this.moveLimit = limits.moves;
+        this.timeLimit = limits.time;
+
+        this.timeLeft = this.timeLimit ? this.timeLimit * 1000 : null;
+        this.timer = null;
+        this.text = null;
+
+        if (this.moveLimit || this.timeLimit) {
+            this.createCounter();
+        }
+
+        scene.events.on(GAME_EVENTS.STATE_CHANGED, this.handleStateChanged, this);
+
+        // The scene's event emitter outlives a restart, so let go of it
+        scene.events.once(Phaser.Scenes.Events.SHUTDOWN, this.destroy, this);
+    }
+
+    /**
+     * Starts the clock for timed games. The scene clock stops while the
+     * scene is paused, and so does the countdown.
+     */
+    start() {
+        if (!this.timeLimit || this.timer) {
+            return;
+        }
+
+        this.timer = this.scene.time.addEvent({
+            delay: TICK,
+            loop: true,
+            callback: () => this.tick()
+        });
+    }
+
+    tick() {
+        this.timeLeft = Math.max(0, this.timeLeft - TICK);
+        this.updateCounter();
+
+        if (this.timeLeft === 0) {
+            this.stop();
+
+            // Mid-move, the end waits until the board settles (see
+            // handleStateChanged)
+            if (!this.scene.gameState.isProcessing()) {
+                this.scene.checkLevelEnd();
+            }
+        }
+    }
+
+    /**
+     * Ends a game whose time ran out while the board was busy, as soon as
+     * it's back to IDLE. The check waits a frame so whatever went back to
+     * IDLE can finish first: a move still saves and checks its own end,
+     * and a shuffle after a move returns to the move.
+     */
+    handleStateChanged({ to }) {
+        if (to === GAME_STATES.IDLE && this.isOutOfTime()) {
+            this.scene.time.delayedCall(0, () => this.scene.checkLevelEnd());
+        }
+    }
+
+    stop() {
+        if (this.timer) {
+            this.timer.remove();
+            this.timer = null;
+        }
+    }
+
+    getMovesLeft() {
+        return this.moveLimit ? Math.max(0, this.moveLimit - this.scene.movesUsed) : null;
+    }
+
+    isOutOfMoves() {
+        return Boolean(this.moveLimit) && this.getMovesLeft() === 0;
+    }
+
+    isOutOfTime() {
+        return Boolean(this.timeLimit) && this.timeLeft === 0;
+    }
+
+    /**
+     * Whether no more moves can be made under the limit.
+     */
+    isExhausted() {
+        return this.isOutOfMoves() || this.isOutOfTime();
+    }
+
+    // Time left to keep in a saved game, and to put back from one.
+    // Moves left follow from the scene's movesUsed
+    getState() {
+        return { timeLeft: this.timeLeft };
+    }
+
+    setState(state) {
+        if (this.timeLimit && state?.timeLeft != null) {
+            this.timeLeft = state.timeLeft;
+        }
+        this.updateCounter();
+    }
+
+    // LimitTracker.js - HUD
+
+    createCounter() {
+        this.text = this.scene.add.text(LIMITS_HUD.X, LIMITS_HUD.Y, '', {
+            fontSize: '24px',
+            fill: '#fff',
+            fontFamily: 'Arial'
+        });
+
+        this.updateCounter();
+    }
+
+    /**
+     * Redraws the counter. Call after anything changes the moves used.
+     */
+    updateCounter() {
+        if (!this.text) {
+            return;
+        }
+
+        if (this.moveLimit) {
+            const movesLeft = this.getMovesLeft();
+            this.text.setText(`Moves: ${movesLeft}`);
+            this.text.setColor(movesLeft <= LIMITS_HUD.WARNING_MOVES ? LIMITS_HUD.WARNING_COLOR : '#ffffff');
+        } else {
+            const seconds = Math.ceil(this.timeLeft / 1000);
+            const clock = `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+            this.text.setText(`Time: ${clock}`);
+            this.text.setColor(seconds <= LIMITS_HUD.WARNING_TIME ? LIMITS_HUD.WARNING_COLOR : '#ffffff');
+        }
+    }
+
+    destroy() {
+        this.scene.events.off(GAME_EVENTS.STATE_CHANGED, this.handleStateChanged, this);
+    }
+}
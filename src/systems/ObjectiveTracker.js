@@ -0,0 +1,181 @@
+// systems/ObjectiveTracker.js
+// Follows the progress of the level's objectives and shows it in the HUD
+// Progress comes from the events the Game scene emits as a move plays out
+// (see GAME_EVENTS), so nothing here needs to know how a move works. The
+// Game scene asks isComplete() once the board settles to end the level.
+
+import { GAME_EVENTS, OBJECTIVE_TYPES, OBJECTIVES_HUD } from '../utils/Constants';
+
+export class ObjectiveTracker {
+    constructor(scene, objectives) {
+        this.scene = scene;
+
+        // One goal per objective, counting up to its target. Objectives
+        // that mean "all of them" count what's on the board at the start
+        const { board } = scene.gemGrid;
+        this.goals = objectives.map(objective => ({
+            objective,
+            progress: 0,
+            target: this.getTarget(objective, board)
+        }));
+
+        scene.events.on(GAME_EVENTS.SCORE_AWARDED, this.handleScoreAwarded, this);
+        scene.events.on(GAME_EVENTS.GEMS_REMOVED, this.handleGemsRemoved, this);
+        scene.events.on(GAME_EVENTS.ITEMS_COLLECTED, this.handleItemsCollected, this);
+
+        // The scene's event emitter outlives a restart, so let go of it
+        scene.events.once(Phaser.Scenes.Events.SHUTDOWN, this.destroy, this);
+
+        this.createPanel();
+    }
+
+    getTarget(objective, board) {
+        switch (objective.type) {
+            case OBJECTIVE_TYPES.SCORE:
+                return objective.target;
+            case OBJECTIVE_TYPES.COLLECT:
+                return objective.count;
+            case OBJECTIVE_TYPES.CLEAR_BLOCKERS:
+                return objective.count ?? board.blockers.flat()
+                    .filter(blocker => blocker?.type === objective.blocker).length;
+            case OBJECTIVE_TYPES.DROP_ITEMS:
+                return objective.count ?? board.countItems();
+            default:
+                return 0;
+        }
+    }
+
+    // ObjectiveTracker.js - Event handlers
+
+    handleScoreAwarded({ score }) {
+        this.advance(OBJECTIVE_TYPES.SCORE, () => score, true);
+    }
+
+    /**
+     * Counts cleared gems towards collect objectives and broken blockers
+     * towards clear objectives, from a resolveMatches result.
+     */
+    handleGemsRemoved({ cleared, blockers }) {
+        this.advance(OBJECTIVE_TYPES.COLLECT, objective =>
+            cleared.filter(cell => cell.type === objective.color).length
+        );
+        this.advance(OBJECTIVE_TYPES.CLEAR_BLOCKERS, objective =>
+            blockers.filter(hit => hit.type === objective.blocker && !hit.blocker).length
+        );
+    }
+
+    handleItemsCollected(items) {
+        this.advance(OBJECTIVE_TYPES.DROP_ITEMS, () => items.length);
+    }
+
+    /**
+     * Moves on every goal of one objective type. `getAmount(objective)`
+     * says how far: an amount to add, or with `absolute` set, the new
+     * progress itself. Progress stops at the target.
+     */
+    advance(type, getAmount, absolute = false) {
+        let changed = false;
+
+        this.goals.forEach(goal => {
+            if (goal.objective.type !== type) {
+                return;
+            }
+
+            const amount = getAmount(goal.objective);
+            const progress = Math.min(goal.target, absolute ? amount : goal.progress + amount);
+            if (progress !== goal.progress) {
+                goal.progress = progress;
+                changed = true;
+            }
+        });
+
+        if (changed) {
+            this.updatePanel();
+        }
+    }
+
+    // ObjectiveTracker.js - Results
+
+    /**
+     * Whether the level has objectives and every one has been met.
+     * Endless play has none, so it never completes.
+     */
+    isComplete() {
+        return this.goals.length > 0 && this.goals.every(goal => goal.progress >= goal.target);
+    }
+
+    /**
+     * Returns each objective's progress for the results screen, as
+     * { label, progress, target, done }.
+     */
+    getSummary() {
+        return this.goals.map(goal => ({
+            label: this.describe(goal.objective),
+            progress: goal.progress,
+            target: goal.target,
+            done: goal.progress >= goal.target
+        }));
+    }
+
+    // Progress to save in an undo snapshot, and to put back from one
+    getState() {
+        return this.goals.map(goal => goal.progress);
+    }
+
+    setState(state) {
+        this.goals.forEach((goal, i) => {
+            goal.progress = state?.[i] ?? 0;
+        });
+        this.updatePanel();
+    }
+
+    describe(objective) {
+        switch (objective.type) {
+            case OBJECTIVE_TYPES.SCORE:
+                return 'Score';
+            case OBJECTIVE_TYPES.COLLECT:
+                return `Collect ${objective.color}`;
+            case OBJECTIVE_TYPES.CLEAR_BLOCKERS:
+                return `Clear ${objective.blocker}`;
+            case OBJECTIVE_TYPES.DROP_ITEMS:
+                return 'Drop items';
+            default:
+                return objective.type;
+        }
+    }
+
+    // ObjectiveTracker.js - HUD
+
+    createPanel() {
+        this.texts = this.goals.map((goal, i) => this.scene.add.text(
+            OBJECTIVES_HUD.X,
+            OBJECTIVES_HUD.Y + i * OBJECTIVES_HUD.LINE_HEIGHT,
+            '',
+            {
+                fontSize: '20px',
+                fill: '#fff',
+                fontFamily: 'Arial',
+                backgroundColor: '#00000066',
+                padding: { x: 6, y: 2 }
+            }
+        ));
+
+        this.updatePanel();
+    }
+
+    updatePanel() {
+        this.goals.forEach((goal, i) => {
+            const done = goal.progress >= goal.target;
+            this.texts[i]
+                .setText(`${done ? '✓' : '•'} ${this.describe(goal.objective)}: ${goal.progress} / ${goal.target}`)
+                .setColor(done ? OBJECTIVES_HUD.DONE_COLOR : '#ffffff');
+        });
+    }
+
+    destroy() {
+        this.scene.events.off(GAME_EVENTS.SCORE_AWARDED, this.handleScoreAwarded, this);
+        this.scene.events.off(GAME_EVENTS.GEMS_REMOVED, this.handleGemsRemoved, this);
+        this.scene.events.off(GAME_EVENTS.ITEMS_COLLECTED, this.handleItemsCollected, this);
+        this.texts = [];
+    }
+}
@@ -1,5 +1,7 @@
 // systems/ParticleSystem.js
 
+import { SPECIAL_GEMS, SPECIAL_TYPES } from '../utils/Constants';
+
 export class ParticleSystem {
     constructor(scene) {
         this.scene = scene;
@@ -47,14 +49,68 @@ export class ParticleSystem {
         this.comboEmitter.flow(duration, particles);
     }
 
-    createShockwave(position) {
+    /**
+     * Plays the effect for a special gem going off at a pixel position.
+     * Bombs burst with a shockwave, lightning flashes beams along its row
+     * and column, and rainbows throw out a shower of stars.
+     */
+    createSpecialEffect(special, position, cellSize) {
+        if (special === SPECIAL_TYPES.BOMB) {
+            this.matchEmitter.setPosition(position.x, position.y);
+            this.matchEmitter.explode(40);
+            this.createShockwave(position, (SPECIAL_GEMS.BOMB_RADIUS * 2 + 1) * 0.75);
+        } else if (special === SPECIAL_TYPES.LIGHTNING) {
+            const { width, height } = this.scene.sys.game.config;
+            const beams = [
+                this.scene.add.rectangle(width / 2, position.y, width, cellSize * 0.4, 0xFFEE66),
+                this.scene.add.rectangle(position.x, height / 2, cellSize * 0.4, height, 0xFFEE66)
+            ];
+
+            beams.forEach(beam => {
+                beam.setBlendMode(Phaser.BlendModes.ADD);
+                this.scene.tweens.add({
+                    targets: beam,
+                    alpha: 0,
+                    duration: 350,
+                    ease: 'Quad.easeOut',
+                    onComplete: () => beam.destroy()
+                });
+            });
+        } else if (special === SPECIAL_TYPES.RAINBOW) {
+            this.comboEmitter.setPosition(position.x, position.y);
+            this.comboEmitter.explode(60);
+            this.createShockwave(position, 4);
+        }
+    }
+
+    /**
+     * Plays the effect for two special gems combining: both of their own
+     * effects at once, topped off with a big burst and shockwave.
+     */
+    createCombinationEffect(combination, position, cellSize) {
+        combination.split('+').forEach(special => {
+            this.createSpecialEffect(special, position, cellSize);
+        });
+
+        this.comboEmitter.setPosition(position.x, position.y);
+        this.comboEmitter.explode(80);
+        this.createShockwave(position, 6);
+
+        // Clearing the whole board deserves some screen shake
+        if (combination === `${SPECIAL_TYPES.RAINBOW}+${SPECIAL_TYPES.RAINBOW}`) {
+            this.scene.cameras.main.flash(250);
+            this.scene.cameras.main.shake(300, 0.01);
+        }
+    }
+
+    createShockwave(position, scale = 2) {
         const shockwave = this.scene.add.sprite(position.x, position.y, 'shockwave');
         shockwave.setScale(0.1);
         shockwave.alpha = 0.7;
 
         this.scene.tweens.add({
             targets: shockwave,
-            scale: 2,
+            scale: scale,
             alpha: 0,
             duration: 300,
             ease: 'Quad.easeOut',
@@ -0,0 +1,105 @@
+// systems/ReplayRecorder.js
+// Records every committed player move along with the game's seed
+// Since all randomness comes from the seeded RNG, the seed plus the
+// ordered list of moves is enough to play a whole game back exactly.
+
+// Bump when the log format, or the board a seed and level generate,
+// changes so old replays can be rejected
+export const REPLAY_VERSION = 4;
+
+const STORAGE_KEY = 'gemGameLastReplay';
+
+export class ReplayRecorder {
+    constructor(scene) {
+        this.scene = scene;
+
+        // The log being written for the current game
+        this.log = {
+            version: REPLAY_VERSION,
+            seed: scene.rng.seed,
+            inputMode: scene.inputMode,
+            specials: scene.enabledSpecials,
+            level: scene.level,
+            grid: {
+                width: scene.config.grid.width,
+                height: scene.config.grid.height
+            },
+            recordedAt: new Date().toISOString(),
+            moves: []
+        };
+
+        // Timestamps are stored relative to the start of the game
+        this.startTime = scene.time.now;
+    }
+
+    /**
+     * Records a move the game has accepted.
+     * Slides are the {type, index, amount} actions from createMoveAction,
+     * swaps are {type: 'swap', from: {x, y}, to: {x, y}}.
+     */
+    record(action) {
+        this.log.moves.push({
+            time: Math.round(this.scene.time.now - this.startTime),
+            action: { ...action }
+        });
+
+        // Keep the stored copy current in case the tab closes mid-game
+        this.save();
+    }
+
+    /**
+     * Returns a copy of the moves recorded so far.
+     * Undo uses this to roll the log back along with the board.
+     */
+    getMoves() {
+        return [...this.log.moves];
+    }
+
+    setMoves(moves) {
+        this.log.moves = [...moves];
+        this.save();
+    }
+
+    // Returns the log as a JSON string for export
+    toJSON() {
+        return JSON.stringify(this.log);
+    }
+
+    save() {
+        try {
+            localStorage.setItem(STORAGE_KEY, this.toJSON());
+        } catch (error) {
+            console.error('Error saving replay:', error);
+        }
+    }
+
+    /**
+     * Loads the most recently recorded replay, or null if there isn't a
+     * usable one.
+     */
+    static loadLast() {
+        try {
+            const saved = localStorage.getItem(STORAGE_KEY);
+            if (saved) {
+                return ReplayRecorder.parse(saved);
+            }
+        } catch (error) {
+            console.error('Error loading replay:', error);
+        }
+        return null;
+    }
+
+    /**
+     * Parses a replay log from JSON, rejecting logs from other versions.
+     */
+    static parse(json) {
+        const log = typeof json === 'string' ? JSON.parse(json) : json;
+
+        if (log?.version !== REPLAY_VERSION || !Array.isArray(log.moves)) {
+            console.warn('Ignoring replay with unsupported format');
+            return null;
+        }
+
+        return log;
+    }
+}
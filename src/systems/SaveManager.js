@@ -0,0 +1,104 @@
+// systems/SaveManager.js
+// Autosaves the game in progress so it can be continued later
+// The Game scene saves whenever the board settles, so a save always holds
+// a board waiting for a move: the cells, specials and blockers, the score
+// and objectives, what's left of the move or time limit, the RNG position,
+// and the seed, input mode and level the game was started with.
+
+// Bump when the save format, or the board and level data it holds,
+// changes so older saves are thrown away rather than restored wrongly
+export const SAVE_VERSION = 1;
+
+const STORAGE_KEY = 'gemGameSave';
+
+export class SaveManager {
+    constructor(scene) {
+        this.scene = scene;
+    }
+
+    /**
+     * Saves the game as it is now. Only call with the board settled.
+     */
+    save() {
+        const { scene } = this;
+
+        const save = {
+            version: SAVE_VERSION,
+            savedAt: new Date().toISOString(),
+            seed: scene.rng.seed,
+            inputMode: scene.inputMode,
+            specials: scene.enabledSpecials,
+            level: scene.level,
+            state: {
+                ...scene.createSnapshot(),
+                limits: scene.limitTracker.getState(),
+                timePlayed: Math.round(scene.time.now - scene.startTime)
+            }
+        };
+
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(save));
+        } catch (error) {
+            console.error('Error saving game:', error);
+        }
+    }
+
+    // Throws the save away once the game it belongs to is over
+    clear() {
+        SaveManager.clear();
+    }
+
+    /**
+     * Loads the saved game, or null if there isn't a usable one.
+     * A save that can't be used is thrown away.
+     */
+    static load() {
+        try {
+            const saved = localStorage.getItem(STORAGE_KEY);
+            if (!saved) {
+                return null;
+            }
+
+            const save = SaveManager.parse(saved);
+            if (!save) {
+                SaveManager.clear();
+            }
+            return save;
+        } catch (error) {
+            console.error('Error loading saved game:', error);
+            SaveManager.clear();
+        }
+        return null;
+    }
+
+    static clear() {
+        try {
+            localStorage.removeItem(STORAGE_KEY);
+        } catch (error) {
+            console.error('Error clearing saved game:', error);
+        }
+    }
+
+    /**
+     * Parses a save from JSON, rejecting saves from other versions and
+     * any whose board doesn't fit the level it was saved with.
+     */
+    static parse(json) {
+        const save = typeof json === 'string' ? JSON.parse(json) : json;
+
+        if (save?.version !== SAVE_VERSION || !save.level || !save.state) {
+            console.warn('Ignoring saved game with unsupported format');
+            return null;
+        }
+
+        const { width, height } = save.level;
+        const { cells } = save.state;
+        if (!Array.isArray(cells) || cells.length !== width ||
+            cells.some(column => !Array.isArray(column) || column.length !== height)) {
+            console.warn('Ignoring saved game whose board does not match its level');
+            return null;
+        }
+
+        return save;
+    }
+}
@@ -0,0 +1,63 @@
+// systems/UndoManager.js
+// Undo/redo stacks of game snapshots
+// The Game scene pushes a snapshot of the settled board before each
+// committed move. Undoing hands back that snapshot and keeps the state
+// being left behind, so the move can be redone.
+
+export class UndoManager {
+    constructor(limit = 50) {
+        // Oldest snapshots are dropped once the history gets this long
+        this.limit = limit;
+
+        this.undoStack = [];
+        this.redoStack = [];
+    }
+
+    /**
+     * Saves the state from before a new move.
+     * Making a new move discards anything that could be redone.
+     */
+    push(snapshot) {
+        this.undoStack.push(snapshot);
+        if (this.undoStack.length > this.limit) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+    }
+
+    /**
+     * Steps back one move. `current` is the state being undone, kept so
+     * it can be redone. Returns the snapshot to restore, or null.
+     */
+    undo(current) {
+        if (!this.canUndo()) {
+            return null;
+        }
+        this.redoStack.push(current);
+        return this.undoStack.pop();
+    }
+
+    /**
+     * Steps forward one undone move. Returns the snapshot to restore, or null.
+     */
+    redo(current) {
+        if (!this.canRedo()) {
+            return null;
+        }
+        this.undoStack.push(current);
+        return this.redoStack.pop();
+    }
+
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+    }
+}
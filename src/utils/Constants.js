@@ -20,24 +20,92 @@ export const ANIMATION_TIMINGS = {
     COMBO_DISPLAY: 1000  // How long combo text stays on screen
 };
 
+// Shapes a match can make (see core/MatchShapes.js)
+export const MATCH_SHAPES = {
+    LINE: 'line',      // A single row or column
+    L: 'L',            // Two lines meeting at their ends
+    T: 'T',            // One line's end meeting the middle of another
+    CROSS: 'cross',    // Two lines crossing in their middles
+    SQUARE: 'square'   // Anything with a two-by-two block in it
+};
+
+// Default scoring rules (see core/ScoringRules.js). A game mode, or a
+// level file's "scoring" section, can override any part of them; both are
+// written the same way as this
 export const SCORING = {
-    // Base points for different match lengths
-    MATCH_SCORES: {
-        3: 100,   // 3 gems = 100 points
-        4: 300,   // 4 gems = 300 points
-        5: 1000,  // 5 gems = 1000 points
-        6: 3000   // 6+ gems = 3000 points
+    // Base points by how many gems a match covers. Bigger matches score
+    // as the biggest size listed
+    lengths: {
+        3: 100,
+        4: 300,
+        5: 1000,
+        6: 3000
+    },
+
+    // Multipliers by MATCH_SHAPES id; shapes not listed score 1x
+    shapes: {
+        L: 1.5,
+        T: 1.5,
+        cross: 2.0
     },
-    
-    // Multipliers for special patterns
-    PATTERN_MULTIPLIERS: {
-        L_SHAPE: 1.5,
-        T_SHAPE: 1.5,
-        CROSS: 2.0
+
+    // Each cascade link after the move's own matches adds perLink to the
+    // multiplier, up to max (null for no cap)
+    cascade: {
+        perLink: 0.5,
+        max: null
+    },
+
+    // Bonus points for each special gem made, and each one set off, by
+    // SPECIAL_TYPES id
+    specials: {
+        created: { bomb: 200, lightning: 300, rainbow: 500 },
+        triggered: { bomb: 100, lightning: 100, rainbow: 200 }
     },
-    
-    // How much each combo level increases score
-    COMBO_MULTIPLIER: 1.5
+
+    // Points for moving two special gems into each other, keyed by
+    // the two specials in alphabetical order
+    combinations: {
+        'bomb+bomb': 2000,
+        'bomb+lightning': 2500,
+        'lightning+lightning': 1500,
+        'bomb+rainbow': 4000,
+        'lightning+rainbow': 4000,
+        'rainbow+rainbow': 10000
+    }
+};
+
+// Rules an item in a score breakdown comes from (see core/ScoringRules.js)
+export const SCORE_RULES = {
+    LENGTH: 'length',                       // Base points for the match's size
+    SHAPE: 'shape',                         // Multiplier for its shape
+    COMBINATION: 'combination',             // Points for two specials combined
+    SPECIAL_CREATED: 'specialCreated',      // Bonus for a special gem made
+    SPECIAL_TRIGGERED: 'specialTriggered',  // Bonus for a special gem set off
+    CASCADE: 'cascade'                      // Multiplier for the cascade link
+};
+
+// How the player moves gems
+export const INPUT_MODES = {
+    SLIDE: 'slide',  // Drag a whole row or column
+    SWAP: 'swap'     // Swap two neighbouring gems
+};
+
+export const HINTS = {
+    IDLE_DELAY: 5000,     // How long without input before a hint is shown
+    NUDGE_DISTANCE: 12,   // How far hinted gems wiggle in the move direction
+    NUDGE_DURATION: 250,  // Duration of one wiggle
+    NUDGE_REPEATS: 2      // Extra wiggles after the first
+};
+
+export const AUTOPLAY = {
+    THINK_DELAY: 600,          // Pause before the AI makes each move
+    LOOKAHEAD: true,           // Rank moves on their whole cascade
+    ATTRACT_DELAY: 3000,       // Idle time on the menu before the demo starts
+    SOAK_TIME_SCALE: 4,        // Animation speed-up while soak testing
+    SOAK_REPORT_INTERVAL: 100, // Moves between soak test progress reports
+    SOAK_REPORT_X: 16,         // Where the report is shown, bottom left
+    SOAK_REPORT_Y: 740
 };
 
 export const PARTICLES = {
@@ -93,10 +161,196 @@ export const GEM_TYPES = {
     }
 };
 
-// Game states for state machine
+// Special gems, spawned by big matches
+export const SPECIAL_TYPES = {
+    BOMB: 'bomb',            // Clears a 3x3 area
+    LIGHTNING: 'lightning',  // Clears its row and column
+    RAINBOW: 'rainbow'       // Clears every gem of the colour it matches with
+};
+
+export const SPECIAL_GEMS = {
+    LIGHTNING_LENGTH: 4,   // Straight match that leaves a lightning gem
+    RAINBOW_LENGTH: 5,     // Straight match that leaves a rainbow gem
+    BOMB_RADIUS: 1,        // Cells cleared around a bomb in each direction
+    REQUIRE_UNLOCK: false, // Only spawn specials unlocked by player level
+
+    // Combinations of two specials moved into each other
+    COMBO_BOMB_RADIUS: 2,  // Bomb + bomb clears a 5x5 area
+    COMBO_CROSS_WIDTH: 3   // Bomb + lightning clears 3 rows and 3 columns
+};
+
+// Built-in board outlines (see core/BoardShapes.js)
+export const BOARD_SHAPES = {
+    RECTANGLE: 'rectangle',  // Every cell in play
+    DIAMOND: 'diamond',      // Corners cut away
+    RING: 'ring',            // Hole in the middle
+    SPLIT: 'split'           // Top and bottom halves with a gap between
+};
+
+// Directions gems can fall in. A board has one, and single columns (or
+// rows, when gems fall sideways) can be set to fall the opposite way
+export const GRAVITY = {
+    DOWN: 'down',
+    UP: 'up',
+    LEFT: 'left',
+    RIGHT: 'right'
+};
+
+// Row and column slides. With wrap-around, gems pushed off one end of
+// the line come back in at the other; without it they're lost and the
+// line refills from above
+export const SLIDES = {
+    WRAP: true,        // Used unless the level says otherwise
+    GHOST_ALPHA: 0.5   // Opacity of the copies shown past the edge while dragging
+};
+
+// Obstacles that sit in board cells
+export const BLOCKER_TYPES = {
+    ICE: 'ice',      // Covers a cell; cracks when a match happens on or next to it
+    STONE: 'stone',  // Fills a cell; never moves and stops gems falling past
+    CHAIN: 'chain'   // Locks a gem in place; matching the gem breaks the chain
+};
+
+export const BLOCKERS = {
+    ICE_STRENGTH: 2,   // Cracks needed to break ice
+    CHAIN_STRENGTH: 1  // Matches needed to break a chain
+};
+
+// Collectible items: pieces that never match, which the player brings down
+// to the bottom of their column to collect
+export const ITEMS = {
+    TYPE: 'item',     // Board cell type used for an item
+    TINT: 0xFFC83D    // Colour the item sprite is drawn in
+};
+
+// Level files (see core/LevelLoader.js)
+export const LEVEL_FORMAT = {
+    VERSION: 1,                              // Bump when the file format changes
+    MANIFEST: 'assets/levels/index.json',    // Lists the level ids to load
+    PATH: 'assets/levels/',                  // Level files live at PATH + id + '.json'
+    MIN_SIZE: 3,                             // Smallest board width/height
+    MAX_SIZE: 12,                            // Largest board width/height
+    MIN_COLORS: 3,                           // Fewest gem colours a level can use
+
+    // Characters used in a level's rows of text, top row first
+    CELL_CODE: '#',      // mask: a cell in play
+    HOLE_CODE: '.',      // mask, layout, blockers: nothing here
+    RANDOM_CODE: '?',    // layout: any gem from the colour pool
+    ITEM_CODE: '*',      // layout: a collectible item (see ITEMS)
+    GEM_CODES: {
+        b: 'blue',
+        g: 'green',
+        r: 'red',
+        y: 'yellow',
+        p: 'purple',
+        w: 'white'
+    },
+    BLOCKER_CODES: {
+        I: 'ice',
+        S: 'stone',
+        C: 'chain'
+    }
+};
+
+// Text notation for a whole board as it stands (see core/BoardNotation.js).
+// Cells use the LEVEL_FORMAT codes for gems, items, holes and blockers,
+// plus these
+export const BOARD_NOTATION = {
+    EMPTY_CODE: '-',     // A cell in play with no gem in it
+    SPECIAL_CODES: {     // Written after the gem's code, e.g. "rB" a red bomb
+        B: 'bomb',
+        L: 'lightning',
+        R: 'rainbow'
+    }
+};
+
+// Panel for copying the board out as text and pasting one in (see
+// systems/DebugPanel.js). Opened with ?debug in the URL, or the key
+export const DEBUG_PANEL = {
+    TOGGLE_KEY: 'BACKTICK',  // Phaser key name that shows and hides the panel
+    X: 16,
+    Y: 300,
+    FONT_SIZE: '16px'
+};
+
+// Goals a level can set
+export const OBJECTIVE_TYPES = {
+    SCORE: 'score',                   // Reach { target } points
+    COLLECT: 'collect',               // Clear { count } gems of { color }
+    CLEAR_BLOCKERS: 'clearBlockers',  // Break every (or { count }) { blocker }
+    DROP_ITEMS: 'dropItems'           // Bring every (or { count }) item to the bottom
+};
+
+// Events the Game scene emits as a move plays out, for systems that
+// follow the game (objectives, stats) to listen to
+export const GAME_EVENTS = {
+    MATCHES_PROCESSED: 'matchesProcessed',  // { matches, score } after a set of matches is scored
+    SCORE_AWARDED: 'scoreAwarded',          // { points, breakdown, depth, score } for each scoring event
+    GEMS_REMOVED: 'gemsRemoved',            // The resolveMatches result for those matches
+    ITEMS_COLLECTED: 'itemsCollected',      // [{ x, y }] items that reached the bottom
+    STATE_CHANGED: 'gameStateChanged'       // { from, to, data } state names, see GAME_STATES
+};
+
+// Steps in the timeline CascadeResolver builds for a move (see
+// core/CascadeResolver.js), in the order they can happen
+export const CASCADE_STEPS = {
+    MOVE: 'move',        // { action, moves } the move itself, as { from, to } pairs
+    MATCH: 'match',      // { match, depth } a match found on the board
+    REMOVE: 'remove',    // The resolveMatches result for the matches before it
+    FALL: 'fall',        // { from, to } a gem fell
+    SPAWN: 'spawn',      // { x, y, gemType, from } a new gem came in
+    COLLECT: 'collect',  // { x, y } an item was collected
+    CASCADE: 'cascade',  // { depth } the next link in the chain begins
+    SHUFFLE: 'shuffle'   // The board was reshuffled to end a chain that wouldn't settle
+};
+
+export const CASCADES = {
+    MAX_DEPTH: 50  // Links after which a chain is stopped and the board reshuffled
+};
+
+// Move and time limits for endless play, picked from the MainMenu, and any
+// changes to the SCORING rules for the mode (null to score by the defaults).
+// Levels set their own in the level file
+export const GAME_MODES = {
+    ENDLESS: { id: 'endless', limits: { moves: null, time: null }, scoring: null },
+    MOVES: { id: 'moves', limits: { moves: 30, time: null }, scoring: null },
+    TIMED: { id: 'timed', limits: { moves: null, time: 120 }, scoring: null }
+};
+
+// HUD counter for the move or time limit, next to the score
+export const LIMITS_HUD = {
+    X: 280,
+    Y: 22,
+    WARNING_MOVES: 5,        // Counter turns red at this many moves left
+    WARNING_TIME: 10,        // ...or this many seconds left
+    WARNING_COLOR: '#FF6666'
+};
+
+// HUD panel listing a level's objectives
+export const OBJECTIVES_HUD = {
+    X: 16,            // Left edge, below the score
+    Y: 100,
+    LINE_HEIGHT: 28,
+    DONE_COLOR: '#7CFC7C'
+};
+
+// Results screen shown when a game ends (see scenes/GameOver.js)
+export const RESULTS_SCREEN = {
+    ROW_DELAY: 150,         // Gap between each line of results appearing
+    FADE_DURATION: 250,     // How long a line takes to fade in
+    COUNT_DURATION: 600,    // How long numbers take to count up
+    LINE_HEIGHT: 30,
+    COLUMN_WIDTH: 340,      // Width of the points and stats columns
+    BEST_COLOR: '#FFD700'   // New personal best
+};
+
+// States the Game scene's flow moves through (see core/GameState.js)
 export const GAME_STATES = {
-    IDLE: 'IDLE',
-    MOVING: 'MOVING',
-    MATCHING: 'MATCHING',
-    REFILLING: 'REFILLING'
-};
\ No newline at end of file
+    IDLE: 'IDLE',            // Waiting for a move
+    MOVING: 'MOVING',        // Gems sliding or swapping into place, or an undo
+    MATCHING: 'MATCHING',    // Matches being scored and cleared
+    REFILLING: 'REFILLING',  // Gems falling, new gems coming in, items collected
+    SHUFFLING: 'SHUFFLING',  // A board with no moves left being reshuffled
+    PAUSED: 'PAUSED',        // Play stopped until the player resumes
+    GAME_OVER: 'GAME_OVER'   // The game has ended; nothing more happens
+};
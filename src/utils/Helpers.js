@@ -2,6 +2,9 @@
 // Utility functions used throughout the game
 // These functions handle common calculations and operations
 
+import { ANIMATION_TIMINGS, GEM_TYPES } from './Constants';
+import { classifyMatch } from '../core/MatchShapes';
+
 export class GameHelpers {
     /**
      * Converts grid coordinates to pixel positions
@@ -44,81 +47,23 @@ export class GameHelpers {
     /**
      * Detects if gems form special patterns like L-shapes or T-shapes
      * Used for awarding bonus points
+     * Returns the MATCH_SHAPES id, which keys the SCORING.shapes multipliers
      */
-    static detectSpecialPatterns(matches) {
-        // Convert matches to a grid for pattern detection
-        const grid = this.createMatchGrid(matches);
-        
-        // Check for various patterns
-        if (this.isLShape(grid)) return 'L_SHAPE';
-        if (this.isTShape(grid)) return 'T_SHAPE';
-        if (this.isCrossShape(grid)) return 'CROSS';
-        
-        return 'NORMAL';
-    }
-
-    /**
-     * Creates a grid representation of matched gems
-     * Helper function for pattern detection
-     */
-    static createMatchGrid(matches) {
-        const grid = {};
-        matches.forEach(pos => {
-            const key = `${pos.x},${pos.y}`;
-            grid[key] = true;
-        });
-        return grid;
-    }
-
-    /**
-     * Checks if a set of positions forms an L-shape
-     */
-    static isLShape(grid) {
-        // Get bounds of the matched area
-        const positions = Object.keys(grid).map(key => {
-            const [x, y] = key.split(',').map(Number);
-            return { x, y };
-        });
-
-        const bounds = this.calculateBounds(positions);
-        
-        // L-shape must be 3x3 or larger
-        if (bounds.width < 2 || bounds.height < 2) return false;
-        
-        // Check for L-shape pattern
-        return this.checkLPattern(grid, bounds);
-    }
-
-    /**
-     * Calculates the bounds of a group of positions
-     * Helper function for pattern detection
-     */
-    static calculateBounds(positions) {
-        const xs = positions.map(p => p.x);
-        const ys = positions.map(p => p.y);
-        
-        return {
-            minX: Math.min(...xs),
-            maxX: Math.max(...xs),
-            minY: Math.min(...ys),
-            maxY: Math.max(...ys),
-            width: Math.max(...xs) - Math.min(...xs) + 1,
-            height: Math.max(...ys) - Math.min(...ys) + 1
-        };
+    static detectSpecialPatterns(positions) {
+        return classifyMatch(positions).shape;
     }
 
     /**
      * Generates random gem type, ensuring no immediate matches
      * Used when creating new gems or refilling the board
+     * Draws from the game's SeededRandom so results are reproducible
      */
-    static getRandomGemType(adjacentTypes) {
+    static getRandomGemType(adjacentTypes, rng) {
         const availableTypes = Object.keys(GEM_TYPES).filter(
             type => !adjacentTypes.includes(type)
         );
         
-        return availableTypes[
-            Math.floor(Math.random() * availableTypes.length)
-        ];
+        return rng.pick(availableTypes);
     }
 
     /**
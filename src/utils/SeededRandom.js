@@ -0,0 +1,80 @@
+// utils/SeededRandom.js
+// Seedable pseudo-random number generator
+// Every random decision in a game draws from one of these, so the same
+// seed always produces the same boards and refills. Based on mulberry32:
+// small, fast and good enough for gameplay.
+
+export class SeededRandom {
+    constructor(seed = SeededRandom.randomSeed()) {
+        this.seed = SeededRandom.normalizeSeed(seed);
+        this.state = this.seed;
+
+        // Bind so `rng.next` can be handed around like Math.random
+        this.next = this.next.bind(this);
+    }
+
+    /**
+     * Picks a fresh seed when the player hasn't chosen one.
+     */
+    static randomSeed() {
+        return Math.floor(Math.random() * 0xFFFFFFFF) >>> 0;
+    }
+
+    /**
+     * Turns a number or string into a 32-bit unsigned seed.
+     * Numeric strings (e.g. from a URL) keep their value, other strings
+     * are hashed so words like "daily-2024-05-01" work as seeds too.
+     */
+    static normalizeSeed(seed) {
+        if (typeof seed === 'number' && Number.isFinite(seed)) {
+            return Math.floor(seed) >>> 0;
+        }
+
+        const text = String(seed).trim();
+        if (/^\d+$/.test(text)) {
+            return Number(text) >>> 0;
+        }
+
+        // FNV-1a string hash
+        let hash = 0x811C9DC5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
+    /**
+     * Returns a float in [0, 1), like Math.random.
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    // Returns an integer between min and max, inclusive
+    between(min, max) {
+        return min + Math.floor(this.next() * (max - min + 1));
+    }
+
+    // Returns a random element of an array
+    pick(array) {
+        return array[Math.floor(this.next() * array.length)];
+    }
+
+    /**
+     * Captures the generator's position so it can be restored later.
+     */
+    getState() {
+        return this.state;
+    }
+
+    setState(state) {
+        this.state = state >>> 0;
+    }
+}
@@ -0,0 +1,26 @@
+// test/AIPlayer.test.js
+// How the computer player ranks the moves it looks ahead on
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { AIPlayer } from '../src/core/AIPlayer.js';
+import { boardFromNotation } from '../src/core/BoardNotation.js';
+import { INPUT_MODES } from '../src/utils/Constants.js';
+
+// Swapping the red down into the top row makes a four, which leaves a
+// lightning gem behind
+const FOUR_BOARD = `
+    r r b r
+    g b r y
+    b y g g
+`;
+
+test('a move is ranked on the special gems it makes as well as its matches', () => {
+    const ai = new AIPlayer({ inputMode: INPUT_MODES.SWAP, lookahead: true });
+    const move = ai.chooseMove(boardFromNotation(FOUR_BOARD));
+
+    assert.deepEqual(move.action, { type: 'swap', from: { x: 2, y: 0 }, to: { x: 2, y: 1 } });
+    assert.equal(move.score, 300);
+    assert.equal(move.expectedScore, 600);
+});
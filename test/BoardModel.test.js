@@ -0,0 +1,309 @@
+// test/BoardModel.test.js
+// Matching, falling and refilling rules of the board model
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { BoardModel } from '../src/core/BoardModel.js';
+import { boardFromNotation, boardToNotation } from '../src/core/BoardNotation.js';
+import { ITEMS, MATCH_SHAPES, SPECIAL_TYPES } from '../src/utils/Constants.js';
+import { SeededRandom } from '../src/utils/SeededRandom.js';
+
+// Cells of a match as "x,y" strings, in a stable order
+const cellsOf = match => match.cells.map(cell => `${cell.x},${cell.y}`).sort();
+
+// BoardModel.js - Matching
+
+test('finds horizontal and vertical runs of three or more', () => {
+    const board = boardFromNotation(`
+        r r r b
+        g b y b
+        p g y b
+        g p y w
+    `);
+
+    const matches = board.findMatches();
+
+    assert.equal(matches.length, 3);
+    assert.deepEqual(
+        matches.map(match => match.color).sort(),
+        ['blue', 'red', 'yellow']
+    );
+    assert.deepEqual(cellsOf(matches.find(match => match.color === 'yellow')), ['2,1', '2,2', '2,3']);
+});
+
+test('finds nothing on a board without three in a line', () => {
+    const board = boardFromNotation(`
+        r g r
+        g r g
+        r g r
+    `);
+
+    assert.deepEqual(board.findMatches(), []);
+});
+
+test('merges runs that cross into one match with its shape', () => {
+    const board = boardFromNotation(`
+        r g b
+        r b g
+        r r r
+    `);
+
+    const matches = board.findMatches();
+
+    assert.equal(matches.length, 1);
+    assert.equal(matches[0].shape.shape, MATCH_SHAPES.L);
+    assert.deepEqual(matches[0].shape.pivot, { x: 0, y: 2 });
+    assert.deepEqual(cellsOf(matches[0]), ['0,0', '0,1', '0,2', '1,2', '2,2']);
+});
+
+test('rainbow gems join a run of any colour', () => {
+    const board = boardFromNotation(`
+        r - r
+        g b y
+        b y g
+    `);
+    board.setType(1, 0, SPECIAL_TYPES.RAINBOW);
+
+    const matches = board.findMatches();
+
+    assert.equal(matches.length, 1);
+    assert.equal(matches[0].color, 'red');
+    assert.deepEqual(cellsOf(matches[0]), ['0,0', '1,0', '2,0']);
+});
+
+test('items break up a run instead of matching', () => {
+    const board = boardFromNotation(`
+        r r * r r
+        g b y g b
+    `);
+
+    assert.equal(board.getType(2, 0), ITEMS.TYPE);
+    assert.deepEqual(board.findMatches(), []);
+});
+
+// BoardModel.js - Special gems
+
+test('a straight four leaves a lightning gem of its colour behind', () => {
+    const board = boardFromNotation(`
+        b g y b
+        r r r r
+        g b y g
+    `);
+
+    const result = board.resolveMatches(board.findMatches());
+
+    assert.equal(result.cleared.length, 4);
+    assert.equal(result.spawned.length, 1);
+
+    const { x, y } = result.spawned[0];
+    assert.equal(y, 1);
+    assert.equal(board.getType(x, y), 'red');
+    assert.equal(board.getSpecial(x, y), SPECIAL_TYPES.LIGHTNING);
+});
+
+test('a bomb caught in a match clears the cells around it', () => {
+    const board = boardFromNotation(`
+        b  g  y  b
+        r  rB r  p
+        g  b  y  g
+    `);
+
+    const result = board.resolveMatches(board.findMatches());
+
+    assert.deepEqual(result.triggered, [{ x: 1, y: 1, special: SPECIAL_TYPES.BOMB }]);
+    assert.deepEqual(cellsOf({ cells: result.cleared }), [
+        '0,0', '0,1', '0,2', '1,0', '1,1', '1,2', '2,0', '2,1', '2,2'
+    ]);
+    assert.equal(board.getType(3, 1), 'purple');
+});
+
+// BoardModel.js - Moves
+
+test('a swap only counts when it makes a match, and leaves the board as it was', () => {
+    const board = boardFromNotation(`
+        r g r
+        g r g
+        b b g
+    `);
+
+    assert.equal(board.wouldSwapCreateMatch({ x: 1, y: 0 }, { x: 1, y: 1 }), true);
+    assert.equal(board.wouldSwapCreateMatch({ x: 0, y: 0 }, { x: 0, y: 1 }), false);
+    assert.equal(boardToNotation(board), ['r g r', 'g r g', 'b b g'].join('\n'));
+});
+
+test('sliding a row wraps gems pushed off one end back in at the other', () => {
+    const board = boardFromNotation(`
+        r g b y
+        p w p w
+    `);
+
+    const moves = board.rotateLine('row', 0, 1);
+
+    assert.equal(boardToNotation(board), ['y r g b', 'p w p w'].join('\n'));
+    assert.deepEqual(moves[3], { from: { x: 3, y: 0 }, to: { x: 0, y: 0 } });
+});
+
+test('without wrap-around, gems pushed off the end are lost', () => {
+    const board = boardFromNotation(`
+        r g b y
+        p w p w
+    `);
+    board.setWrapSlides(false);
+
+    const moves = board.applyAction({ type: 'row', index: 0, amount: 1 });
+
+    assert.equal(boardToNotation(board), ['- r g b', 'p w p w'].join('\n'));
+    assert.deepEqual(moves[3], { from: { x: 3, y: 0 }, to: null });
+});
+
+// BoardModel.js - Falling and refilling
+
+test('collapse drops gems into the empty cells below them', () => {
+    const board = boardFromNotation(`
+        r - b
+        - g -
+        b - r
+    `);
+
+    const falls = board.collapse();
+
+    assert.equal(boardToNotation(board), [
+        '- - -',
+        'r - b',
+        'b g r'
+    ].join('\n'));
+    assert.equal(falls.length, 3);
+    assert.deepEqual(falls.find(fall => fall.from.x === 1), { from: { x: 1, y: 1 }, to: { x: 1, y: 2 } });
+});
+
+test('collapse follows the board\'s gravity', () => {
+    const board = boardFromNotation(`
+        r - b
+        - g -
+        b - r
+    `);
+    board.setGravity('up');
+
+    board.collapse();
+
+    assert.equal(boardToNotation(board), [
+        'r g b',
+        'b - r',
+        '- - -'
+    ].join('\n'));
+});
+
+test('a column can fall its own way', () => {
+    const board = boardFromNotation(`
+        r - b
+        - g -
+        b - r
+    `);
+    board.setGravity('down', { 1: 'up' });
+
+    board.collapse();
+
+    assert.equal(boardToNotation(board), [
+        '- g -',
+        'r - b',
+        'b - r'
+    ].join('\n'));
+});
+
+test('refill fills every empty cell, entering from above the board', () => {
+    const board = boardFromNotation(`
+        - -
+        - r
+        b b
+    `);
+
+    const spawns = board.refill(() => 0);
+
+    assert.equal(boardToNotation(board), [
+        'b b',
+        'b r',
+        'b b'
+    ].join('\n'));
+    assert.deepEqual(spawns.filter(spawn => spawn.x === 0).map(spawn => spawn.from), [{ x: 0, y: -2 }, { x: 0, y: -1 }]);
+});
+
+test('gems can\'t fall through stone', () => {
+    const board = boardFromNotation(`
+        r  g
+        -S -
+        -  b
+    `);
+
+    board.collapse();
+
+    assert.equal(board.getType(0, 0), 'red');
+    assert.equal(board.getType(0, 2), null);
+    assert.equal(board.getType(1, 1), 'green');
+});
+
+test('cells below a stone refill from behind it', () => {
+    const board = boardFromNotation(`
+        -  -
+        -S r
+        -  b
+    `);
+
+    const spawns = board.refill(() => 0);
+
+    assert.equal(boardToNotation(board), [
+        'b  b',
+        '-S r',
+        'b  b'
+    ].join('\n'));
+    // Below the stone, new gems come in from the stone's cell
+    assert.deepEqual(spawns.find(spawn => spawn.x === 0 && spawn.y === 2).from, { x: 0, y: 1 });
+    assert.deepEqual(spawns.find(spawn => spawn.x === 1).from, { x: 1, y: -1 });
+});
+
+test('items are collected once they reach the bottom of their column', () => {
+    const board = boardFromNotation(`
+        * r
+        g *
+        b b
+    `);
+
+    assert.deepEqual(board.collectItems(), []);
+
+    board.clearCells([{ x: 1, y: 2 }]);
+    board.collapse();
+
+    assert.deepEqual(board.collectItems(), [{ x: 1, y: 2 }]);
+    assert.equal(board.countItems(), 1);
+});
+
+// BoardModel.js - Generating
+
+test('generated boards never start with a match', () => {
+    for (let seed = 1; seed <= 50; seed++) {
+        const board = new BoardModel(7, 8);
+        board.generate(new SeededRandom(seed).next);
+
+        assert.deepEqual(board.findMatches(), [], `seed ${seed}`);
+        assert.ok(board.cells.flat().every(Boolean), `seed ${seed} left a cell empty`);
+    }
+});
+
+test('random gems steer clear of matches with fixed layout gems on any side', () => {
+    // Fixed reds with gaps a random red would complete, from every direction
+    const layout = Array.from({ length: 5 }, () => Array(5).fill(null));
+    layout[0][0] = 'red';
+    layout[2][0] = 'red';
+    layout[4][2] = 'red';
+    layout[4][4] = 'red';
+    layout[2][2] = 'red';
+    layout[2][4] = 'red';
+
+    for (let seed = 1; seed <= 100; seed++) {
+        const board = new BoardModel(5, 5, ['blue', 'green', 'red']);
+        board.generate(new SeededRandom(seed).next, layout);
+
+        assert.equal(board.getType(2, 2), 'red');
+        assert.deepEqual(board.findMatches(), [], `seed ${seed}\n${boardToNotation(board)}`);
+    }
+});
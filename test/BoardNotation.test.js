@@ -0,0 +1,66 @@
+// test/BoardNotation.test.js
+// Writing boards out as text and reading them back in
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { boardFromNotation, boardToNotation, NotationError, parseNotation } from '../src/core/BoardNotation.js';
+import { BLOCKER_TYPES, ITEMS, SPECIAL_TYPES } from '../src/utils/Constants.js';
+
+// The example from the top of core/BoardNotation.js
+const EXAMPLE = [
+    'r   g   b   yB  .',
+    '-S  gI  gI1 wL  *',
+    'pC  y   rR  b   g'
+].join('\n');
+
+// Runs `read` and returns the problems of the NotationError it throws
+const problemsOf = read => {
+    try {
+        read();
+    } catch (error) {
+        assert.ok(error instanceof NotationError, `expected a NotationError, got ${error}`);
+        return error.problems;
+    }
+    assert.fail('expected the notation to be rejected');
+};
+
+test('a board reads in and writes back out the same', () => {
+    assert.equal(boardToNotation(boardFromNotation(EXAMPLE)), EXAMPLE);
+});
+
+test('each code says what is in its cell', () => {
+    const board = boardFromNotation(EXAMPLE);
+
+    assert.equal(board.getType(3, 0), 'yellow');
+    assert.equal(board.getSpecial(3, 0), SPECIAL_TYPES.BOMB);
+    assert.equal(board.isValidPosition(4, 0), false);
+    assert.equal(board.isStone(0, 1), true);
+    assert.deepEqual(board.getBlocker(1, 1), { type: BLOCKER_TYPES.ICE, strength: 2 });
+    assert.deepEqual(board.getBlocker(2, 1), { type: BLOCKER_TYPES.ICE, strength: 1 });
+    assert.equal(board.getType(4, 1), ITEMS.TYPE);
+    assert.equal(board.getBlocker(0, 2).type, BLOCKER_TYPES.CHAIN);
+    assert.equal(board.getSpecial(2, 2), SPECIAL_TYPES.RAINBOW);
+});
+
+test('a board without holes has no mask', () => {
+    assert.equal(parseNotation('r g\nb y').mask, null);
+    assert.deepEqual(parseNotation('r .\nb y').mask, [[true, true], [false, true]]);
+});
+
+test('every bad cell is reported, not just the first', () => {
+    const problems = problemsOf(() => parseNotation('r x\ngS  *B'));
+
+    assert.equal(problems.length, 3);
+    assert.ok(problems[0].startsWith('row 1, column 2: "x" isn\'t a gem code'));
+    assert.ok(problems[1].startsWith('row 2, column 1: stone can\'t hold anything'));
+    assert.equal(problems[2], 'row 2, column 2: only gems can be bomb gems');
+});
+
+test('rows have to be the same length', () => {
+    assert.deepEqual(
+        problemsOf(() => parseNotation('r g b\nb y')),
+        ['row 2 has 2 cells, but row 1 has 3']
+    );
+    assert.deepEqual(problemsOf(() => parseNotation('  \n')), ['there are no rows']);
+});
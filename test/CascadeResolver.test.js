@@ -0,0 +1,118 @@
+// test/CascadeResolver.test.js
+// Whole moves played out on the board model, cascades included
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { BoardModel } from '../src/core/BoardModel.js';
+import { boardFromNotation, boardToNotation } from '../src/core/BoardNotation.js';
+import { CascadeResolver } from '../src/core/CascadeResolver.js';
+import { MoveFinder } from '../src/core/MoveFinder.js';
+import { CASCADE_STEPS, INPUT_MODES } from '../src/utils/Constants.js';
+import { SeededRandom } from '../src/utils/SeededRandom.js';
+
+// The swap makes a red row; the greens falling into it make a column
+const CASCADE_BOARD = `
+    g g b
+    r b r
+    g r b
+    g b g
+`;
+
+test('a match that drops gems into another match cascades', () => {
+    const board = boardFromNotation(CASCADE_BOARD);
+
+    // Without refills the result doesn't depend on any random gems
+    const resolver = new CascadeResolver({ random: null, enabledSpecials: [] });
+    const steps = resolver.resolve(board, { type: 'swap', from: { x: 1, y: 1 }, to: { x: 1, y: 2 } });
+
+    const links = CascadeResolver.getMatchesByDepth(steps);
+    assert.equal(links.length, 2);
+    assert.deepEqual(links.map(matches => matches.map(match => match.color)), [['red'], ['green']]);
+    assert.deepEqual(
+        steps.filter(step => step.type === CASCADE_STEPS.CASCADE),
+        [{ type: CASCADE_STEPS.CASCADE, depth: 1 }]
+    );
+
+    assert.equal(boardToNotation(board), [
+        '- - -',
+        '- g b',
+        '- b b',
+        '- b g'
+    ].join('\n'));
+});
+
+test('steps come in playback order for each link', () => {
+    const board = boardFromNotation(CASCADE_BOARD);
+    const resolver = new CascadeResolver({ random: new SeededRandom(1).next, enabledSpecials: [] });
+
+    const steps = resolver.resolve(board, { type: 'swap', from: { x: 1, y: 1 }, to: { x: 1, y: 2 } });
+    const types = CascadeResolver.groupSteps(steps).map(group => group[0].type);
+
+    assert.deepEqual(types.slice(0, 5), [
+        CASCADE_STEPS.MOVE,
+        CASCADE_STEPS.MATCH,
+        CASCADE_STEPS.REMOVE,
+        CASCADE_STEPS.FALL,
+        CASCADE_STEPS.SPAWN
+    ]);
+    assert.equal(types[5], CASCADE_STEPS.CASCADE);
+});
+
+test('a move that matches nothing only moves', () => {
+    const board = boardFromNotation(CASCADE_BOARD);
+    const resolver = new CascadeResolver({ random: null });
+
+    const steps = resolver.resolve(board, { type: 'swap', from: { x: 2, y: 0 }, to: { x: 2, y: 1 } });
+
+    assert.deepEqual(steps.map(step => step.type), [CASCADE_STEPS.MOVE]);
+});
+
+test('a chain that reaches maxDepth is shuffled away instead of scored', () => {
+    const board = boardFromNotation(CASCADE_BOARD);
+    const resolver = new CascadeResolver({ random: new SeededRandom(1).next, enabledSpecials: [], maxDepth: 1 });
+
+    const steps = resolver.resolve(board, { type: 'swap', from: { x: 1, y: 1 }, to: { x: 1, y: 2 } });
+
+    // The red row is the only link played; the greens it drops together
+    // never match
+    assert.equal(CascadeResolver.getMatchesByDepth(steps).length, 1);
+    assert.equal(steps.some(step => step.type === CASCADE_STEPS.CASCADE), false);
+    assert.deepEqual(steps.at(-1), { type: CASCADE_STEPS.SHUFFLE });
+    assert.deepEqual(board.findMatches(), [], boardToNotation(board));
+});
+
+test('without refills a chain cut short at maxDepth is left as it is', () => {
+    const board = boardFromNotation(CASCADE_BOARD);
+    const resolver = new CascadeResolver({ random: null, enabledSpecials: [], maxDepth: 1 });
+
+    const steps = resolver.resolve(board, { type: 'swap', from: { x: 1, y: 1 }, to: { x: 1, y: 2 } });
+
+    assert.equal(steps.some(step => step.type === CASCADE_STEPS.SHUFFLE), false);
+    assert.equal(board.findMatches()[0].color, 'green');
+});
+
+test('every move leaves a full board with nothing left to match', () => {
+    [INPUT_MODES.SLIDE, INPUT_MODES.SWAP].forEach(inputMode => {
+        const random = new SeededRandom(`cascades-${inputMode}`);
+        const board = new BoardModel(7, 8);
+        board.generate(random.next);
+
+        const resolver = new CascadeResolver({ random: random.next });
+        const moveFinder = new MoveFinder();
+
+        for (let turn = 0; turn < 40; turn++) {
+            const moves = moveFinder.findMoves(board, inputMode);
+            if (moves.length === 0) {
+                board.shuffle(random.next);
+                continue;
+            }
+
+            const steps = resolver.resolve(board, moves[0].action);
+
+            assert.ok(steps.some(step => step.type === CASCADE_STEPS.MATCH), `${inputMode} turn ${turn} matched nothing`);
+            assert.deepEqual(board.findMatches(), [], `${inputMode} turn ${turn}\n${boardToNotation(board)}`);
+            assert.ok(board.cells.flat().every(Boolean), `${inputMode} turn ${turn} left a cell empty`);
+        }
+    });
+});
@@ -0,0 +1,117 @@
+// test/GameState.test.js
+// The Game scene's state machine: which changes it allows, and what it tells
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { GameState } from '../src/core/GameState.js';
+import { GAME_EVENTS, GAME_STATES } from '../src/utils/Constants.js';
+
+const { IDLE, MOVING, MATCHING, REFILLING, SHUFFLING, PAUSED, GAME_OVER } = GAME_STATES;
+
+// Stands in for the scene, keeping every event the machine emits
+const createScene = () => {
+    const emitted = [];
+    return {
+        emitted,
+        events: { emit: (name, payload) => emitted.push({ name, ...payload }) }
+    };
+};
+
+test('a move walks through its phases and back to idle', () => {
+    const scene = createScene();
+    const state = new GameState(scene);
+
+    [MOVING, MATCHING, REFILLING, MATCHING, REFILLING, IDLE].forEach(next => {
+        assert.equal(state.changeState(next), true, `to ${next}`);
+    });
+
+    assert.equal(state.is(IDLE), true);
+    assert.deepEqual(scene.emitted[0], { name: GAME_EVENTS.STATE_CHANGED, from: IDLE, to: MOVING, data: null });
+    assert.equal(scene.emitted.length, 6);
+});
+
+test('a move can reshuffle from any of its steps', () => {
+    [MOVING, MATCHING, REFILLING].forEach(step => {
+        const state = new GameState(createScene());
+        state.changeState(MOVING);
+        state.changeState(step);
+
+        assert.equal(state.changeState(SHUFFLING), true, `from ${step}`);
+        assert.equal(state.changeState(IDLE), true);
+    });
+});
+
+test('changes that aren\'t allowed are refused and change nothing', t => {
+    t.mock.method(console, 'warn', () => {});
+    const scene = createScene();
+    const state = new GameState(scene);
+
+    assert.equal(state.changeState(MATCHING), false);
+    assert.equal(state.is(IDLE), true);
+    assert.deepEqual(scene.emitted, []);
+    assert.equal(console.warn.mock.callCount(), 1);
+});
+
+test('staying in the same state is allowed but not announced', () => {
+    const scene = createScene();
+    const state = new GameState(scene);
+
+    assert.equal(state.changeState(IDLE), true);
+    assert.deepEqual(scene.emitted, []);
+});
+
+test('only idle takes input, and moves and shuffles count as processing', () => {
+    const state = new GameState(createScene());
+    assert.equal(state.isInteractive(), true);
+    assert.equal(state.isProcessing(), false);
+
+    state.changeState(SHUFFLING);
+    assert.equal(state.isInteractive(), false);
+    assert.equal(state.isProcessing(), true);
+});
+
+test('a paused game resumes into the state it was paused in', () => {
+    const scene = createScene();
+    const state = new GameState(scene);
+    state.changeState(MOVING);
+    state.changeState(REFILLING);
+
+    assert.equal(state.pause(), true);
+    assert.equal(state.isPaused(), true);
+    assert.equal(state.pause(), false);
+
+    assert.equal(state.resume(), true);
+    assert.equal(state.is(REFILLING), true);
+    assert.deepEqual(scene.emitted.at(-1), { name: GAME_EVENTS.STATE_CHANGED, from: PAUSED, to: REFILLING, data: null });
+});
+
+test('a change made while paused is kept for when the game resumes', t => {
+    t.mock.method(console, 'warn', () => {});
+    const state = new GameState(createScene());
+    state.changeState(MOVING);
+    state.changeState(REFILLING);
+    state.pause();
+
+    // The step that was playing finishes while the menu is up
+    assert.equal(state.changeState(IDLE), true);
+    assert.equal(state.isPaused(), true);
+
+    // Only changes the kept state could make are allowed
+    assert.equal(state.changeState(MATCHING), false);
+
+    state.resume();
+    assert.equal(state.is(IDLE), true);
+});
+
+test('a finished game stays finished', t => {
+    t.mock.method(console, 'warn', () => {});
+    const state = new GameState(createScene());
+    state.pause();
+    state.changeState(GAME_OVER);
+
+    assert.equal(state.isGameOver(), true);
+    Object.values(GAME_STATES)
+        .filter(next => next !== GAME_OVER)
+        .forEach(next => assert.equal(state.canChangeTo(next), false, `to ${next}`));
+});
@@ -0,0 +1,133 @@
+// test/LevelLoader.test.js
+// Level files: reading them, the problems reported for bad ones, and the
+// starting-match check on their layouts
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync, readdirSync } from 'node:fs';
+
+import { LevelError, createDefaultLevel, findStartingMatches, parseLevel, serializeLevel } from '../src/core/LevelLoader.js';
+
+const LEVELS_DIR = new URL('../public/assets/levels/', import.meta.url);
+
+const level = layout => ({
+    format: 1,
+    board: { width: 5, height: 3 },
+    colors: ['blue', 'green', 'red'],
+    layout
+});
+
+// Runs `read` and returns the problems of the LevelError it throws
+const problemsOf = read => {
+    try {
+        read();
+    } catch (error) {
+        assert.ok(error instanceof LevelError, `expected a LevelError, got ${error}`);
+        return error.problems;
+    }
+    assert.fail('expected the level to be rejected');
+};
+
+test('every shipped level parses', () => {
+    readdirSync(LEVELS_DIR)
+        .filter(name => name.endsWith('.json') && name !== 'index.json')
+        .forEach(name => {
+            assert.doesNotThrow(() => parseLevel(readFileSync(new URL(name, LEVELS_DIR), 'utf8'), name));
+        });
+});
+
+test('grids are read top row first and indexed [x][y]', () => {
+    const parsed = parseLevel({ ...level(['?b???', '?????', '????r']), blockers: ['.....', 'I....', '.....'] });
+
+    assert.equal(parsed.layout[1][0], 'blue');
+    assert.equal(parsed.layout[4][2], 'red');
+    assert.equal(parsed.layout[0][0], null);
+    assert.equal(parsed.blockers[0][1].type, 'ice');
+    assert.equal(parsed.mask, null);
+});
+
+test('text that isn\'t JSON is rejected', () => {
+    const problems = problemsOf(() => parseLevel('{ "format": 1,', 'broken'));
+
+    assert.equal(problems.length, 1);
+    assert.ok(problems[0].startsWith('file is not valid JSON'));
+});
+
+test('every problem in a level is reported, not just the first', () => {
+    const problems = problemsOf(() => parseLevel({
+        ...level(['?????', '??x??', '?????']),
+        format: 2,
+        colors: ['blue', 'green', 'red']
+    }));
+
+    assert.equal(problems.length, 2);
+    assert.ok(problems[0].includes('"format"'));
+    assert.ok(problems[1].includes('isn\'t a gem code'));
+});
+
+test('layout gems must be one of the level\'s colours', () => {
+    const problems = problemsOf(() => parseLevel(level(['?????', '??y??', '?????'])));
+
+    assert.deepEqual(problems, ['"layout" row 2, column 3 is yellow, which isn\'t in "colors"']);
+});
+
+test('gravity can be set per column and survives a save and reload', () => {
+    const parsed = parseLevel({ ...level(['?????', '?????', '?????']), gravity: { direction: 'down', columns: { 2: 'up' } } });
+
+    assert.deepEqual(parsed.gravity, { direction: 'down', overrides: { 2: 'up' } });
+    assert.deepEqual(parseLevel(serializeLevel(parsed)).gravity, parsed.gravity);
+});
+
+test('overrides have to run the same way as the gravity', () => {
+    const problems = problemsOf(() => parseLevel({
+        ...level(['?????', '?????', '?????']),
+        gravity: { direction: 'left', rows: { 1: 'up' } }
+    }));
+
+    assert.deepEqual(problems, ['"gravity.rows" "1" must be left or right, found "up"']);
+});
+
+test('a level can change the scoring rules', () => {
+    const parsed = parseLevel({ ...level(['?????', '?????', '?????']), scoring: { lengths: { 3: 50 }, cascade: { max: 4 } } });
+
+    assert.deepEqual(parsed.scoring.lengths, { 3: 50 });
+    assert.deepEqual(parsed.scoring.cascade, { max: 4 });
+    assert.deepEqual(parseLevel(serializeLevel(parsed)).scoring, parsed.scoring);
+});
+
+test('scoring changes are checked like the rest of the level', () => {
+    const problems = problemsOf(() => parseLevel({
+        ...level(['?????', '?????', '?????']),
+        scoring: { lengths: { 3: -1 }, bonus: 5 }
+    }));
+
+    assert.equal(problems.length, 2);
+    assert.ok(problems.some(problem => problem.startsWith('"scoring" has "bonus"')));
+    assert.ok(problems.some(problem => problem.startsWith('"scoring.lengths.3" must be a whole number')));
+});
+
+test('a layout whose fixed gems already match is rejected', () => {
+    const problems = problemsOf(() => parseLevel(level(['?????', '?rrr?', '?????'])));
+
+    assert.ok(problems.some(problem => problem.includes('starts with a red match')));
+});
+
+test('fixed gems with a gap between them are allowed', () => {
+    const parsed = parseLevel(level(['rr?r?', '?????', 'r?r?r']));
+
+    assert.deepEqual(findStartingMatches(parsed), []);
+});
+
+test('items in a layout never count as a match', () => {
+    const parsed = parseLevel({ ...level(['*****', '?????', '?????']), objectives: [{ type: 'dropItems' }] });
+
+    assert.deepEqual(findStartingMatches(parsed), []);
+});
+
+test('endless play uses a full board with no limits', () => {
+    const endless = createDefaultLevel();
+
+    assert.equal(endless.mask, null);
+    assert.deepEqual(endless.limits, { moves: null, time: null });
+    assert.deepEqual(endless.objectives, []);
+});
@@ -0,0 +1,119 @@
+// test/LimitTracker.test.js
+// Running out of time, and when the game is told it's over
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'node:events';
+
+import { GameState } from '../src/core/GameState.js';
+import { LimitTracker } from '../src/systems/LimitTracker.js';
+import { GAME_STATES } from '../src/utils/Constants.js';
+
+const { IDLE, MOVING, MATCHING, REFILLING } = GAME_STATES;
+
+// Systems reach for the scene events' names on the global Phaser
+globalThis.Phaser ??= { Scenes: { Events: { SHUTDOWN: 'shutdown' } } };
+
+/**
+ * Stands in for the Game scene: a clock that only moves when told to,
+ * and a count of the times the end of the level was checked.
+ */
+const createScene = () => {
+    const emitter = new EventEmitter();
+    const timers = [];
+    const delayed = [];
+
+    const scene = {
+        levelEndChecks: 0,
+        movesUsed: 0,
+        events: {
+            on: (name, handler, context) => emitter.on(name, handler.bind(context)),
+            once: (name, handler, context) => emitter.once(name, handler.bind(context)),
+            off: () => {},
+            emit: (name, payload) => emitter.emit(name, payload)
+        },
+        time: {
+            addEvent: ({ callback }) => {
+                const timer = { callback, remove: () => timers.splice(timers.indexOf(timer), 1) };
+                timers.push(timer);
+                return timer;
+            },
+            delayedCall: (delay, callback) => delayed.push(callback)
+        },
+        add: {
+            text: () => ({ setText() { return this; }, setColor() { return this; } })
+        },
+        checkLevelEnd() {
+            scene.levelEndChecks++;
+        },
+
+        // Runs the clock for `ms`, then the calls waiting for the next frame
+        advance(ms) {
+            for (let elapsed = 0; elapsed < ms; elapsed += 100) {
+                [...timers].forEach(timer => timer.callback());
+            }
+            delayed.splice(0).forEach(callback => callback());
+        }
+    };
+
+    scene.gameState = new GameState(scene);
+    return scene;
+};
+
+test('time running out between moves ends the game straight away', () => {
+    const scene = createScene();
+    const tracker = new LimitTracker(scene, { moves: null, time: 1 });
+    tracker.start();
+
+    scene.advance(900);
+    assert.equal(scene.levelEndChecks, 0);
+
+    scene.advance(100);
+    assert.equal(tracker.isOutOfTime(), true);
+    assert.equal(scene.levelEndChecks, 1);
+});
+
+test('time running out during a rejected swap ends the game once it swaps back', () => {
+    const scene = createScene();
+    const tracker = new LimitTracker(scene, { moves: null, time: 1 });
+    tracker.start();
+
+    // A swap that makes no match plays there and back with input held off,
+    // then goes straight back to IDLE without a move being made
+    scene.gameState.changeState(MOVING);
+    scene.advance(1000);
+    assert.equal(tracker.isExhausted(), true);
+    assert.equal(scene.levelEndChecks, 0);
+
+    scene.gameState.changeState(IDLE);
+    scene.advance(0);
+    assert.equal(scene.levelEndChecks, 1);
+});
+
+test('the end waits for a whole cascade, not just its first step', () => {
+    const scene = createScene();
+    const tracker = new LimitTracker(scene, { moves: null, time: 1 });
+    tracker.start();
+
+    scene.gameState.changeState(MOVING);
+    scene.advance(1000);
+    scene.gameState.changeState(MATCHING);
+    scene.gameState.changeState(REFILLING);
+    scene.advance(0);
+    assert.equal(scene.levelEndChecks, 0);
+
+    scene.gameState.changeState(IDLE);
+    scene.advance(0);
+    assert.equal(scene.levelEndChecks, 1);
+});
+
+test('going back to idle with time left doesn\'t end anything', () => {
+    const scene = createScene();
+    new LimitTracker(scene, { moves: null, time: 60 }).start();
+
+    scene.gameState.changeState(MOVING);
+    scene.gameState.changeState(IDLE);
+    scene.advance(0);
+
+    assert.equal(scene.levelEndChecks, 0);
+});
@@ -0,0 +1,72 @@
+// test/MatchShapes.test.js
+// Telling lines, Ls, Ts, crosses and squares apart, whichever way they lie
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { classifyMatch } from '../src/core/MatchShapes.js';
+import { MATCH_SHAPES } from '../src/utils/Constants.js';
+
+// Matched cells drawn as "#" in rows of text, top row first
+const cellsFrom = text => text.trim().split('\n').flatMap((row, y) => (
+    [...row.trim()].flatMap((char, x) => (char === '#' ? [{ x, y }] : []))
+));
+
+const classify = text => classifyMatch(cellsFrom(text));
+
+test('a straight match is a line through its middle cell', () => {
+    assert.deepEqual(classify('####'), {
+        shape: MATCH_SHAPES.LINE,
+        orientation: 'horizontal',
+        pivot: { x: 1, y: 0 },
+        size: 4,
+        longest: 4
+    });
+    assert.equal(classify('#\n#\n#').orientation, 'vertical');
+});
+
+test('an L turns on its corner, named for where the corner is', () => {
+    const match = classify(`
+        #..
+        #..
+        ###
+    `);
+
+    assert.equal(match.shape, MATCH_SHAPES.L);
+    assert.equal(match.orientation, 'bottom-left');
+    assert.deepEqual(match.pivot, { x: 0, y: 2 });
+    assert.equal(match.longest, 3);
+
+    assert.equal(classify('###\n..#\n..#').orientation, 'top-right');
+});
+
+test('a T points its stem away from the bar', () => {
+    const match = classify(`
+        ###
+        .#.
+        .#.
+    `);
+
+    assert.equal(match.shape, MATCH_SHAPES.T);
+    assert.equal(match.orientation, 'down');
+    assert.deepEqual(match.pivot, { x: 1, y: 0 });
+
+    assert.equal(classify('#..\n###\n#..').orientation, 'right');
+});
+
+test('lines crossing in their middles make a cross', () => {
+    const match = classify(`
+        .#.
+        ###
+        .#.
+    `);
+
+    assert.equal(match.shape, MATCH_SHAPES.CROSS);
+    assert.equal(match.orientation, null);
+    assert.deepEqual(match.pivot, { x: 1, y: 1 });
+});
+
+test('a two-by-two block makes a square, whatever else is attached', () => {
+    assert.equal(classify('##\n##').shape, MATCH_SHAPES.SQUARE);
+    assert.equal(classify('###\n##.').shape, MATCH_SHAPES.SQUARE);
+});
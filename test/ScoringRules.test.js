@@ -0,0 +1,91 @@
+// test/ScoringRules.test.js
+// What matches, cascades and special gems are worth, and the breakdowns
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { classifyMatch } from '../src/core/MatchShapes.js';
+import { ScoringRules } from '../src/core/ScoringRules.js';
+import { CASCADE_STEPS, SCORE_RULES, SCORING } from '../src/utils/Constants.js';
+
+// A match as the board would report it, from its cells
+const matchOf = cells => ({ cells, shape: classifyMatch(cells) });
+
+const line = length => matchOf(Array.from({ length }, (_, x) => ({ x, y: 0 })));
+
+const L_MATCH = matchOf([{ x: 0, y: 0 }, { x: 0, y: 1 }, { x: 0, y: 2 }, { x: 1, y: 2 }, { x: 2, y: 2 }]);
+
+// What a breakdown adds up to
+const sumOf = breakdown => breakdown.reduce((total, item) => total + item.points, 0);
+
+test('matches score by size, with sizes past the table scoring as its biggest', () => {
+    const rules = new ScoringRules();
+
+    assert.equal(rules.scoreMatch(line(3)).points, 100);
+    assert.equal(rules.scoreMatch(line(5)).points, 1000);
+    assert.equal(rules.getLengthPoints(8), 3000);
+    assert.equal(rules.getLengthPoints(2), 0);
+});
+
+test('a shape multiplies the base points, and the breakdown adds up', () => {
+    const { points, breakdown } = new ScoringRules().scoreMatch(L_MATCH);
+
+    assert.equal(points, 1500);
+    assert.deepEqual(breakdown, [
+        { rule: SCORE_RULES.LENGTH, label: '5 gems', points: 1000 },
+        { rule: SCORE_RULES.SHAPE, label: 'L shape', multiplier: 1.5, points: 500 }
+    ]);
+});
+
+test('each cascade link raises the multiplier, up to its cap', () => {
+    const rules = new ScoringRules({ cascade: { max: 2 } });
+    const { points, breakdown } = rules.scoreMatch(line(3), 1);
+
+    assert.equal(points, 150);
+    assert.deepEqual(breakdown.at(-1), { rule: SCORE_RULES.CASCADE, label: 'Cascade 1', multiplier: 1.5, points: 50 });
+    assert.equal(sumOf(breakdown), points);
+
+    assert.equal(rules.getCascadeMultiplier(5), 2);
+    assert.equal(new ScoringRules().getCascadeMultiplier(5), 3.5);
+});
+
+test('special gems score for being made and for going off', () => {
+    const { points, breakdown } = new ScoringRules().scoreSpecials({
+        spawned: [{ x: 1, y: 0, special: 'lightning' }],
+        triggered: [{ x: 0, y: 0, special: 'bomb' }]
+    });
+
+    assert.equal(points, 400);
+    assert.deepEqual(breakdown.map(item => item.label), ['Lightning made', 'Bomb set off']);
+});
+
+test('two specials moved into each other score as a combination', () => {
+    const { points, breakdown } = new ScoringRules().scoreMatch({ ...line(2), combination: 'bomb+lightning' });
+
+    assert.equal(points, 2500);
+    assert.deepEqual(breakdown, [{ rule: SCORE_RULES.COMBINATION, label: 'Bomb + Lightning', points: 2500 }]);
+});
+
+test('a timeline counts its matches and specials at the link they were made on', () => {
+    const steps = [
+        { type: CASCADE_STEPS.MATCH, match: line(4), depth: 0 },
+        { type: CASCADE_STEPS.REMOVE, spawned: [{ x: 1, y: 0, special: 'lightning' }], triggered: [] },
+        { type: CASCADE_STEPS.CASCADE, depth: 1 },
+        { type: CASCADE_STEPS.MATCH, match: line(3), depth: 1 },
+        { type: CASCADE_STEPS.REMOVE, spawned: [], triggered: [{ x: 1, y: 0, special: 'lightning' }] }
+    ];
+
+    // A four and the lightning it makes, then a three and the lightning
+    // going off, both half as much again for the cascade
+    assert.equal(new ScoringRules().countSteps(steps), 300 + 300 + 150 + 150);
+});
+
+test('overrides change only what they set, and never the defaults', () => {
+    const rules = new ScoringRules({ lengths: { 3: 50 }, shapes: { L: null } });
+
+    assert.equal(rules.getLengthPoints(3), 50);
+    assert.equal(rules.getLengthPoints(4), 300);
+    assert.equal(rules.getShapeMultiplier('L'), 1);
+    assert.equal(SCORING.lengths[3], 100);
+    assert.equal(SCORING.shapes.L, 1.5);
+});
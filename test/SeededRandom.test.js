@@ -0,0 +1,38 @@
+// test/SeededRandom.test.js
+// The seeded generator every random decision in a game draws from
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { SeededRandom } from '../src/utils/SeededRandom.js';
+
+const take = (random, count) => Array.from({ length: count }, () => random.next());
+
+test('the same seed always gives the same numbers', () => {
+    assert.deepEqual(take(new SeededRandom(42), 20), take(new SeededRandom(42), 20));
+    assert.notDeepEqual(take(new SeededRandom(42), 20), take(new SeededRandom(43), 20));
+});
+
+test('numbers stay in [0, 1)', () => {
+    take(new SeededRandom('range'), 1000).forEach(value => {
+        assert.ok(value >= 0 && value < 1, `${value}`);
+    });
+});
+
+test('numeric strings keep their value and other strings are hashed', () => {
+    assert.equal(new SeededRandom('1234').seed, 1234);
+    assert.equal(new SeededRandom('daily').seed, new SeededRandom('daily').seed);
+    assert.notEqual(new SeededRandom('daily').seed, new SeededRandom('weekly').seed);
+});
+
+test('a saved state carries on where it left off', () => {
+    const random = new SeededRandom(7);
+    take(random, 5);
+    const state = random.getState();
+    const expected = take(random, 5);
+
+    const resumed = new SeededRandom(99);
+    resumed.setState(state);
+
+    assert.deepEqual(take(resumed, 5), expected);
+});
@@ -0,0 +1,34 @@
+// test/hooks.mjs
+// Module hooks that let Node load the game's source as it is
+// The source is written for webpack: imports leave off the ".js" and
+// package.json doesn't say the files are ES modules. These hooks fill in
+// both, so tests can import src/ directly. Registered by test/register.mjs.
+
+const projectRoot = new URL('../', import.meta.url).href;
+
+/**
+ * Resolves "./BoardModel" the way webpack does, as "./BoardModel.js".
+ */
+export async function resolve(specifier, context, nextResolve) {
+    const isRelative = specifier.startsWith('./') || specifier.startsWith('../');
+    if (!isRelative || /\.[cm]?js$/.test(specifier)) {
+        return nextResolve(specifier, context);
+    }
+
+    try {
+        return await nextResolve(`${specifier}.js`, context);
+    } catch (error) {
+        return nextResolve(specifier, context);
+    }
+}
+
+/**
+ * Loads the project's own .js files as ES modules.
+ */
+export async function load(url, context, nextLoad) {
+    const isOwnFile = url.startsWith(projectRoot) && !url.includes('/node_modules/');
+    if (isOwnFile && url.endsWith('.js')) {
+        return nextLoad(url, { ...context, format: 'module' });
+    }
+    return nextLoad(url, context);
+}
@@ -0,0 +1,6 @@
+// test/register.mjs
+// Loaded with --import before the tests run (see "test" in package.json)
+
+import { register } from 'node:module';
+
+register('./hooks.mjs', import.meta.url);